@@ -0,0 +1,138 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * ONVIF Audit API
+ * Run the audit from other Node programs. Both functions return a Promise of the results
+ * which also has on() so progress events can be followed while the audit runs
+ *
+ *   var onvif_audit = require('onvif-site-audit');
+ *   onvif_audit.auditRange({ ipaddress: '192.168.1.0/24', username: 'admin', password: 'password' })
+ *       .on('progress', counts => console.log(counts.scanned + '/' + counts.total))
+ *       .then(result => console.log(result.cameras));
+ *
+ * Nothing is written to disk unless a 'folder' is given
+ */
+
+var EventEmitter = require('events');
+var engine = require('./lib/audit');
+var credential_list = require('./lib/credentials');
+var audit_output = require('./lib/audit-output');
+var html_report = require('./lib/html-report');
+
+// Returns a Promise with on(), once() and off() for the events.
+// work(events, resolve) runs on the next tick so the caller can add its event listeners first
+function start(work) {
+    const events = new EventEmitter();
+    const promise = new Promise(function (resolve, reject) {
+        setImmediate(function () {
+            try {
+                work(events, resolve);
+            } catch (err) {
+                reject(err);
+            }
+        });
+    });
+    ['on', 'once', 'off'].forEach(function (method) {
+        promise[method] = function (name, listener) {
+            events[method](name, listener);
+            return promise;
+        };
+    });
+    return promise;
+}
+
+// Usernames and Passwords to try, from username and password and/or a list of credentials.
+// tryDefaults adds the well known vendor default passwords
+function option_credentials(options) {
+    let list = [];
+    if (options.username !== undefined || options.password !== undefined) {
+        list.push({ username: options.username || '', password: options.password || '', source: 'options' });
+    }
+    for (const item of (options.credentials || [])) {
+        list.push({ username: item.username, password: item.password, source: item.source || 'options' });
+    }
+    if (options.tryDefaults) {
+        list = list.concat(credential_list.DEFAULT_CREDENTIALS.map(function (item) {
+            return { username: item.username, password: item.password, source: 'default' };
+        }));
+    }
+    // Cameras with authentication turned off still need one (empty) credential
+    if (list.length === 0) list.push({ username: '', password: '', source: 'options' });
+    return list;
+}
+
+function port_list(port) {
+    if (Array.isArray(port)) return port.map(item => String(item));
+    return String(port || 80).split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+// Audit one camera.
+// options
+//   host, port (a number or list of ports to try in turn), path (ONVIF Device Service path), https
+//   username and password, credentials ([{ username, password }]) and tryDefaults
+//   label ({ site, group, location, comment }) to show in the reports
+//   and any of the settings in lib/audit.js DEFAULTS eg folder, securityChecks, rtspProbe, ptzSnapshots, maxDrift
+// Events
+//   'log' (line) each line of the camera report
+//   'camera' (record) when the camera has been audited
+// Resolves with the camera record. A camera that cannot be audited resolves with a record that has an 'error'
+function auditCamera(options) {
+    return start(function (events, resolve) {
+        if (!options || !options.host) throw new Error('auditCamera needs a host');
+        const settings = engine.resolve_options(options);
+        const target = {
+            ip: String(options.host).replace(/^\[(.*)\]$/, '$1'), // IPv6 addresses can be given in [ ]
+            ports: port_list(options.port),
+            path: options.path,
+            https: Boolean(options.https),
+            credentials: option_credentials(options),
+            label: options.label
+        };
+        engine.audit_camera(target, settings, events, function (record) {
+            events.emit('camera', record);
+            resolve(record);
+        });
+    });
+}
+
+// Audit every address in a list.
+// options
+//   ipaddress - the addresses to audit, in the same format as the --ipaddress command line option
+//               (eg '10.1.0.0/22,!10.1.0.1,192.168.1.10-192.168.1.20,camera1.example.com')
+//   or targets - a list of { ip, ports, credentials, https, path, label } for each address
+//   the options of auditCamera(), plus concurrency, precheck, precheckPorts, precheckTimeout and portScan
+// Events
+//   'log' (line) each line of the camera reports
+//   'camera' (record) as each camera is audited
+//   'progress' ({ total, scanned, responding, failed, notListening }) as each address is completed
+// Resolves with { cameras: [...], summary }. The cameras are sorted by IP address
+function auditRange(options) {
+    return start(function (events, resolve) {
+        if (!options || !(options.ipaddress || options.targets)) throw new Error('auditRange needs an ipaddress or a list of targets');
+        const settings = engine.resolve_options(options);
+        const targets = options.targets
+            || engine.build_targets(options.ipaddress, port_list(options.port).join(','), option_credentials(options), Boolean(options.https));
+        engine.audit_targets(targets, settings, events, function (cameras, summary) {
+            resolve({ cameras: cameras, summary: summary });
+        });
+    });
+}
+
+// Write audit.json, audit.csv and index.html for the results of auditRange() into 'folder'.
+// options
+//   title - the title of index.html
+//   comparison - the changes since a previous audit (from lib/compare.js) to include in index.html
+// The files are written before it returns. Throws an Error if one of them could not be written
+function writeReports(folder, result, options) {
+    options = options || {};
+    audit_output.write_machine_readable(folder, result.cameras, result.summary);
+    html_report.write_html_report(folder, options.title || 'ONVIF Audit', result.cameras, result.summary, options.comparison || null);
+}
+
+module.exports = {
+    auditCamera: auditCamera,
+    auditRange: auditRange,
+    writeReports: writeReports,
+    DEFAULTS: engine.DEFAULTS
+};
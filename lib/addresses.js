@@ -0,0 +1,202 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Address lists used by -i and the Config File
+ * Expands single addresses, ranges, CIDR blocks, IPv6 addresses, host names and exclusions into a list of addresses
+ */
+
+var net = require('net');
+
+// Largest number of addresses one range or CIDR block can expand to (a /16)
+const MAX_ADDRESSES = 65536;
+
+// Valid entries are
+// a) Single address 1.2.3.4
+// b) Range 10.10.10.50-10.10.10.99
+// c) CIDR block 10.1.0.0/22 (the network and broadcast addresses are not included)
+// d) IPv6 address fe80::1 or [fe80::1]
+// e) Host name camera1.example.com
+// f) List 1.1.1.1,2.2.2.2,3.3.3.3
+// g) Mixture 1.2.3.4,10.10.10.50-10.10.10.99,10.1.0.0/22,camera1.example.com
+// h) Exclusions starting with ! eg 10.1.0.0/22,!10.1.0.1,!10.1.0.100-10.1.0.120
+//
+// Returns { addresses: [...], errors: [{ item, message }] }. Entries that cannot be understood are
+// returned as errors so the rest of the list can still be audited
+function expand_ip_addresses(ip_addresses) {
+    let included = [];
+    let excluded = new Set();
+    let errors = [];
+
+    const items = String(ip_addresses).split(',').map(item => item.trim()).filter(item => item.length > 0);
+    for (const item of items) {
+        const exclude = item.startsWith('!');
+        try {
+            const list = expand_item(exclude ? item.substring(1).trim() : item);
+            if (exclude) list.forEach(address => excluded.add(address));
+            else included = included.concat(list);
+        } catch (err) {
+            errors.push({ item: item, message: err.message });
+        }
+    }
+
+    // remove duplicates (eg overlapping ranges) and exclusions
+    let seen = new Set();
+    const addresses = included.filter(function (address) {
+        if (seen.has(address) || excluded.has(address)) return false;
+        seen.add(address);
+        return true;
+    });
+    return { addresses: addresses, errors: errors };
+}
+
+// Expand one entry of the list. Throws an Error describing what is wrong with the entry
+function expand_item(item) {
+    // Range x.x.x.x-y.y.y.y. Host names can contain '-' so both sides must be IPv4 addresses
+    const range = /^([^-]+)-([^-]+)$/.exec(item);
+    if (range && net.isIPv4(range[1].trim()) && net.isIPv4(range[2].trim())) {
+        return generate_range(range[1].trim(), range[2].trim());
+    }
+
+    if (item.includes('/')) {
+        const parts = item.split('/');
+        if (parts.length !== 2 || !net.isIPv4(parts[0]) || !/^\d+$/.test(parts[1]) || parseInt(parts[1]) > 32) {
+            throw new Error('CIDR block format incorrect. Should be x.x.x.x/n eg 10.1.0.0/22');
+        }
+        return generate_cidr(parts[0], parseInt(parts[1]));
+    }
+
+    if (net.isIPv4(item)) return [item];
+
+    // IPv6 addresses can be given with or without [ ]
+    const ipv6 = item.replace(/^\[(.*)\]$/, '$1');
+    if (net.isIPv6(ipv6)) return [normalize_ipv6(ipv6)];
+
+    if (is_host_name(item)) return [item];
+
+    if (item.includes('-')) throw new Error('IP address range format incorrect. Should be x.x.x.x-y.y.y.y');
+    throw new Error('Not an IP address, IP address range, CIDR block or host name');
+}
+
+// Write an IPv6 address the same way every time (RFC 5952 - lower case, no leading zeros and the longest run of zeros as ::)
+// so duplicates and exclusions match however the address was typed, eg fe80::0001 and FE80:0:0:0:0:0:0:1 are both fe80::1.
+// A zone (eg %eth0) and an IPv4 address on the end (eg ::ffff:10.1.0.5) are kept as they are
+function normalize_ipv6(address) {
+    const zone_at = address.indexOf('%');
+    const zone = (zone_at >= 0 ? address.substring(zone_at) : '');
+    let text = (zone_at >= 0 ? address.substring(0, zone_at) : address).toLowerCase();
+    let ipv4 = '';
+    const with_ipv4 = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+    if (with_ipv4) {
+        ipv4 = with_ipv4[2];
+        text = (with_ipv4[1].endsWith('::') ? with_ipv4[1] : with_ipv4[1].slice(0, -1));
+    }
+
+    // The 16 bit groups, with the :: filled in with zeros. The IPv4 address takes the place of the last two groups
+    const count = (ipv4 ? 6 : 8);
+    const parse = part => (part === '' ? [] : part.split(':').map(group => parseInt(group, 16)));
+    const halves = text.split('::');
+    let groups = parse(halves[0]);
+    if (halves.length === 2) {
+        const tail = parse(halves[1]);
+        groups = groups.concat(new Array(count - groups.length - tail.length).fill(0), tail);
+    }
+
+    // The longest run of two or more zero groups (the first one if there is a tie) becomes ::
+    let best_start = -1;
+    let best_length = 1;
+    for (let i = 0; i < groups.length; i++) {
+        let length = 0;
+        while (i + length < groups.length && groups[i + length] === 0) length++;
+        if (length > best_length) {
+            best_start = i;
+            best_length = length;
+        }
+    }
+    const hex = groups.map(group => group.toString(16));
+    let result = (best_start < 0 ? hex.join(':')
+        : hex.slice(0, best_start).join(':') + '::' + hex.slice(best_start + best_length).join(':'));
+    if (ipv4) result += (result.endsWith(':') ? '' : ':') + ipv4;
+    return result + zone;
+}
+
+// DNS host names (RFC 1123). The last label cannot be all numbers, so a mistyped IPv4 address (eg 10.1.1) is not taken as a host name
+function is_host_name(name) {
+    if (name.length > 253) return false;
+    const labels = name.split('.');
+    if (!labels.every(label => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i.test(label))) return false;
+    return !/^\d+$/.test(labels[labels.length - 1]);
+}
+
+function generate_range(start_ip, end_ip) {
+    let start_long = toLong(start_ip);
+    let end_long = toLong(end_ip);
+    if (start_long > end_long) {
+        let tmp = start_long;
+        start_long = end_long
+        end_long = tmp;
+    }
+    if (end_long - start_long + 1 > MAX_ADDRESSES) {
+        throw new Error('IP address range is too large (' + (end_long - start_long + 1) + ' addresses). The limit is ' + MAX_ADDRESSES);
+    }
+    let range_array = [];
+    for (let i = start_long; i <= end_long; i++) {
+        range_array.push(fromLong(i));
+    }
+    return range_array;
+}
+
+// Every address in a CIDR block. The network and broadcast addresses are left out,
+// except in a /31 (a point to point link with no broadcast address) and a /32 (a single address)
+function generate_cidr(base_ip, prefix) {
+    const size = Math.pow(2, 32 - prefix);
+    if (size > MAX_ADDRESSES) {
+        throw new Error('CIDR block is too large (' + size + ' addresses). The limit is /16');
+    }
+    const mask = (prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0);
+    const network = (toLong(base_ip) & mask) >>> 0;
+    if (prefix >= 31) return generate_range(fromLong(network), fromLong(network + size - 1));
+    return generate_range(fromLong(network + 1), fromLong(network + size - 2));
+}
+
+// Sort IPv4 addresses numerically, followed by IPv6 addresses and host names as strings
+function compare_hosts(a, b) {
+    const a_is_ipv4 = net.isIPv4(a);
+    const b_is_ipv4 = net.isIPv4(b);
+    if (a_is_ipv4 && b_is_ipv4) return toLong(a) - toLong(b);
+    if (a_is_ipv4) return -1;
+    if (b_is_ipv4) return 1;
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+// IPv6 addresses need [ ] when used as the host of a URL
+function url_host(host) {
+    return (net.isIPv6(host) ? '[' + host + ']' : host);
+}
+
+//toLong taken from NPM package 'ip'
+function toLong(ip) {
+    let ipl = 0;
+    ip.split('.').forEach(function (octet) {
+        ipl <<= 8;
+        ipl += parseInt(octet);
+    });
+    return (ipl >>> 0);
+}
+
+//fromLong taken from NPM package 'ip'
+function fromLong(ipl) {
+    return ((ipl >>> 24) + '.' +
+        (ipl >> 16 & 255) + '.' +
+        (ipl >> 8 & 255) + '.' +
+        (ipl & 255));
+}
+
+module.exports = {
+    MAX_ADDRESSES: MAX_ADDRESSES,
+    expand_ip_addresses: expand_ip_addresses,
+    compare_hosts: compare_hosts,
+    url_host: url_host
+};
@@ -0,0 +1,195 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Machine readable output for the Audit
+ * audit.json holds one structured record per camera
+ * audit.csv holds one row per Video Source so it can be opened in a spreadsheet
+ */
+
+var fs = require('fs');
+var path = require('path');
+var device_inventory = require('./inventory');
+var remediation = require('./remediation');
+
+const CSV_COLUMNS = [
+    'host', 'port', 'https', 'error', 'site', 'group', 'location', 'comment',
+    'manufacturer', 'model', 'firmwareVersion', 'firmwareStatus', 'minimumFirmware', 'firmwareNotes', 'serialNumber', 'hardwareId',
+    'cameraTime', 'timeDriftSeconds', 'timeDriftExceeded', 'dateTimeType', 'timeZone', 'daylightSavings', 'ntpFromDHCP', 'ntpServers',
+    'videoSource', 'videoSourceToken', 'profileToken', 'profileName', 'profilePolicyMatched', 'encoding', 'width', 'height', 'ptz', 'ptzPresets', 'ptzSnapshots',
+    'rtspStatus', 'rtspError', 'rtspCodec', 'rtspWidth', 'rtspHeight', 'rtspFrameRate', 'rtspBitrateKbps', 'rtspClipFile',
+    'discoveryName', 'discoveryHardware', 'discoveryLocation', 'discoveryProfiles', 'discoveryUrn',
+    'onvifProfiles', 'hostname', 'macAddress', 'ipv4Addresses', 'dnsServers', 'defaultGateway', 'users',
+    'audioSources', 'relayOutputs', 'digitalInputs', 'mediaProfiles',
+    'openPorts', 'credentialStatus', 'credentialUsername', 'credentialSource', 'defaultPasswordVendor',
+    'highFindings', 'mediumFindings', 'lowFindings', 'findings', 'stepsOk', 'stepsFailed', 'failedSteps', 'fixStatus', 'fixChanges',
+    'snapshotUri', 'snapshotMethod', 'snapshotAuth', 'snapshotWidth', 'snapshotHeight', 'snapshotError',
+    'brightness', 'contrast', 'sharpness', 'uniformPercent', 'qualityFlags', 'tcpStreamUri', 'udpStreamUri', 'httpStreamUri', 'multicastStreamUri'
+];
+
+// Quote a CSV field if it contains a comma, quote or newline (RFC 4180)
+function csv_escape(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    if (/[",\r\n]/.test(str)) {
+        str = '"' + str.replace(/"/g, '""') + '"';
+    }
+    return str;
+}
+
+function build_csv(records) {
+    let lines = [CSV_COLUMNS.join(',')];
+
+    for (const record of records) {
+        const info = record.deviceInformation || {};
+        const inventory = record.inventory;
+        const network = (inventory ? inventory.network : {});
+        const failed_steps = (record.steps ? record.steps.filter(item => item.status !== 'ok') : null);
+        const camera_columns = {
+            host: record.host,
+            port: record.port,
+            https: record.https,
+            error: record.error,
+            site: (record.label ? record.label.site : null),
+            group: (record.label ? record.label.group : null),
+            location: (record.label ? record.label.location : null),
+            comment: (record.label ? record.label.comment : null),
+            manufacturer: info.manufacturer,
+            model: info.model,
+            firmwareVersion: info.firmwareVersion,
+            firmwareStatus: (record.firmware ? record.firmware.status : null),
+            minimumFirmware: (record.firmware ? record.firmware.minimumFirmware : null),
+            firmwareNotes: (record.firmware ? record.firmware.notes : null),
+            serialNumber: info.serialNumber,
+            hardwareId: info.hardwareId,
+            cameraTime: record.cameraTime,
+            timeDriftSeconds: record.timeDriftSeconds,
+            timeDriftExceeded: record.timeDriftExceeded,
+            dateTimeType: (record.timeSettings ? record.timeSettings.dateTimeType : null),
+            timeZone: (record.timeSettings ? record.timeSettings.timeZone : null),
+            daylightSavings: (record.timeSettings ? record.timeSettings.daylightSavings : null),
+            ntpFromDHCP: (record.ntp ? record.ntp.fromDHCP : null),
+            ntpServers: (record.ntp ? record.ntp.servers.join(' ') : null),
+            discoveryName: (record.discovery ? record.discovery.name : null),
+            discoveryHardware: (record.discovery ? record.discovery.hardware : null),
+            discoveryLocation: (record.discovery ? record.discovery.location : null),
+            discoveryProfiles: (record.discovery ? record.discovery.profiles.join(' ') : null),
+            discoveryUrn: (record.discovery ? record.discovery.urn : null),
+            onvifProfiles: (inventory && inventory.onvifProfiles ? inventory.onvifProfiles.join(' ') : null),
+            hostname: (network.hostname ? network.hostname.name : null),
+            macAddress: (inventory ? device_inventory.mac_address(inventory) : null),
+            ipv4Addresses: (network.interfaces ? [].concat(...network.interfaces.map(item => (item.ipv4 ? item.ipv4.addresses : []))).join(' ') : null),
+            dnsServers: (network.dns ? network.dns.servers.join(' ') : null),
+            defaultGateway: (network.gateway ? network.gateway.join(' ') : null),
+            users: (inventory && inventory.users ? inventory.users.map(item => item.username).join(' ') : null),
+            audioSources: (inventory && inventory.audioSources ? inventory.audioSources.length : null),
+            relayOutputs: (inventory && inventory.relayOutputs ? inventory.relayOutputs.length : null),
+            digitalInputs: (inventory && inventory.digitalInputs ? inventory.digitalInputs.length : null),
+            mediaProfiles: (inventory ? inventory.profiles.length : null),
+            openPorts: (record.openPorts ? record.openPorts.join(' ') : null),
+            credentialStatus: (record.credential ? record.credential.status : null),
+            credentialUsername: (record.credential ? record.credential.username : null),
+            credentialSource: (record.credential ? record.credential.source : null),
+            defaultPasswordVendor: (record.credential ? record.credential.defaultVendor : null),
+            highFindings: (record.security ? record.security.counts.high : null),
+            mediumFindings: (record.security ? record.security.counts.medium : null),
+            lowFindings: (record.security ? record.security.counts.low : null),
+            findings: (record.security ? record.security.findings.map(item => item.id).join(' ') : null),
+            stepsOk: (record.steps ? record.steps.length - failed_steps.length : null),
+            stepsFailed: (failed_steps ? failed_steps.length : null),
+            // Step names contain spaces, so the list is separated with ;
+            failedSteps: (failed_steps ? failed_steps.map(item => item.step + ' ' + (item.status || 'did not complete') + (item.code ? ' ' + item.code : '')).join('; ') : null),
+            fixStatus: (record.fix ? record.fix.status : null),
+            fixChanges: (record.fix ? record.fix.changes.map(remediation.format_change).join('; ') : null)
+        };
+
+        // Cameras with no Video Sources (or which failed to connect) still get one row
+        let sources = record.videoSources.length > 0 ? record.videoSources : [null];
+
+        sources.forEach(function (source, src_idx) {
+            let row = Object.assign({}, camera_columns);
+            if (source) {
+                row.videoSource = source.videoSource || src_idx + 1;
+                row.videoSourceToken = source.token;
+                row.profileToken = source.profileToken;
+                row.profileName = source.profileName;
+                row.profilePolicyMatched = source.profilePolicyMatched;
+                row.encoding = source.encoding;
+                row.width = source.width;
+                row.height = source.height;
+                if (source.rtsp) {
+                    row.rtspStatus = source.rtsp.status;
+                    row.rtspError = source.rtsp.error;
+                    row.rtspCodec = source.rtsp.codec;
+                    row.rtspWidth = source.rtsp.width;
+                    row.rtspHeight = source.rtsp.height;
+                    row.rtspFrameRate = source.rtsp.frameRate;
+                    row.rtspBitrateKbps = source.rtsp.bitrateKbps;
+                    row.rtspClipFile = source.rtsp.clipFile;
+                }
+                if (record.ptz) {
+                    // PTZ details of this Video Source
+                    const ptz_profile = record.ptz.profiles.find(item => item.profileToken === source.profileToken)
+                        || record.ptz.profiles.find(item => item.videoSourceToken === source.token);
+                    const ptz_snapshots = (record.ptz.snapshots || []).find(item => item.videoSource === row.videoSource);
+                    row.ptz = Boolean(ptz_profile);
+                    row.ptzPresets = (ptz_profile ? ptz_profile.presets.map(preset => preset.name).join(' ') : null);
+                    row.ptzSnapshots = (ptz_snapshots ? ptz_snapshots.views.filter(view => view.file).length : null);
+                } else {
+                    row.ptz = false;
+                }
+                row.snapshotUri = source.snapshotUri;
+                if (source.snapshot) {
+                    row.snapshotMethod = source.snapshot.method;
+                    row.snapshotAuth = source.snapshot.auth;
+                    row.snapshotWidth = source.snapshot.width;
+                    row.snapshotHeight = source.snapshot.height;
+                    row.snapshotError = source.snapshot.error;
+                }
+                if (source.quality) {
+                    row.brightness = source.quality.brightness;
+                    row.contrast = source.quality.contrast;
+                    row.sharpness = source.quality.sharpness;
+                    row.uniformPercent = source.quality.uniformPercent;
+                    row.qualityFlags = source.quality.flags.join('; ');
+                }
+                row.tcpStreamUri = source.streams.tcp;
+                row.udpStreamUri = source.streams.udp;
+                row.httpStreamUri = source.streams.http;
+                row.multicastStreamUri = source.streams.multicast;
+            }
+            lines.push(CSV_COLUMNS.map(column => csv_escape(row[column])).join(','));
+        });
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+// JSON.stringify replacer. Snapshots kept in memory (when the audit had no folder) are not written to audit.json
+function without_images(key, value) {
+    if (key === 'snapshotImage' || key === 'image') return undefined;
+    return value;
+}
+
+// Write audit.json and audit.csv into the audit folder.
+// summary holds the address counts (addresses, responding, failed, notListening)
+// and the Security Findings counted by severity
+// Written synchronously because writeReports() in index.js has no callback. The files are complete when it returns
+// and an Error is thrown if one could not be written
+function write_machine_readable(folder, records, summary) {
+    write_file(folder, 'audit.json', JSON.stringify({ summary: summary, cameras: records }, without_images, 2));
+    write_file(folder, 'audit.csv', build_csv(records));
+}
+
+function write_file(folder, filename, contents) {
+    try {
+        fs.writeFileSync(folder + path.sep + filename, contents);
+    } catch (err) {
+        throw new Error('Unable to write ' + filename + '. ' + err.message);
+    }
+}
+
+module.exports = {
+    build_csv: build_csv,
+    write_machine_readable: write_machine_readable
+};
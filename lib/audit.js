@@ -0,0 +1,1175 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * The Audit Engine
+ * Connects to each camera with ONVIF and builds a record of its settings, snapshots, streams and security findings.
+ * Used by the command line tool and by the API in index.js. Nothing here reads the command line, writes to the console
+ * or writes files unless a folder is given
+ */
+
+var Cam = require('onvif').Cam;
+var flow = require('nimble');
+var fs = require('fs');
+var path = require('path');
+var dns = require('dns');
+var net = require('net');
+var time_check = require('./time-check');
+var work_queue = require('./work-queue');
+var port_probe = require('./port-probe');
+var credential_list = require('./credentials');
+var security_checks = require('./security-checks');
+var ptz_inventory = require('./ptz');
+var device_inventory = require('./inventory');
+var profile_policy = require('./profile-policy');
+var rtsp_probe = require('./rtsp-probe');
+var snapshot = require('./snapshot');
+var image_quality = require('./image-quality');
+var remediation = require('./remediation');
+var firmware_baseline = require('./firmware-baseline');
+var diagnostics = require('./diagnostics');
+var address_list = require('./addresses');
+var config_file = require('./config-file');
+
+// Settings used when they are not given in the options
+const DEFAULTS = {
+    folder: null, // Folder for the snapshots, clips and camera reports. Nothing is written if this is not set
+    concurrency: 20, // Number of addresses to audit at the same time
+    cameraTimeout: 120000, // Give up on a camera if its audit has not completed in this time (ms)
+    precheck: true, // Check the ONVIF Port is open before connecting
+    precheckPorts: [], // Extra TCP ports (eg 554, 443) that show a device is present
+    precheckTimeout: 1500, // TCP connect timeout (ms) used to find addresses with nothing listening
+    portScan: false, // Record which common CCTV ports are open
+    securityChecks: true,
+    inventory: true, // Read the Services, network settings, users, I/O and all the Profiles and Encoder Configurations
+    maxDrift: '5s', // Cameras with a clock error above this are flagged
+    profilePolicy: 'best', // Which Profile(s) of each Video Source to audit. See lib/profile-policy.js
+    rtspProbe: false,
+    rtspDuration: 5, // Seconds of video to receive from each RTSP stream
+    rtspClip: false, // Save the video received by the RTSP Probe (needs a folder)
+    snapshotFallback: true, // Try the manufacturer's snapshot paths and the RTSP stream if the Snapshot URI does not give a JPEG
+    ffmpeg: 'ffmpeg', // Program used to grab a frame from the RTSP stream. null to turn this off
+    imageQuality: true, // Measure the brightness, contrast and sharpness of each snapshot
+    qualityThresholds: '', // Views outside these are flagged. See lib/image-quality.js
+    ptzSnapshots: false,
+    ptzPositions: [], // Absolute PTZ positions to take snapshots from, instead of the Presets
+    ptzSettle: 3000, // Time (ms) to wait after a PTZ move before taking a snapshot
+    fix: null, // Fix Policy (a filename or an object) for the NTP Servers, Time Zone, clock and Hostname. See lib/remediation.js
+    dryRun: false, // Only report the changes the Fix Policy would make
+    firmwareBaseline: null, // Firmware Baseline (a filename or a list) of the minimum approved firmware for each model. See lib/firmware-baseline.js
+    verbose: false, // Send the outcome of each step to the 'log' event as it completes
+    debugXml: false // Write every ONVIF request and reply to a log file for each camera (needs a folder)
+};
+
+// The Stream URIs requested for each selected Profile, and the key they are saved under
+const STREAM_TYPES = [
+    { name: 'TCP', key: 'tcp', protocol: 'RTSP', stream: 'RTP-Unicast' },
+    { name: 'UDP', key: 'udp', protocol: 'UDP', stream: 'RTP-Unicast' },
+    { name: 'HTTP', key: 'http', protocol: 'HTTP', stream: 'RTP-Unicast' },
+    /* Multicast is optional in Profile S, Mandatory in Profile T but could be disabled */
+    { name: 'Multicast', key: 'multicast', protocol: 'UDP', stream: 'RTP-Multicast' }
+];
+
+// Fill in the DEFAULTS and check the options. Throws an Error if an option is not valid
+function resolve_options(options) {
+    let resolved = Object.assign({}, DEFAULTS);
+    Object.keys(options || {}).forEach(function (key) {
+        if (options[key] !== undefined) resolved[key] = options[key];
+    });
+    resolved.maxDriftMs = time_check.parse_duration(String(resolved.maxDrift));
+    if (isNaN(resolved.maxDriftMs)) {
+        throw new Error('maxDrift format incorrect. Should be a number with optional units eg 2s, 500ms, 1m');
+    }
+    if (typeof resolved.profilePolicy === 'string') resolved.profilePolicy = profile_policy.parse_policy(resolved.profilePolicy);
+    if (typeof resolved.qualityThresholds === 'string') resolved.qualityThresholds = image_quality.parse_thresholds(resolved.qualityThresholds);
+    if (typeof resolved.fix === 'string') resolved.fix = remediation.load_policy(resolved.fix);
+    else if (resolved.fix) resolved.fix = remediation.check_policy(resolved.fix);
+    if (typeof resolved.firmwareBaseline === 'string') resolved.firmwareBaseline = firmware_baseline.load_baseline(resolved.firmwareBaseline);
+    else if (resolved.firmwareBaseline) resolved.firmwareBaseline = firmware_baseline.check_baseline(resolved.firmwareBaseline);
+    if (typeof resolved.ptzPositions === 'string') resolved.ptzPositions = ptz_inventory.parse_positions(resolved.ptzPositions);
+    return resolved;
+}
+
+// Expand an IP address list into one target per address.
+// port can be a single port or a list of ports (eg '80,8080,443') which are tried in turn
+// credentials is a list of { username, password, source } which are tried in turn
+// Entries in the list that cannot be understood become targets with an 'error', so they are reported with the failed addresses
+function build_targets(ip_addresses, port, credentials, https) {
+    const ports = String(port).split(',').map(item => item.trim()).filter(item => item.length > 0);
+    const expanded = address_list.expand_ip_addresses(ip_addresses);
+    let list = expanded.addresses.map(function (ip_entry) {
+        return { ip: ip_entry, ports: ports, credentials: credentials, https: https };
+    });
+    for (const item of expanded.errors) {
+        list.push({ ip: item.item, ports: ports, credentials: credentials, https: https, error: 'Invalid address. ' + item.message });
+    }
+    return list;
+}
+
+// Audit every target, with at most options.concurrency cameras being audited at once.
+// events receives 'log' (a line of the camera reports), 'camera' (each record as it completes) and
+// 'progress' ({ total, scanned, responding, failed, notListening }) events
+// callback(records, summary) is called once every target has completed. Records are sorted by IP address
+function audit_targets(targets, options, events, callback) {
+    let counts = {
+        total: targets.length,
+        scanned: 0,
+        responding: 0,
+        failed: 0,
+        notListening: 0
+    };
+
+    work_queue.run_queue(targets, options.concurrency, function (target, done) {
+        // Invalid addresses go straight to audit_camera() which reports the error
+        if (target.error) return audit_camera(target, options, events, done);
+
+        precheck_target(target, options, function (listening) {
+            // Addresses with nothing listening are counted but not reported
+            if (!listening) return done(null);
+            audit_camera(target, options, events, done);
+        });
+    }, function (record) {
+        counts.scanned++;
+        if (record === null) {
+            counts.notListening++;
+        } else {
+            if (record.error) counts.failed++;
+            else counts.responding++;
+            events.emit('camera', record);
+        }
+        events.emit('progress', Object.assign({}, counts));
+    }, function (results) {
+        const summary = {
+            addresses: counts.total,
+            responding: counts.responding,
+            failed: counts.failed,
+            notListening: counts.notListening
+        };
+        if (options.securityChecks) {
+            // Site wide count of Security Findings by severity
+            let all_findings = [];
+            for (const record of results) {
+                if (record && record.security) all_findings = all_findings.concat(record.security.findings);
+            }
+            summary.findings = security_checks.count_findings(all_findings);
+        }
+        if (options.fix) {
+            // Number of cameras the Fix Policy changed, failed on, would change (--dry-run) or did not need to change
+            summary.fix = Object.assign({ dryRun: Boolean(options.dryRun) }, remediation.count_results(results));
+        }
+        if (options.firmwareBaseline) {
+            // Number of compliant, outdated and unknown cameras, and the same for each manufacturer and model
+            summary.firmware = firmware_baseline.rollup(results);
+        }
+        if (options.imageQuality) {
+            // Site wide count of the views flagged by the Image Quality checks, eg { measured: 40, flagged: 3, blurred: 2, dark: 1 }
+            summary.imageQuality = { measured: 0, flagged: 0 };
+            for (const record of results) {
+                for (const source of (record ? record.videoSources : [])) {
+                    if (!source.quality) continue;
+                    summary.imageQuality.measured++;
+                    if (source.quality.flags.length > 0) summary.imageQuality.flagged++;
+                    for (const flag of source.quality.flags) summary.imageQuality[flag] = (summary.imageQuality[flag] || 0) + 1;
+                }
+            }
+        }
+
+        // sort by IP address. The Cameras reply in a random order
+        const records = results.filter(record => record !== null);
+        records.sort((a, b) => address_list.compare_hosts(a.host, b.host));
+        callback(records, summary);
+    });
+}
+
+// Quick TCP connect to the ONVIF Ports (and any PRECHECK_PORTS) so addresses with nothing listening
+// can be skipped without waiting for the ONVIF timeout. ONVIF Ports that are closed are removed from target.ports
+// With --port-scan the open CCTV ports are saved in target.openPorts
+// callback(listening)
+function precheck_target(target, options, callback) {
+    // Host names must be found in DNS first. Otherwise a name that does not exist looks the same as a device that is switched off
+    if (!net.isIP(target.ip)) {
+        return dns.lookup(target.ip, function (err) {
+            if (err) {
+                target.error = 'Cannot find host name ' + target.ip + ' in DNS (' + err.code + ')';
+                return callback(true);
+            }
+            check_ports(target, options, callback);
+        });
+    }
+    check_ports(target, options, callback);
+}
+
+// Check which of the ONVIF Ports and Precheck Ports are open
+function check_ports(target, options, callback) {
+    let precheck_ports = [];
+    if (options.precheck) precheck_ports = target.ports.map(item => parseInt(item)).concat(options.precheckPorts);
+
+    let ports = precheck_ports.slice();
+    if (options.portScan) ports = ports.concat(port_probe.CCTV_PORTS);
+    ports = ports.filter((item, index) => ports.indexOf(item) === index); // remove duplicates
+
+    port_probe.probe_ports(target.ip, ports, options.precheckTimeout, function (open_ports) {
+        if (options.portScan) target.openPorts = open_ports.filter(item => port_probe.CCTV_PORTS.includes(item));
+
+        const listening = (precheck_ports.length === 0 || precheck_ports.some(item => open_ports.includes(item)));
+
+        // Only try the ONVIF Ports that are open. If none are open (but a PRECHECK_PORT is) try them all
+        if (options.precheck) {
+            const open_onvif_ports = target.ports.filter(item => open_ports.includes(parseInt(item)));
+            if (open_onvif_ports.length > 0) target.ports = open_onvif_ports;
+        }
+        callback(listening);
+    });
+}
+
+// Audit a single camera. callback(record) is called once when the audit of this address has
+// finished, including the snapshot downloads and the camera report file.
+// Files (snapshots, clips and the camera report) are only written when options.folder is set.
+// Without a folder the snapshots are kept in the record as Buffers (snapshotImage)
+// The lines of the camera report are sent to the console with 'log' events
+function audit_camera(target, options, events, callback) {
+    const ip_entry = target.ip;
+    const folder = options.folder;
+    const log = function (msg) {
+        events.emit('log', msg);
+    };
+    const port = target.ports[0]; // further ports are tried if this one fails
+    const use_https = (target.https || parseInt(port) === 443);
+    // The first credential is used until find_credential() finds the one that works
+    let username = target.credentials[0].username;
+    let password = target.credentials[0].password;
+    let got_credential = null; // { status, index, count, username, source, authentication, defaultVendor } of the credential that worked
+    let steps = []; // Outcome and duration of each ONVIF command and audit step (see lib/diagnostics.js)
+    let close_traffic_log = null; // Set with --debug-xml
+
+    // Stop a camera that never replies from holding up the end of the audit
+    let finished = false;
+    let watchdog = setTimeout(watchdog_expired, options.cameraTimeout);
+
+    function watchdog_expired() {
+        finish(error_record('Audit did not complete within ' + (options.cameraTimeout / 1000) + ' seconds'));
+    }
+
+    // Long running steps (eg moving a PTZ camera to every Preset) restart the watchdog as they make progress
+    function restart_watchdog() {
+        if (finished) return;
+        clearTimeout(watchdog);
+        watchdog = setTimeout(watchdog_expired, options.cameraTimeout);
+    }
+
+    function finish(record) {
+        if (finished) return;
+        finished = true;
+        clearTimeout(watchdog);
+        if (close_traffic_log) return close_traffic_log(() => callback(record));
+        callback(record);
+    }
+
+    // Start timing a step. With the verbose option each step is logged as it completes
+    let open_steps = []; // end() of each step that has started but not completed
+    function begin_step(name) {
+        const end = diagnostics.begin_step(steps, name, function (entry) {
+            open_steps = open_steps.filter(item => item !== end);
+            if (options.verbose) log(ip_entry + ' ' + diagnostics.format_step(entry));
+        });
+        open_steps.push(end);
+        return end;
+    }
+
+    // A copy of the steps for the record, as steps that have not completed may still be updated
+    function step_list() {
+        return steps.map(entry => Object.assign({}, entry));
+    }
+
+    function error_record(message) {
+        return {
+            host: ip_entry,
+            port: port,
+            https: use_https,
+            error: message,
+            deviceInformation: null,
+            cameraTime: null,
+            timeDriftSeconds: null,
+            roundTripMs: null,
+            timeDriftExceeded: null,
+            timeSettings: null,
+            ntp: null,
+            openPorts: (target.openPorts ? target.openPorts : null),
+            credential: got_credential,
+            security: null,
+            fix: null,
+            firmware: null,
+            ptz: null,
+            inventory: null,
+            discovery: (target.discovery ? target.discovery : null),
+            label: (target.label ? target.label : null),
+            steps: step_list(),
+            videoSources: []
+        };
+    }
+
+    // Invalid addresses and host names that are not in DNS are reported like any other failed address
+    if (target.error) return finish(error_record(target.error));
+
+    // Settings for lib/snapshot.js. The Username and Password are the ones find_credential() chose
+    function snapshot_options(src_idx, manufacturer) {
+        return {
+            host: ip_entry, // in case the camera is behind NAT
+            port: port,
+            https: use_https,
+            username: username,
+            password: password,
+            timeout: 10000,
+            manufacturer: manufacturer,
+            src_idx: src_idx,
+            fallback: options.snapshotFallback,
+            ffmpeg: options.ffmpeg
+        };
+    }
+
+    // Save a JPEG in 'filename' if there is one. callback(err)
+    function save_jpeg(filename, jpeg, callback) {
+        if (!filename) return callback(null);
+        fs.writeFile(filename, jpeg, function (err) {
+            if (err) log('Error writing to file ' + filename + '. ' + err.message);
+            callback(err);
+        });
+    }
+
+    // workaround the ONVIF Library API
+    // Cam() with a username and password tries to connect (and genertes a callback error)
+    // and then it tries to call some SOAP methods which fails (and it generates a callback error)
+    let shown_error = false;
+
+    log("Connecting to " + ip_entry + ':' + port + (use_https ? ' (HTTPS)' : ''));
+
+    let cam;
+    try {
+        cam = new Cam({
+            hostname: ip_entry,
+            username: username,
+            password: password,
+            port: port,
+            path: target.path, // the Device Service path from WS-Discovery. The ONVIF Library uses /onvif/device_service if this is not set
+            useSecure: use_https,
+            secureOpts: { rejectUnauthorized: false }, // cameras normally have self-signed certificates
+            timeout: 5000,
+            autoconnect: false
+        });
+    } catch (err) {
+        begin_step('Connect')(err);
+        return finish(error_record('Cannot create the ONVIF connection. ' + err.message));
+    }
+
+    // With --debug-xml every ONVIF request and reply is written to a log file for this camera
+    if (options.debugXml && folder) {
+        const xml_filename = folder + path.sep + xml_log_filename(ip_entry);
+        close_traffic_log = diagnostics.log_traffic(cam, xml_filename, function (err) {
+            log('Error writing to file ' + xml_filename + '. ' + err.message);
+        });
+    }
+
+    // Try each Username and Password until GetDeviceInformation works, then connect with that one
+    const end_credentials = begin_step('Credentials');
+    credential_list.find_credential(cam, target.credentials, function (err, index, authentication) {
+        if (err) {
+            end_credentials(err);
+            return connected(err);
+        }
+
+        if (index < 0) {
+            end_credentials(new Error('Not authorized with any of the ' + target.credentials.length + ' credential(s)'));
+            got_credential = { status: 'none', count: target.credentials.length };
+        } else {
+            end_credentials(null);
+            const credential = target.credentials[index];
+            username = credential.username;
+            password = credential.password;
+            // A default password is only reported when the camera checks passwords. A blank password is sent
+            // with no Username Token, so it working only shows the camera answers without a password
+            const checked = (authentication === true && credential.password !== '');
+            got_credential = {
+                status: 'ok',
+                index: index + 1,
+                count: target.credentials.length,
+                username: credential.username,
+                source: credential.source,
+                authentication: authentication,
+                defaultVendor: (checked ? credential_list.default_credential_vendor(credential.username, credential.password) : null)
+            };
+        }
+        const end_connect = begin_step('Connect');
+        cam.connect(function (err) {
+            end_connect(err);
+            connected(err);
+        });
+    });
+
+    // The ONVIF Library catches exceptions thrown in its callbacks and calls the callback again with the exception,
+    // so the audit is started on the next tick and only once
+    let connect_replied = false;
+    function connected(err) {
+        if (connect_replied) return;
+        connect_replied = true;
+        setImmediate(function () {
+            CamFunc.call(cam, err);
+        });
+    }
+
+    function CamFunc(err) {
+        if (err) {
+            if (shown_error == false && target.ports.length > 1) {
+                // Try the next ONVIF Port. The audit of the next Port calls the callback
+                log("Cannot connect to " + ip_entry + ":" + port + ". Trying next port");
+                shown_error = true;
+                finished = true;
+                clearTimeout(watchdog);
+                const next_port = function () {
+                    audit_camera(Object.assign({}, target, { ports: target.ports.slice(1) }), options, events, callback);
+                };
+                if (close_traffic_log) return close_traffic_log(next_port);
+                next_port();
+                return;
+            }
+            if (shown_error == false) {
+                log('------------------------------');
+                log("Cannot connect to " + ip_entry + ":" + port);
+                // cut the error at \n
+                if (err.message) log(err.message);
+                else log(err);
+                log('------------------------------');
+                shown_error = true;
+
+                finish(error_record(err.message ? err.message : String(err)));
+            }
+            return;
+        }
+
+        let cam_obj = this;
+
+        let got_date;
+        let got_clock; // Offset between the camera's clock and this computer's clock
+        let got_time_settings; // DateTimeType, DaylightSavings and TimeZone
+        let got_ntp;
+        let got_info;
+        let got_videosources = [];
+        let got_profiles = [];
+        let selected = []; // The Profiles chosen by the Profile Policy, each { src_idx, profile, matched }. Usually one per Video Source
+        let got_snapshots = []; // JPEG Imag URLs, indexed like 'selected'
+        let got_livestreams = []; // RTSP URLs, indexed like 'selected'
+        let got_security = null; // { checks, findings, counts } from the Security Checks
+        let got_fix = null; // { dryRun, status, changes } from --fix
+        let got_firmware = null; // { status, minimumFirmware, notes, rule, reason } from the Firmware Baseline
+        let got_ptz = null; // { nodes, profiles, snapshots } for PTZ cameras
+        let got_inventory = null; // Services, network settings, users, I/O, Profiles and Encoder Configurations
+        let got_rtsp = []; // RTSP Probe results, indexed like 'selected'
+
+        let running = null; // { name, next } of the flow step that is running
+
+        // Wrap a step of the flow. next() only moves the flow on once, and an exception in the step
+        // is recorded in 'steps' and the audit carries on with the next step
+        function guard(name, step) {
+            return function (nimble_callback) {
+                let called = false;
+                const next = function () {
+                    if (called) return;
+                    called = true;
+                    nimble_callback();
+                };
+                running = { name: name, next: next };
+                try {
+                    step(next);
+                } catch (err) {
+                    step_failed(err);
+                }
+            };
+        }
+
+        function step_failed(err) {
+            // The exception ends the steps that were in progress, or is recorded against the flow step
+            if (open_steps.length > 0) open_steps.slice().forEach(end => end(err));
+            else begin_step(running.name)(err);
+            running.next();
+        }
+
+        // Wrap a callback from one of the audit modules so an exception in it is handled like an exception in the step
+        function protect(fn) {
+            return function () {
+                try {
+                    fn.apply(null, arguments);
+                } catch (err) {
+                    step_failed(err);
+                }
+            };
+        }
+
+        // Send one ONVIF command and record its outcome in 'steps'.
+        // send(reply) sends the command. handler(err, result, xml) saves what is needed from the reply. An exception
+        // in the handler (eg a reply without the expected fields) is recorded as a parse error. Then done() is called, once
+        function run_command(name, send, handler, done) {
+            const end = begin_step(name);
+            let replied = false;
+            const reply = function (err, result, xml) {
+                // The ONVIF Library calls back a second time if an exception is thrown in its callback
+                if (replied) return;
+                replied = true;
+                let handler_err = null;
+                try {
+                    handler(err, result, xml);
+                } catch (caught) {
+                    handler_err = caught;
+                }
+                if (!err && handler_err) end(new Error('Could not parse the reply. ' + handler_err.message), xml);
+                else end(err, xml);
+                // Carry on outside the ONVIF Library's callback
+                setImmediate(protect(done));
+            };
+            try {
+                send(reply);
+            } catch (err) {
+                reply(err);
+            }
+        }
+
+        // Use Nimble to execute each ONVIF function in turn
+        // This is used so we can wait on all ONVIF replies before
+        // writing to the console
+        flow.series([
+            guard('Date and Time', function (next) {
+                let request_start;
+                let reply_xml = null;
+                run_command('GetSystemDateAndTime', function (reply) {
+                    request_start = Date.now();
+                    cam_obj.getSystemDateAndTime(reply);
+                }, function (err, date, xml) {
+                    const request_end = Date.now();
+                    if (err || !date) return;
+
+                    got_date = date;
+                    got_clock = time_check.calculate_offset(date, request_start, request_end);
+                    reply_xml = xml;
+                }, function () {
+                    if (!reply_xml) return next();
+                    time_check.parse_date_time_settings(reply_xml, protect(function (err, settings) {
+                        if (!err) got_time_settings = settings;
+                        next();
+                    }));
+                });
+            }),
+            guard('NTP', function (next) {
+                run_command('GetNTP', function (reply) {
+                    cam_obj.getNTP(reply);
+                }, function (err, ntp) {
+                    if (!err && ntp) {
+                        got_ntp = {
+                            fromDHCP: ntp.fromDHCP,
+                            servers: time_check.ntp_server_list(ntp.fromDHCP ? ntp.NTPFromDHCP : ntp.NTPManual)
+                        };
+                    }
+                }, next);
+            }),
+            guard('Device Information', function (next) {
+                run_command('GetDeviceInformation', function (reply) {
+                    cam_obj.getDeviceInformation(reply);
+                }, function (err, info, xml) {
+                    if (err) return;
+                    got_info = info;
+                    // The ONVIF Library turns a firmware version that looks like a number into a number, so 1.10 becomes 1.1. Use the text from the XML
+                    const firmware = /<(?:\w+:)?FirmwareVersion>([^<]*)</.exec(xml || '');
+                    if (typeof info.firmwareVersion === 'number' && firmware) info.firmwareVersion = firmware[1].trim();
+                }, next);
+            }),
+            guard('Video Sources', function (next) {
+                run_command('GetVideoSources', function (reply) {
+                    cam_obj.getVideoSources(reply);
+                }, function (err, videoSources) {
+                    if (!err) got_videosources = videoSources;
+                }, next);
+            }),
+            guard('Profiles', function (next) {
+                run_command('GetProfiles', function (reply) {
+                    cam_obj.getProfiles(reply);
+                }, function (err, profiles) {
+                    if (!err) got_profiles = profiles;
+                }, next);
+            }),
+            guard('Profile Policy', function (next) {
+                // Compare VideoSources with Profiles.
+                // Choose the ONVIF Profile(s) of each Video Source with the Profile Policy
+                selected = profile_policy.select_profiles(options.profilePolicy, got_videosources, got_profiles);
+                for (let i = 0; i < selected.length; i++) {
+                    // create empty placeholders
+                    got_snapshots.push({videoSourceToken: null, uri: null, capture: null});
+                    got_livestreams.push({tcp: null, udp: null, http: null, multicast: null});
+                }
+                next();
+            }),
+            guard('Stream URIs', function (next) {
+                // The TCP, UDP, HTTP and Multicast Stream URIs of each selected Profile, one at a time
+                let sel_idx = 0;
+                let type_idx = 0;
+                const next_uri = function () {
+                    if (type_idx >= STREAM_TYPES.length) {
+                        type_idx = 0;
+                        sel_idx++;
+                    }
+                    if (sel_idx >= selected.length) return next();
+                    const this_idx = sel_idx;
+                    const type = STREAM_TYPES[type_idx++];
+                    const profileToken = selected[this_idx].profile.$.token;
+
+                    run_command('GetStreamUri ' + type.name + ' ' + profileToken, function (reply) {
+                        cam_obj.getStreamUri({
+                            protocol: type.protocol,
+                            stream: type.stream,
+                            profileToken: profileToken
+                        }, reply);
+                    }, function (err, stream) {
+                        if (!err) got_livestreams[this_idx][type.key] = stream.uri;
+                    }, next_uri);
+                };
+                next_uri();
+            }),
+            guard('Snapshots', function (next) {
+                // The ONVIF device may have multiple Video Sources
+                // eg 4 channel IP encoder or Panoramic Cameras
+                // Grab a JPEG Image from each VideoSource (from each selected Profile), one at a time
+                let sel_idx = 0;
+                const next_selection = function () {
+                    if (sel_idx >= selected.length) return next();
+                    const this_idx = sel_idx++;
+                    const profileToken = selected[this_idx].profile.$.token;
+                    const videoSource = got_videosources[selected[this_idx].src_idx];
+                    got_snapshots[this_idx].videoSourceToken = videoSource.$.token;
+
+                    run_command('GetSnapshotUri ' + profileToken, function (reply) {
+                        cam_obj.getSnapshotUri({ profileToken: profileToken }, reply);
+                    }, function (err, getUri_result) {
+                        if (!err && getUri_result && getUri_result.uri) got_snapshots[this_idx].uri = getUri_result.uri;
+                    }, function () {
+                        // Use the Snapshot URI, or fall back to the manufacturer's snapshot paths and the RTSP stream
+                        const end_snapshot = begin_step('Snapshot ' + profileToken);
+                        snapshot.get_snapshot(Object.assign(snapshot_options(selected[this_idx].src_idx, (got_info ? got_info.manufacturer : null)), {
+                            snapshotUri: got_snapshots[this_idx].uri,
+                            rtspUri: got_livestreams[this_idx].tcp
+                        }), protect(function (result) {
+                            end_snapshot(result.method ? null : new Error(result.error));
+                            const jpeg = result.jpeg;
+                            delete result.jpeg;
+                            got_snapshots[this_idx].capture = result;
+                            if (!jpeg) return next_selection();
+
+                            if (options.imageQuality) {
+                                // Look for views that are dark, over-exposed, blurred or obscured
+                                const end_quality = begin_step('Image Quality ' + profileToken);
+                                try {
+                                    got_snapshots[this_idx].quality = image_quality.analyse(jpeg, options.qualityThresholds);
+                                    end_quality(null);
+                                } catch (err) {
+                                    end_quality(new Error('Could not parse the JPEG. ' + (err.message || err)));
+                                }
+                            }
+
+                            if (!folder) got_snapshots[this_idx].image = jpeg;
+                            save_jpeg((folder ? folder + path.sep + snapshot_filename(ip_entry, this_idx, selected.length) : null), jpeg, protect(function (err) {
+                                if (!err) got_snapshots[this_idx].saved = true;
+                                next_selection();
+                            }));
+                        }));
+                    });
+                };
+                next_selection();
+            }),
+            guard('RTSP Probe', function (next) {
+                // With --rtsp-probe, check the TCP RTSP stream of each Video Source (each selected Profile) actually plays
+                if (!options.rtspProbe) return next();
+
+                let sel_idx = 0;
+                const next_source = function () {
+                    if (sel_idx >= selected.length) return next();
+                    const this_idx = sel_idx++;
+                    const stream_uri = got_livestreams[this_idx].tcp;
+                    if (!stream_uri) return next_source();
+
+                    restart_watchdog();
+                    const end_probe = begin_step('RTSP Probe ' + selected[this_idx].profile.$.token);
+                    rtsp_probe.probe(stream_uri, {
+                        host: ip_entry, // in case the camera is behind NAT
+                        username: username,
+                        password: password,
+                        duration: options.rtspDuration * 1000,
+                        timeout: 5000,
+                        clipFile: (options.rtspClip && folder ? folder + path.sep + clip_filename(ip_entry, this_idx, selected.length) : null)
+                    }, protect(function (result) {
+                        end_probe(result.error ? new Error(result.error) : null);
+                        // Only the filename is kept, like the snapshots
+                        if (result.clipFile) result.clipFile = path.basename(result.clipFile);
+                        got_rtsp[this_idx] = result;
+                        next_source();
+                    }));
+                };
+                next_source();
+            }),
+            guard('PTZ Inventory', function (next) {
+                // PTZ Nodes and Presets
+                const end_ptz = begin_step('PTZ Inventory');
+                ptz_inventory.get_inventory(cam_obj, got_profiles, protect(function (ptz) {
+                    end_ptz(null);
+                    got_ptz = ptz;
+                    next();
+                }));
+            }),
+            guard('Inventory', function (next) {
+                // Device Inventory for the as-built record
+                if (!options.inventory) return next();
+                const end_inventory = begin_step('Inventory');
+                device_inventory.get_inventory(cam_obj, got_profiles, protect(function (inventory) {
+                    end_inventory(null);
+                    got_inventory = inventory;
+                    next();
+                }));
+            }),
+            guard('PTZ Snapshots', function (next) {
+                // With --ptz-snapshots, take a snapshot at every Preset (or PTZ position) of each PTZ Video Source
+                if (!options.ptzSnapshots || !got_ptz) return next();
+                got_ptz.snapshots = [];
+
+                let src_idx = 0;
+                const next_source = function () {
+                    if (src_idx >= got_videosources.length) return next();
+                    const this_idx = src_idx++;
+                    const source_token = got_videosources[this_idx].$.token;
+                    // The first Profile selected for this Video Source is used for the snapshots
+                    const sel_idx = selected.findIndex(item => item.src_idx === this_idx);
+                    if (sel_idx < 0) return next_source();
+
+                    // Use the PTZ settings of the Profile used for the snapshot, or any PTZ Profile for this Video Source
+                    const ptz_profile = got_ptz.profiles.find(item => item.profileToken === selected[sel_idx].profile.$.token)
+                        || got_ptz.profiles.find(item => item.videoSourceToken === source_token);
+                    const capture = got_snapshots[sel_idx].capture;
+                    if (!ptz_profile || !capture || !capture.method) return next_source();
+
+                    log('Taking PTZ snapshots of ' + ip_entry + ' Video Source ' + (this_idx + 1));
+                    const end_views = begin_step('PTZ Snapshots Video Source ' + (this_idx + 1));
+                    ptz_inventory.visit_views(cam_obj, ptz_profile, options.ptzPositions, options.ptzSettle, function (view, view_idx, snapshot_saved) {
+                        restart_watchdog();
+                        const file = ptz_snapshot_filename(ip_entry, this_idx, got_videosources.length, view_idx);
+                        // Take each snapshot the same way as the Video Source's snapshot
+                        snapshot.repeat_snapshot(capture, snapshot_options(this_idx, null), function (err, jpeg) {
+                            if (err) return snapshot_saved(null, 'Snapshot failed. ' + (err.message || err));
+                            if (!folder) return snapshot_saved(null, null, jpeg);
+                            save_jpeg(folder + path.sep + file, jpeg, function (err) {
+                                if (err) snapshot_saved(null, 'Snapshot not saved. ' + err.message);
+                                else snapshot_saved(file, null);
+                            });
+                        });
+                    }, protect(function (result) {
+                        end_views(result.skipped ? new Error(result.skipped) : null);
+                        got_ptz.snapshots.push(Object.assign({ videoSource: this_idx + 1, profileToken: ptz_profile.profileToken }, result));
+                        next_source();
+                    }));
+                };
+                next_source();
+            }),
+            guard('Security Checks', function (next) {
+                // Security Checks. Which commands work without a password, credentials in URIs, HTTPS and WS-Discovery
+                if (!options.securityChecks) return next();
+
+                let stream_uris = [];
+                for (const streams of got_livestreams) {
+                    stream_uris = stream_uris.concat([streams.tcp, streams.udp, streams.http, streams.multicast].filter(uri => uri));
+                }
+                const first_snapshot = got_snapshots.find(item => item.uri);
+
+                const end_security = begin_step('Security Checks');
+                security_checks.run_security_checks(cam_obj, {
+                    hostname: ip_entry,
+                    port: port,
+                    useSecure: use_https,
+                    timeout: 5000,
+                    profileToken: (selected.length > 0 ? selected[0].profile.$.token : null),
+                    snapshotUri: (first_snapshot ? first_snapshot.uri : null),
+                    streamUris: stream_uris,
+                    credential: got_credential,
+                    openPorts: target.openPorts
+                }, protect(function (security) {
+                    end_security(null);
+                    got_security = security;
+                    next();
+                }));
+            }),
+            guard('Firmware Baseline', function (next) {
+                // Compare the firmware with the minimum approved firmware for this manufacturer and model
+                if (options.firmwareBaseline) got_firmware = firmware_baseline.check_firmware(options.firmwareBaseline, got_info);
+                next();
+            }),
+            guard('Fix', function (next) {
+                // With --fix, change the NTP Servers, Time Zone, clock and Hostname to match the Fix Policy (or only plan it with --dry-run)
+                if (!options.fix) return next();
+                const end_fix = begin_step(options.dryRun ? 'Fix (dry run)' : 'Fix');
+                remediation.fix_camera(cam_obj, options.fix, {
+                    ip: ip_entry,
+                    manufacturer: (got_info ? got_info.manufacturer : null),
+                    model: (got_info ? got_info.model : null),
+                    serial: (got_info ? got_info.serialNumber : null),
+                    site: (target.label ? target.label.site : null),
+                    group: (target.label ? target.label.group : null),
+                    location: (target.label ? target.label.location : null),
+                    maxDriftMs: options.maxDriftMs
+                }, options.dryRun, protect(function (result) {
+                    const failed = result.changes.filter(change => change.status === 'failed' || change.status === 'skipped');
+                    end_fix(failed.length > 0 ? new Error(failed.map(change => change.setting + ' - ' + change.error).join('. ')) : null);
+                    got_fix = result;
+                    next();
+                }));
+            }),
+            guard('Camera Report', function (next) {
+                log('------------------------------');
+                log('Host: ' + ip_entry + ' Port: ' + port + (use_https ? ' (HTTPS)' : ''));
+                if (target.label) log('Label: = ' + config_file.format_label(target.label));
+                log('Date: = ' + got_date);
+                if (got_clock) {
+                    log('Time Drift: = ' + format_drift(got_clock.offsetSeconds)
+                        + (Math.abs(got_clock.offsetSeconds) * 1000 > options.maxDriftMs ? ' ** exceeds ' + options.maxDrift + ' **' : ''));
+                }
+                log('Info: = ' + JSON.stringify(got_info));
+                if (got_firmware) log('Firmware: = ' + firmware_baseline.format_firmware(got_firmware));
+                if (target.openPorts) log('Open Ports: = ' + target.openPorts.join(' '));
+                log('Credential: = ' + format_credential(got_credential));
+                if (target.discovery) {
+                    for (const line of format_discovery(target.discovery)) log(line.replace(':=', ': ='));
+                }
+                if (got_ptz) {
+                    for (const line of ptz_inventory.format_inventory(got_ptz)) log(line);
+                    for (const item of (got_ptz.snapshots || [])) {
+                        if (item.skipped) log('PTZ Snapshots: = Video Source ' + item.videoSource + ' skipped. ' + item.skipped);
+                        else log('PTZ Snapshots: = Video Source ' + item.videoSource + ' ' + item.views.filter(view => view.file).length + ' of ' + item.views.length
+                            + (item.returnedToStart ? ' (returned to start position)' : ' (NOT returned to start position)'));
+                    }
+                }
+                if (got_inventory) log('Inventory: = ' + device_inventory.format_summary(got_inventory));
+                if (got_security) {
+                    log('Security Findings: = ' + format_finding_counts(got_security.counts));
+                    for (const item of got_security.findings) {
+                        log('  [' + item.severity.toUpperCase() + '] ' + item.title + (item.detail ? ' - ' + item.detail : ''));
+                    }
+                }
+                if (got_fix) {
+                    log((got_fix.dryRun ? 'Fix (dry run): = ' : 'Fix: = ') + got_fix.status);
+                    for (const change of got_fix.changes) log('  ' + remediation.format_change(change));
+                }
+                log('Steps: = ' + diagnostics.format_step_counts(diagnostics.count_steps(steps)));
+                for (const entry of steps.filter(item => item.status !== 'ok')) log('  ' + diagnostics.format_step(entry));
+                for (let i = 0; i < selected.length; i++) {
+                    log(selected_heading(i));
+
+                    if (got_snapshots[i].uri != null) {
+                        log('Snapshot URI: =          ' + got_snapshots[i].uri);
+                    }
+                    log('Snapshot: =              ' + snapshot.format_result(got_snapshots[i].capture));
+                    if (got_snapshots[i].quality) {
+                        log('Image Quality: =         ' + image_quality.format_quality(got_snapshots[i].quality));
+                    }
+                    if (got_livestreams[i].tcp != null) {
+                        log('Live TCP Stream: =       ' + got_livestreams[i].tcp);
+                    }
+                    if (got_livestreams[i].udp != null) {
+                        log('Live UDP Stream: =       ' + got_livestreams[i].udp);
+                    }
+                    if (got_livestreams[i].http != null) {
+                        log('Live HTTP Stream: =      ' + got_livestreams[i].http);
+                    }
+                    if (got_livestreams[i].multicast != null) {
+                        log('Live Multicast Stream: = ' + got_livestreams[i].multicast);
+                    }
+                    if (got_rtsp[i]) {
+                        log('RTSP Probe: =            ' + rtsp_probe.format_result(got_rtsp[i]));
+                    }
+                    log('------------------------------');
+                }
+
+                // The camera report file is only written when there is a folder
+                if (!folder) return next();
+
+                let log_filename = folder + path.sep + 'camera_report_' + file_host(ip_entry) + '.txt';
+                let msg = 'Host:= ' + ip_entry + ' Port:= ' + port + '\r\n';
+                msg += 'HTTPS:= ' + use_https + '\r\n';
+                if (target.label) {
+                    if (target.label.site) msg += 'Site:= ' + target.label.site + '\r\n';
+                    if (target.label.group) msg += 'Group:= ' + target.label.group + '\r\n';
+                    if (target.label.location) msg += 'Location:= ' + target.label.location + '\r\n';
+                    if (target.label.comment) msg += 'Comment:= ' + target.label.comment + '\r\n';
+                }
+                msg += 'Credential:= ' + format_credential(got_credential) + '\r\n';
+                if (got_credential && got_credential.defaultVendor) {
+                    msg += 'Default Password:= YES (' + got_credential.defaultVendor + ' default)\r\n';
+                }
+                if (target.openPorts) {
+                    msg += 'Open Ports:= ' + target.openPorts.join(' ') + '\r\n';
+                }
+                if (target.discovery) {
+                    for (const line of format_discovery(target.discovery)) msg += line + '\r\n';
+                }
+                if (got_date) {
+                    msg += 'Date:= ' + got_date + '\r\n';
+                    msg += 'Time Drift:= ' + format_drift(got_clock.offsetSeconds) + ' (round trip ' + got_clock.roundTripMs + ' ms)\r\n';
+                    msg += 'Time Drift Check:= ' + (Math.abs(got_clock.offsetSeconds) * 1000 > options.maxDriftMs ? 'FAIL (exceeds ' + options.maxDrift + ')' : 'OK') + '\r\n';
+                } else {
+                    msg += 'Date:= unknown\r\n';
+                }
+                if (got_time_settings) {
+                    msg += 'Date Time Type:= ' + got_time_settings.dateTimeType + '\r\n';
+                    msg += 'Time Zone:= ' + got_time_settings.timeZone + '\r\n';
+                    msg += 'Daylight Savings:= ' + got_time_settings.daylightSavings + '\r\n';
+                }
+                if (got_ntp) {
+                    msg += 'NTP From DHCP:= ' + got_ntp.fromDHCP + '\r\n';
+                    msg += 'NTP Servers:= ' + (got_ntp.servers.length > 0 ? got_ntp.servers.join(' ') : 'none') + '\r\n';
+                } else {
+                    msg += 'NTP Servers:= unknown\r\n';
+                }
+                if (got_info) {
+                    msg += 'Manufacturer:= ' + got_info.manufacturer + '\r\n';
+                    msg += 'Model:= ' + got_info.model + '\r\n';
+                    msg += 'Firmware Version:= ' + got_info.firmwareVersion + '\r\n';
+                    msg += 'Serial Number:= ' + got_info.serialNumber + '\r\n';
+                    msg += 'Hardware ID:= ' + got_info.hardwareId + '\r\n';
+                } else {
+                    msg += 'Manufacturer:= unknown\r\n';
+                    msg += 'Model:= unknown\r\n';
+                    msg += 'Firmware Version:= unknown\r\n';
+                    msg += 'Serial Number:= unknown\r\n';
+                    msg += 'Hardware ID:= unknown\r\n';
+                }
+                if (got_firmware) {
+                    msg += 'Firmware Compliance:= ' + firmware_baseline.format_firmware(got_firmware) + '\r\n';
+                }
+                if (got_ptz) {
+                    for (const line of ptz_inventory.format_inventory(got_ptz)) msg += line + '\r\n';
+                    for (const item of (got_ptz.snapshots || [])) {
+                        msg += 'PTZ Snapshots Video Source ' + item.videoSource + ':= '
+                            + (item.skipped ? 'skipped. ' + item.skipped
+                                : (item.returnedToStart ? 'returned to start position' : 'NOT returned to start position')) + '\r\n';
+                        for (const view of item.views) {
+                            msg += '  ' + (view.preset ? 'Preset ' + view.preset.name + ' [' + view.preset.token + ']'
+                                : 'Position ' + view.position.x + ',' + view.position.y + ',' + view.position.zoom)
+                                + ' ' + (view.file ? view.file : view.error) + '\r\n';
+                        }
+                    }
+                } else {
+                    msg += 'PTZ:= none\r\n';
+                }
+                if (got_inventory) {
+                    for (const line of device_inventory.format_inventory(got_inventory)) msg += line + '\r\n';
+                }
+                if (got_security) {
+                    msg += 'Security Findings:= ' + format_finding_counts(got_security.counts) + '\r\n';
+                    for (const item of got_security.findings) {
+                        msg += '  [' + item.severity.toUpperCase() + '] ' + item.title + (item.detail ? ' - ' + item.detail : '') + '\r\n';
+                    }
+                    msg += 'HTTPS Offered:= ' + (got_security.checks.httpsOffered === null ? 'unknown' : got_security.checks.httpsOffered) + '\r\n';
+                    msg += 'Discovery Mode:= ' + (got_security.checks.discoveryMode === null ? 'unknown' : got_security.checks.discoveryMode) + '\r\n';
+                }
+                if (got_fix) {
+                    msg += (got_fix.dryRun ? 'Fix (dry run):= ' : 'Fix:= ') + got_fix.status + '\r\n';
+                    for (const change of got_fix.changes) msg += '  ' + remediation.format_change(change) + '\r\n';
+                }
+                if (got_videosources.length > 0) {
+                    msg += 'Profile Policy:= ' + profile_policy.format_policy(options.profilePolicy) + '\r\n';
+                }
+                for (let i = 0; i < selected.length; i++) {
+                    msg += selected_heading(i) + '\r\n';
+
+                    if (got_snapshots[i].uri != null) {
+                        msg += 'Snapshot URL: =          ' + got_snapshots[i].uri + '\r\n';
+                    }
+                    msg += 'Snapshot: =              ' + snapshot.format_result(got_snapshots[i].capture) + '\r\n';
+                    if (got_snapshots[i].quality) {
+                        msg += 'Image Quality: =         ' + image_quality.format_quality(got_snapshots[i].quality) + '\r\n';
+                    }
+
+                    if (got_livestreams[i].tcp != null) {
+                        msg += 'Live TCP Stream: =       ' + got_livestreams[i].tcp + '\r\n';
+                    }
+                    if (got_livestreams[i].udp != null) {
+                        msg += 'Live UDP Stream: =       ' + got_livestreams[i].udp + '\r\n';
+                    }
+                    if (got_livestreams[i].http != null) {
+                        msg += 'Live HTTP Stream: =      ' + got_livestreams[i].http + '\r\n';
+                    }
+                    if (got_livestreams[i].multicast != null) {
+                        msg += 'Live Multicast Stream: = ' + got_livestreams[i].multicast + '\r\n';
+                    }
+                    if (got_rtsp[i]) {
+                        msg += 'RTSP Probe: =            ' + rtsp_probe.format_result(got_rtsp[i]) + '\r\n';
+                        if (got_rtsp[i].clipFile) msg += 'RTSP Clip: =             ' + got_rtsp[i].clipFile + '\r\n';
+                    }
+                }
+                msg += 'Steps:= ' + diagnostics.format_step_counts(diagnostics.count_steps(steps)) + '\r\n';
+                for (const entry of steps) msg += '  ' + diagnostics.format_step(entry) + '\r\n';
+                fs.writeFile(log_filename, msg, function (err) {
+                    if (err) log('Error writing to file ' + log_filename + '. ' + err.message);
+                    next();
+                });
+            }),
+        ], function () {
+            // The audit of this camera is complete
+            let record;
+            try {
+                record = build_camera_record();
+            } catch (err) {
+                begin_step('Camera Record')(err);
+                record = error_record('Cannot build the camera record. ' + err.message);
+            }
+            finish(record);
+        }); // end flow
+
+        // eg Video Source 1 [VS1] [H264 1920x1080] Profile Profile_1
+        function selected_heading(sel_idx) {
+            const item = selected[sel_idx];
+            const encoder = item.profile.videoEncoderConfiguration;
+            const resolution = encoder.resolution || {};
+            return 'Video Source ' + (item.src_idx + 1) + ' [' + got_videosources[item.src_idx].$.token + '] [' + encoder.encoding + ' '
+                + resolution.width + 'x' + resolution.height + '] Profile ' + item.profile.$.token
+                + (item.matched ? '' : ' (no Profile matches the Profile Policy ' + profile_policy.format_policy(options.profilePolicy) + ')');
+        }
+
+        // Structured version of the camera report, for audit.json and audit.csv
+        function build_camera_record() {
+            let record = {
+                host: ip_entry,
+                port: port,
+                https: use_https,
+                error: null,
+                deviceInformation: null,
+                cameraTime: (got_date ? got_date.toISOString() : null),
+                timeDriftSeconds: (got_clock ? got_clock.offsetSeconds : null),
+                roundTripMs: (got_clock ? got_clock.roundTripMs : null),
+                timeDriftExceeded: (got_clock ? Math.abs(got_clock.offsetSeconds) * 1000 > options.maxDriftMs : null),
+                timeSettings: (got_time_settings ? got_time_settings : null),
+                ntp: (got_ntp ? got_ntp : null),
+                openPorts: (target.openPorts ? target.openPorts : null),
+                credential: got_credential,
+                security: got_security,
+                fix: got_fix,
+                firmware: got_firmware,
+                ptz: got_ptz,
+                inventory: got_inventory,
+                discovery: (target.discovery ? target.discovery : null),
+                label: (target.label ? target.label : null),
+                steps: step_list(),
+                videoSources: []
+            };
+            if (got_info) {
+                record.deviceInformation = {
+                    manufacturer: got_info.manufacturer,
+                    model: got_info.model,
+                    firmwareVersion: got_info.firmwareVersion,
+                    serialNumber: got_info.serialNumber,
+                    hardwareId: got_info.hardwareId
+                };
+            }
+            for (let i = 0; i < selected.length; i++) {
+                const profile = selected[i].profile;
+                const encoder = profile.videoEncoderConfiguration;
+                record.videoSources.push({
+                    videoSource: selected[i].src_idx + 1,
+                    token: got_videosources[selected[i].src_idx].$.token,
+                    profileToken: profile.$.token,
+                    profileName: (profile.name ? profile.name : null),
+                    profilePolicyMatched: selected[i].matched,
+                    encoding: (encoder ? encoder.encoding : null),
+                    width: (encoder && encoder.resolution ? encoder.resolution.width : null),
+                    height: (encoder && encoder.resolution ? encoder.resolution.height : null),
+                    snapshotUri: got_snapshots[i].uri,
+                    snapshotFile: (got_snapshots[i].saved && folder ? snapshot_filename(ip_entry, i, selected.length) : null),
+                    snapshot: (got_snapshots[i].capture ? got_snapshots[i].capture : null), // how the snapshot was taken, or why it failed
+                    quality: (got_snapshots[i].quality ? got_snapshots[i].quality : null), // brightness, contrast, sharpness and flags
+                    streams: {
+                        tcp: got_livestreams[i].tcp,
+                        udp: got_livestreams[i].udp,
+                        http: got_livestreams[i].http,
+                        multicast: got_livestreams[i].multicast
+                    },
+                    rtsp: (got_rtsp[i] ? got_rtsp[i] : null)
+                });
+                // Without a folder the snapshot is returned in the record instead of being saved
+                if (got_snapshots[i].image) record.videoSources[i].snapshotImage = got_snapshots[i].image;
+            }
+            return record;
+        }
+
+    }
+}
+
+// Describe which Username and Password worked. The password itself is not written to the reports
+function format_credential(credential) {
+    if (!credential) return 'unknown';
+    if (credential.status === 'none') return 'none of the ' + credential.count + ' credential(s) worked';
+    if (credential.authentication === false) return 'not needed (the camera accepts any password)';
+    return credential.username + ' (' + credential.index + ' of ' + credential.count + ', from ' + credential.source + ')'
+        + (credential.defaultVendor ? ' ** ' + credential.defaultVendor + ' DEFAULT PASSWORD **' : '');
+}
+
+// eg '1 high, 2 medium, 0 low'
+function format_finding_counts(counts) {
+    return security_checks.SEVERITIES.filter(severity => severity !== 'info')
+        .map(severity => counts[severity] + ' ' + severity).join(', ');
+}
+
+function format_drift(seconds) {
+    return (seconds >= 0 ? '+' : '') + seconds.toFixed(1) + ' s';
+}
+
+// The WS-Discovery details of a camera found with --scan --audit, for the camera report
+function format_discovery(discovered) {
+    let lines = [];
+    if (discovered.name) lines.push('Discovery Name:= ' + discovered.name);
+    if (discovered.hardware) lines.push('Discovery Hardware:= ' + discovered.hardware);
+    if (discovered.location) lines.push('Discovery Location:= ' + discovered.location);
+    if (discovered.profiles.length > 0) lines.push('Discovery Profiles:= ' + discovered.profiles.join(' '));
+    lines.push('Discovery URN:= ' + discovered.urn);
+    lines.push('Discovery XAddrs:= ' + discovered.xaddrs.join(' '));
+    return lines;
+}
+
+// IPv6 addresses contain ':' (and '%' for the zone) which cannot be used in Windows filenames
+function file_host(ip_entry) {
+    return String(ip_entry).replace(/[:%]/g, '_');
+}
+
+function snapshot_filename(ip_entry, src_idx, source_count) {
+    if (source_count === 1) {
+        return 'snapshot_' + file_host(ip_entry) + '.jpg';
+    } else {
+        // add _1, _2, _3 etc for cameras with multiple VideoSources
+        return 'snapshot_' + file_host(ip_entry) + '_' + (src_idx + 1) + '.jpg';
+    }
+}
+
+// eg camera_xml_192.168.1.10.log
+function xml_log_filename(ip_entry) {
+    return 'camera_xml_' + file_host(ip_entry) + '.log';
+}
+
+// eg clip_192.168.1.10 or clip_192.168.1.10_2 for a camera with multiple VideoSources
+// The RTSP Probe adds .h264 or .h265 depending on the codec of the stream
+function clip_filename(ip_entry, src_idx, source_count) {
+    return 'clip_' + file_host(ip_entry) + (source_count === 1 ? '' : '_' + (src_idx + 1));
+}
+
+// eg snapshot_192.168.1.10_ptz_1.jpg or snapshot_192.168.1.10_2_ptz_1.jpg for a camera with multiple VideoSources
+function ptz_snapshot_filename(ip_entry, src_idx, source_count, view_idx) {
+    return snapshot_filename(ip_entry, src_idx, source_count).replace(/\.jpg$/, '_ptz_' + (view_idx + 1) + '.jpg');
+}
+
+module.exports = {
+    DEFAULTS: DEFAULTS,
+    resolve_options: resolve_options,
+    build_targets: build_targets,
+    audit_targets: audit_targets,
+    audit_camera: audit_camera,
+    format_credential: format_credential,
+    format_finding_counts: format_finding_counts,
+    format_drift: format_drift
+};
@@ -0,0 +1,267 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Compare two Audits
+ * Cameras are matched using the Serial Number and Hardware ID from GetDeviceInformation (not the IP address)
+ * so cameras that have moved IP address are still matched. Reports cameras that moved, went missing, were added,
+ * changed firmware or changed encoding/resolution, and snapshots that look very different from last time
+ * (the camera may have been tampered with or re-aimed)
+ */
+
+var fs = require('fs');
+var path = require('path');
+var jpeg = require('jpeg-js');
+
+const IMAGE_GRID = 32; // Snapshots are reduced to a 32x32 grid of brightness values before being compared
+
+// Read the audit.json file from a previous Audit folder. Returns the list of camera records
+function load_audit(folder) {
+    const file = JSON.parse(fs.readFileSync(folder + path.sep + 'audit.json'));
+    if (!file || !Array.isArray(file.cameras)) {
+        throw new Error('audit.json in ' + folder + ' has no "cameras" list');
+    }
+    return file.cameras;
+}
+
+// The key used to match cameras between Audits, or null if the camera did not give us its identity
+function camera_key(record) {
+    const info = record.deviceInformation;
+    if (!info || (!info.serialNumber && !info.hardwareId)) return null;
+    return String(info.serialNumber || '') + '/' + String(info.hardwareId || '');
+}
+
+function camera_name(record) {
+    const info = record.deviceInformation || {};
+    return (info.manufacturer || '') + ' ' + (info.model || '') + ' (serial ' + (info.serialNumber || 'unknown') + ')';
+}
+
+// Decode a JPEG and return the average brightness of each cell in an IMAGE_GRID x IMAGE_GRID grid
+// Returns null if the file is missing or is not a valid JPEG
+function brightness_grid(filename) {
+    let image;
+    try {
+        image = jpeg.decode(fs.readFileSync(filename), { useTArray: true, formatAsRGBA: true });
+    } catch (err) {
+        return null;
+    }
+    if (!image || image.width < IMAGE_GRID || image.height < IMAGE_GRID) return null;
+
+    let sums = new Array(IMAGE_GRID * IMAGE_GRID).fill(0);
+    let counts = new Array(IMAGE_GRID * IMAGE_GRID).fill(0);
+    for (let y = 0; y < image.height; y++) {
+        const cell_y = Math.floor(y * IMAGE_GRID / image.height);
+        for (let x = 0; x < image.width; x++) {
+            const cell = cell_y * IMAGE_GRID + Math.floor(x * IMAGE_GRID / image.width);
+            const i = (y * image.width + x) * 4;
+            sums[cell] += 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+            counts[cell]++;
+        }
+    }
+    return sums.map((sum, cell) => sum / counts[cell]);
+}
+
+// Percentage difference (0 to 100) between two snapshots, or null if either image cannot be read.
+// Uses the correlation between the two brightness grids, so day/night or lighting changes
+// count for less than a change in what the camera is looking at.
+// 0 is the same view, around 50 is an unrelated view. A covered lens (a flat image) scores 100
+function image_difference(filename_a, filename_b) {
+    const grid_a = brightness_grid(filename_a);
+    const grid_b = brightness_grid(filename_b);
+    if (!grid_a || !grid_b) return null;
+
+    const mean = grid => grid.reduce((total, value) => total + value, 0) / grid.length;
+    const mean_a = mean(grid_a);
+    const mean_b = mean(grid_b);
+
+    let covariance = 0;
+    let variance_a = 0;
+    let variance_b = 0;
+    for (let i = 0; i < grid_a.length; i++) {
+        covariance += (grid_a[i] - mean_a) * (grid_b[i] - mean_b);
+        variance_a += (grid_a[i] - mean_a) * (grid_a[i] - mean_a);
+        variance_b += (grid_b[i] - mean_b) * (grid_b[i] - mean_b);
+    }
+
+    const FLAT = 1; // images with almost no detail
+    if (variance_a < FLAT && variance_b < FLAT) return 0;
+    if (variance_a < FLAT || variance_b < FLAT) return 100;
+
+    const correlation = covariance / Math.sqrt(variance_a * variance_b);
+    return Math.round((1 - correlation) * 50 * 10) / 10;
+}
+
+function video_source_text(source) {
+    if (!source) return 'none';
+    return source.encoding + ' ' + source.width + 'x' + source.height;
+}
+
+// Compare the camera records of a previous Audit with the current Audit.
+// options = { imageThreshold } where imageThreshold is the percentage difference above which a snapshot is flagged.
+// Returns { previousFolder, moved, missing, added, firmwareChanged, videoChanged, imageChanged, unidentified, counts }
+function compare_audits(previous_folder, previous_records, current_folder, current_records, options) {
+    options = options || {};
+    const image_threshold = (options.imageThreshold !== undefined ? options.imageThreshold : 20);
+
+    let result = {
+        previousFolder: previous_folder,
+        moved: [],
+        missing: [],
+        added: [],
+        firmwareChanged: [],
+        videoChanged: [],
+        imageChanged: [],
+        unidentified: []
+    };
+
+    let previous_by_key = new Map();
+    for (const record of previous_records) {
+        const key = camera_key(record);
+        if (key) previous_by_key.set(key, record);
+    }
+
+    let matched_keys = new Set();
+    for (const current of current_records) {
+        const key = camera_key(current);
+        if (!key) {
+            // Cameras that failed (or did not give a Serial Number) cannot be matched
+            result.unidentified.push({ host: current.host, port: current.port, error: current.error });
+            continue;
+        }
+        const previous = previous_by_key.get(key);
+        if (!previous) {
+            result.added.push({ name: camera_name(current), host: current.host, port: current.port });
+            continue;
+        }
+        matched_keys.add(key);
+
+        const name = camera_name(current);
+        if (previous.host !== current.host || String(previous.port) !== String(current.port)) {
+            result.moved.push({
+                name: name,
+                previousHost: previous.host, previousPort: previous.port,
+                host: current.host, port: current.port
+            });
+        }
+        if (String(previous.deviceInformation.firmwareVersion) !== String(current.deviceInformation.firmwareVersion)) {
+            result.firmwareChanged.push({
+                name: name, host: current.host,
+                previous: previous.deviceInformation.firmwareVersion,
+                current: current.deviceInformation.firmwareVersion
+            });
+        }
+
+        // Match Video Sources by token and Profile (then by token, then by the position in the list)
+        current.videoSources.forEach(function (source, src_idx) {
+            const previous_source = previous.videoSources.find(item => item.token === source.token && item.profileToken === source.profileToken)
+                || previous.videoSources.find(item => item.token === source.token) || previous.videoSources[src_idx];
+            if (!previous_source) return;
+            const source_number = source.videoSource || src_idx + 1; // audits before --profile-policy have one entry per Video Source
+
+            if (previous_source.encoding !== source.encoding
+                || previous_source.width !== source.width
+                || previous_source.height !== source.height) {
+                result.videoChanged.push({
+                    name: name, host: current.host, videoSource: source_number,
+                    previous: video_source_text(previous_source),
+                    current: video_source_text(source)
+                });
+            }
+
+            if (previous_source.snapshotFile && source.snapshotFile) {
+                const difference = image_difference(previous_folder + path.sep + previous_source.snapshotFile,
+                    current_folder + path.sep + source.snapshotFile);
+                if (difference !== null && difference > image_threshold) {
+                    result.imageChanged.push({
+                        name: name, host: current.host, videoSource: source_number,
+                        difference: difference,
+                        previousSnapshot: previous_folder + path.sep + previous_source.snapshotFile,
+                        snapshot: source.snapshotFile
+                    });
+                }
+            }
+        });
+        if (current.videoSources.length !== previous.videoSources.length) {
+            result.videoChanged.push({
+                name: name, host: current.host, videoSource: null,
+                previous: previous.videoSources.length + ' video source(s)',
+                current: current.videoSources.length + ' video source(s)'
+            });
+        }
+    }
+
+    for (const [key, previous] of previous_by_key) {
+        if (!matched_keys.has(key)) {
+            result.missing.push({ name: camera_name(previous), host: previous.host, port: previous.port });
+        }
+    }
+
+    result.counts = {
+        moved: result.moved.length,
+        missing: result.missing.length,
+        added: result.added.length,
+        firmwareChanged: result.firmwareChanged.length,
+        videoChanged: result.videoChanged.length,
+        imageChanged: result.imageChanged.length,
+        unidentified: result.unidentified.length
+    };
+    return result;
+}
+
+// Text version of the comparison, one line per change
+function format_comparison(comparison) {
+    let lines = ['Compared with ' + comparison.previousFolder];
+    lines.push('Moved: ' + comparison.moved.length);
+    for (const item of comparison.moved) {
+        lines.push('  ' + item.name + ' ' + item.previousHost + ':' + item.previousPort + ' -> ' + item.host + ':' + item.port);
+    }
+    lines.push('Missing: ' + comparison.missing.length);
+    for (const item of comparison.missing) {
+        lines.push('  ' + item.name + ' was at ' + item.host + ':' + item.port);
+    }
+    lines.push('Added: ' + comparison.added.length);
+    for (const item of comparison.added) {
+        lines.push('  ' + item.name + ' at ' + item.host + ':' + item.port);
+    }
+    lines.push('Firmware Changed: ' + comparison.firmwareChanged.length);
+    for (const item of comparison.firmwareChanged) {
+        lines.push('  ' + item.name + ' at ' + item.host + ' ' + item.previous + ' -> ' + item.current);
+    }
+    lines.push('Encoding/Resolution Changed: ' + comparison.videoChanged.length);
+    for (const item of comparison.videoChanged) {
+        lines.push('  ' + item.name + ' at ' + item.host + (item.videoSource ? ' Video Source ' + item.videoSource : '')
+            + ' ' + item.previous + ' -> ' + item.current);
+    }
+    lines.push('Snapshot Changed (possible tamper or re-aim): ' + comparison.imageChanged.length);
+    for (const item of comparison.imageChanged) {
+        lines.push('  ' + item.name + ' at ' + item.host + ' Video Source ' + item.videoSource + ' ' + item.difference + '% different');
+    }
+    if (comparison.unidentified.length > 0) {
+        lines.push('Not compared (no Serial Number or Hardware ID): ' + comparison.unidentified.length);
+        for (const item of comparison.unidentified) {
+            lines.push('  ' + item.host + ':' + item.port + (item.error ? ' (' + item.error + ')' : ''));
+        }
+    }
+    return lines;
+}
+
+// Write compare.json and compare.txt into the audit folder. Throws an Error if either could not be written
+function write_comparison(folder, comparison) {
+    for (const [filename, contents] of [['compare.json', JSON.stringify(comparison, null, 2)],
+        ['compare.txt', format_comparison(comparison).join('\r\n') + '\r\n']]) {
+        try {
+            fs.writeFileSync(folder + path.sep + filename, contents);
+        } catch (err) {
+            throw new Error('Unable to write ' + filename + '. ' + err.message);
+        }
+    }
+}
+
+module.exports = {
+    load_audit: load_audit,
+    camera_key: camera_key,
+    image_difference: image_difference,
+    compare_audits: compare_audits,
+    format_comparison: format_comparison,
+    write_comparison: write_comparison
+};
@@ -0,0 +1,200 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Config File loader for --filename
+ * Reads a JSON or YAML file with a list of cameras, optionally arranged in Sites and Groups, checks every field
+ * and works out the settings of each entry from the entry itself and the defaults above it
+ */
+
+var fs = require('fs');
+var path = require('path');
+var yaml = require('js-yaml');
+
+// Fields allowed in an entry, and in a 'defaults' block
+const SETTING_FIELDS = {
+    port: 'port',
+    https: 'boolean',
+    username: 'string',
+    password: 'string',
+    usernameEnv: 'string',
+    passwordEnv: 'string',
+    location: 'string',
+    comment: 'string'
+};
+const ENTRY_FIELDS = Object.assign({ ipaddress: 'string' }, SETTING_FIELDS);
+
+// Load and check a Config File. Returns a list of entries
+//   { ipaddress, port, https, username, password, site, group, location, comment }
+// defaults are the settings used when neither the entry nor any defaults block in the file gives them (eg -u and -p from the command line)
+// Throws an Error listing every problem found in the file
+function load_config(filename, defaults) {
+    const file = read_file(filename, 'Config File');
+
+    let errors = [];
+    const entries = read_config(file, defaults || {}, errors);
+    if (errors.length > 0) {
+        throw new Error('The Config File ' + filename + ' has ' + errors.length + ' problem(s)\n  ' + errors.join('\n  '));
+    }
+    if (entries.length === 0) {
+        throw new Error('The Config File ' + filename + ' has no cameras. Add a "cameralist" or "sites"');
+    }
+    return entries;
+}
+
+// Read a JSON file, or a YAML file (.yaml or .yml). 'description' is used in the errors eg 'Config File'
+function read_file(filename, description) {
+    let contents;
+    try {
+        contents = fs.readFileSync(filename, 'utf8');
+    } catch (err) {
+        throw new Error('Unable to read the ' + description + ' ' + filename + '. ' + err.message);
+    }
+
+    const is_yaml = ['.yaml', '.yml'].includes(path.extname(filename).toLowerCase());
+    try {
+        return (is_yaml ? yaml.load(contents) : JSON.parse(contents));
+    } catch (err) {
+        throw new Error('The ' + description + ' ' + filename + ' is not valid ' + (is_yaml ? 'YAML' : 'JSON') + '. ' + err.message);
+    }
+}
+
+// Walk the file. Problems are added to 'errors' with the place in the file they were found (eg sites[0].groups[1].cameras[2].port)
+function read_config(file, defaults, errors) {
+    if (!is_object(file)) {
+        errors.push('The file should contain an object with "defaults", "sites" or "cameralist"');
+        return [];
+    }
+    check_fields(file, { defaults: 'object', sites: 'array', cameralist: 'array' }, '', errors);
+
+    let entries = [];
+    const file_defaults = read_settings(file.defaults, defaults, 'defaults', errors);
+
+    if (Array.isArray(file.cameralist)) {
+        entries = entries.concat(read_cameras(file.cameralist, file_defaults, {}, 'cameralist', errors));
+    }
+
+    if (Array.isArray(file.sites)) {
+        file.sites.forEach(function (site, site_idx) {
+            const where = 'sites[' + site_idx + ']';
+            if (!is_object(site)) return errors.push(where + ': should be an object');
+            check_fields(site, { name: 'string', defaults: 'object', groups: 'array', cameras: 'array' }, where, errors);
+            if (!site.name) errors.push(where + ': needs a "name"');
+
+            const site_defaults = read_settings(site.defaults, file_defaults, where + '.defaults', errors);
+            const site_label = { site: site.name || null };
+
+            if (Array.isArray(site.cameras)) {
+                entries = entries.concat(read_cameras(site.cameras, site_defaults, site_label, where + '.cameras', errors));
+            }
+            if (Array.isArray(site.groups)) {
+                site.groups.forEach(function (group, group_idx) {
+                    const group_where = where + '.groups[' + group_idx + ']';
+                    if (!is_object(group)) return errors.push(group_where + ': should be an object');
+                    check_fields(group, { name: 'string', defaults: 'object', cameras: 'array' }, group_where, errors);
+                    if (!group.name) errors.push(group_where + ': needs a "name"');
+
+                    const group_defaults = read_settings(group.defaults, site_defaults, group_where + '.defaults', errors);
+                    const group_label = { site: site.name || null, group: group.name || null };
+                    if (Array.isArray(group.cameras)) {
+                        entries = entries.concat(read_cameras(group.cameras, group_defaults, group_label, group_where + '.cameras', errors));
+                    }
+                });
+            }
+        });
+    }
+    return entries;
+}
+
+function read_cameras(cameras, defaults, label, where, errors) {
+    let entries = [];
+    cameras.forEach(function (camera, idx) {
+        const camera_where = where + '[' + idx + ']';
+        if (!is_object(camera)) return errors.push(camera_where + ': should be an object');
+        check_fields(camera, ENTRY_FIELDS, camera_where, errors);
+        if (!camera.ipaddress) errors.push(camera_where + ': needs an "ipaddress"');
+
+        const settings = read_settings(camera, defaults, camera_where, errors);
+        if (settings.username === undefined || settings.password === undefined) {
+            errors.push(camera_where + ': has no username and password. Set them in the entry, in a "defaults" block or with -u and -p');
+        }
+        entries.push({
+            ipaddress: camera.ipaddress,
+            port: String(settings.port !== undefined ? settings.port : 80),
+            https: Boolean(settings.https),
+            username: settings.username,
+            password: settings.password,
+            site: label.site || null,
+            group: label.group || null,
+            location: settings.location || null,
+            comment: settings.comment || null
+        });
+    });
+    return entries;
+}
+
+// Settings from an entry or a defaults block, on top of the inherited ones.
+// usernameEnv and passwordEnv are read from the environment so passwords do not need to be kept in the file
+function read_settings(block, inherited, where, errors) {
+    let settings = Object.assign({}, inherited);
+    if (block === undefined) return settings;
+    if (!is_object(block)) return settings; // already reported by check_fields()
+    if (where.endsWith('defaults')) check_fields(block, SETTING_FIELDS, where, errors);
+
+    for (const field of ['port', 'https', 'username', 'password', 'location', 'comment']) {
+        if (block[field] !== undefined) settings[field] = block[field];
+    }
+    for (const field of ['username', 'password']) {
+        const env_name = block[field + 'Env'];
+        if (env_name === undefined) continue;
+        if (block[field] !== undefined) {
+            errors.push(where + ': has both "' + field + '" and "' + field + 'Env". Use one of them');
+        } else if (process.env[env_name] === undefined) {
+            errors.push(where + '.' + field + 'Env: the environment variable ' + env_name + ' is not set');
+        } else {
+            settings[field] = process.env[env_name];
+        }
+    }
+    return settings;
+}
+
+// Report unknown fields (often a spelling mistake) and fields of the wrong type
+function check_fields(block, fields, where, errors) {
+    const prefix = (where ? where + '.' : '');
+    for (const key of Object.keys(block)) {
+        const type = fields[key];
+        const value = block[key];
+        if (!type) {
+            errors.push(prefix + key + ': unknown field. Expected one of ' + Object.keys(fields).join(', '));
+        } else if (type === 'port') {
+            if (!(typeof value === 'number' || (typeof value === 'string' && /^\s*\d+\s*(,\s*\d+\s*)*$/.test(value)))) {
+                errors.push(prefix + key + ': should be a port number or a list of ports eg "80,8080"');
+            }
+        } else if (type === 'array') {
+            if (!Array.isArray(value)) errors.push(prefix + key + ': should be a list');
+        } else if (type === 'object') {
+            if (!is_object(value)) errors.push(prefix + key + ': should be an object');
+        } else if (typeof value !== type) {
+            errors.push(prefix + key + ': should be a ' + type);
+        }
+    }
+}
+
+function is_object(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// eg 'Head Office / Car Park / North Gate (Bosch)'
+function format_label(entry) {
+    if (!entry) return '';
+    const parts = [entry.site, entry.group, entry.location].filter(item => item);
+    return parts.join(' / ') + (entry.comment ? (parts.length > 0 ? ' ' : '') + '(' + entry.comment + ')' : '');
+}
+
+module.exports = {
+    load_config: load_config,
+    read_file: read_file,
+    check_fields: check_fields,
+    is_object: is_object,
+    format_label: format_label
+};
@@ -0,0 +1,127 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Credential Lists
+ * Sites often have cameras installed with a handful of different installer or vendor default passwords.
+ * Each credential is tried in turn until GetDeviceInformation succeeds.
+ */
+
+var fs = require('fs');
+var crypto = require('crypto');
+
+// Well known vendor default Usernames and Passwords.
+// A camera still accepting one of these is reported as a security finding
+const DEFAULT_CREDENTIALS = [
+    { username: 'admin', password: 'admin', vendor: 'Various' },
+    { username: 'admin', password: '', vendor: 'Various' },
+    { username: 'admin', password: '12345', vendor: 'HikVision' },
+    { username: 'admin', password: '123456', vendor: 'Uniview / Tiandy' },
+    { username: 'admin', password: '1234', vendor: 'Various' },
+    { username: 'admin', password: '4321', vendor: 'Samsung / Hanwha' },
+    { username: 'admin', password: 'password', vendor: 'Various' },
+    { username: 'admin', password: '9999', vendor: 'Various' },
+    { username: 'admin', password: 'meinsm', vendor: 'Mobotix' },
+    { username: 'admin', password: 'fliradmin', vendor: 'FLIR' },
+    { username: 'admin', password: 'jvc', vendor: 'JVC' },
+    { username: '888888', password: '888888', vendor: 'Dahua' },
+    { username: '666666', password: '666666', vendor: 'Dahua' },
+    { username: 'root', password: 'pass', vendor: 'Axis' },
+    { username: 'root', password: 'system', vendor: 'IQinVision' },
+    { username: 'service', password: 'service', vendor: 'Bosch' },
+    { username: 'Admin', password: '1234', vendor: 'Various' },
+    { username: 'ubnt', password: 'ubnt', vendor: 'Ubiquiti' }
+];
+
+// Load a JSON credentials file. Either an array or an object with a 'credentials' array, eg
+// { "credentials": [ { "username": "admin", "password": "1234" }, { "username": "service", "password": "abcd" } ] }
+function load_credentials_file(filename) {
+    const file = JSON.parse(fs.readFileSync(filename));
+    const list = Array.isArray(file) ? file : file.credentials;
+    if (!Array.isArray(list)) {
+        throw new Error('Credentials file should contain a "credentials" array');
+    }
+    return list.map(function (item, index) {
+        if (!item || typeof item.username !== 'string') {
+            throw new Error('Credential ' + (index + 1) + ' has no username');
+        }
+        return { username: item.username, password: (item.password !== undefined ? String(item.password) : ''), source: 'file' };
+    });
+}
+
+// Returns the vendor name if the username and password is a well known default, otherwise null
+function default_credential_vendor(username, password) {
+    const match = DEFAULT_CREDENTIALS.find(item => item.username === username && item.password === password);
+    return match ? match.vendor : null;
+}
+
+// Cameras report a bad password in different ways. HTTP 401, SOAP 'NotAuthorized' faults or 'Sender not Authorized' text.
+// The words are matched whole so a host name or port in a network error (eg getaddrinfo ENOTFOUND cam401.site.local) is not taken as a bad password
+const AUTH_ERROR = /\bnot ?authori[sz]ed\b|\bunauthori[sz]ed\b|\bHTTP 401\b|\b401 (?:unauthori[sz]ed|authori[sz]ation required)\b|\bauthentication (?:failed|required|error)\b|\b(?:wrong|invalid|incorrect|bad) (?:user ?name|password|credentials?)\b|\baccess denied\b|\bforbidden\b|\bFailedAuthentication\b|\bInvalidSecurity\b/i;
+const NETWORK_ERROR = /\b(?:ENOTFOUND|EAI_AGAIN|ECONNREFUSED|ECONNRESET|EHOSTUNREACH|ENETUNREACH|ETIMEDOUT|EPIPE)\b|getaddrinfo/;
+
+// xml is the reply, if there was one. A 401 page that is not SOAP only reaches the ONVIF Library as 'Wrong ONVIF SOAP response'
+function is_auth_error(err, xml) {
+    if (!err) return false;
+    if (err.statusCode === 401 || err.statusCode === 403) return true;
+    const message = (err.message ? err.message : String(err));
+    if (NETWORK_ERROR.test(err.code || '') || NETWORK_ERROR.test(message)) return false;
+    if (AUTH_ERROR.test(message)) return true;
+    return (/Wrong ONVIF SOAP response/.test(message) && typeof xml === 'string' && AUTH_ERROR.test(xml));
+}
+
+// Try each credential in turn on the camera until GetDeviceInformation succeeds.
+// A wrong password is sent first. A camera with authentication turned off accepts it, so the credentials are not tried
+// (the first one is used) and a vendor default in the list is not mistaken for the camera's password.
+// The ONVIF Cam object must have been created with autoconnect: false
+// callback(err, index, authentication) where err is a connection error (not a password error) and index is the
+// credential which worked, or -1 if none worked. authentication is true if the camera rejected the wrong password and
+// false if it accepted it. The cam is left with the working credential (or the first one)
+function find_credential(cam, credentials, callback) {
+    cam.username = credentials[0].username;
+    cam.password = credentials[0].password;
+
+    // Read the camera's time first. The ONVIF library uses it for the password digest
+    cam.getSystemDateAndTime(function (err, date, xml) {
+        if (err && !is_auth_error(err, xml)) return callback(err, -1, null);
+
+        // The ONVIF library only sends a Username Token when there is a Username and a Password
+        cam.username = credentials[0].username || 'admin';
+        cam.password = 'onvif-audit-' + crypto.randomBytes(8).toString('hex');
+        cam.getDeviceInformation(function (err, info, xml) {
+            if (err && !is_auth_error(err, xml)) return callback(err, -1, null);
+            if (!err) {
+                cam.username = credentials[0].username;
+                cam.password = credentials[0].password;
+                return callback(null, 0, false);
+            }
+            try_credential(0);
+        });
+    });
+
+    function try_credential(index) {
+        if (index >= credentials.length) {
+            // None worked. Leave the first credential in place
+            cam.username = credentials[0].username;
+            cam.password = credentials[0].password;
+            return callback(null, -1, true);
+        }
+        cam.username = credentials[index].username;
+        cam.password = credentials[index].password;
+        cam.getDeviceInformation(function (err, info, xml) {
+            if (!err) return callback(null, index, true);
+            if (is_auth_error(err, xml)) return try_credential(index + 1);
+
+            // Not a password problem (eg a timeout). Trying more passwords will not help, and the password was not rejected
+            callback(err, -1, null);
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_CREDENTIALS: DEFAULT_CREDENTIALS,
+    load_credentials_file: load_credentials_file,
+    default_credential_vendor: default_credential_vendor,
+    is_auth_error: is_auth_error,
+    find_credential: find_credential
+};
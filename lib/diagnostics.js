@@ -0,0 +1,128 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Step Diagnostics
+ * Records the outcome and duration of each step of a camera's audit (ok, SOAP fault, authentication failure,
+ * timeout, network error or a reply that could not be parsed), and writes the raw ONVIF XML to a log file with --debug-xml
+ */
+
+var fs = require('fs');
+var credential_list = require('./credentials');
+
+const STATUSES = ['ok', 'fault', 'auth', 'timeout', 'network', 'parse', 'error'];
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// The SOAP Fault code, eg ter:ActionNotSupported. The Subcode is more specific than the Code so it is used if there is one
+function fault_code(xml) {
+    if (!xml || !/Fault>/.test(xml)) return null;
+    const subcode = /<(?:\w+:)?Subcode>\s*<(?:\w+:)?Value>([^<]*)</.exec(xml);
+    if (subcode) return subcode[1].trim();
+    const code = /<(?:\w+:)?Code>\s*<(?:\w+:)?Value>([^<]*)</.exec(xml);
+    return (code ? code[1].trim() : null);
+}
+
+// Work out what went wrong from the error of an ONVIF Library callback (and the reply XML if there was one).
+// Returns { status, code, message } where status is one of STATUSES
+function classify(err, xml) {
+    if (!err) return { status: 'ok', code: null, message: null };
+
+    const message = (err.message ? err.message : String(err));
+    const code = fault_code(typeof xml === 'string' ? xml : null);
+
+    if (credential_list.is_auth_error(err, xml) || (code && /NotAuthorized|FailedAuthentication|InvalidSecurity/i.test(code))) {
+        return { status: 'auth', code: code || (err.code ? err.code : null), message: message };
+    }
+    if (code || /SOAP Fault/i.test(message)) return { status: 'fault', code: code, message: message };
+    if (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT' || /timeout|timed out/i.test(message)) {
+        return { status: 'timeout', code: err.code || null, message: message };
+    }
+    // Some modules only pass on the message, eg 'connect ECONNREFUSED 10.1.2.3:554'
+    const network_code = NETWORK_CODES.find(item => err.code === item || message.includes(item));
+    if (network_code) return { status: 'network', code: network_code, message: message };
+    if (/Wrong ONVIF SOAP response|Unexpected|Non-whitespace|Unclosed|Invalid character|parse/i.test(message)) {
+        return { status: 'parse', code: null, message: message };
+    }
+    return { status: 'error', code: err.code || null, message: message };
+}
+
+// Add a step to 'steps' and start timing it.
+// Returns end(err, xml) which records the outcome and duration, and passes the entry to on_end (if given).
+// Only the first call to end() is recorded
+function begin_step(steps, name, on_end) {
+    const started = Date.now();
+    let entry = { step: name, status: null, code: null, message: null, durationMs: null };
+    steps.push(entry);
+    return function end(err, xml) {
+        if (entry.status !== null) return entry;
+        Object.assign(entry, classify(err, xml));
+        entry.durationMs = Date.now() - started;
+        if (on_end) on_end(entry);
+        return entry;
+    };
+}
+
+// eg 'GetNTP fault ter:ActionNotSupported 12 ms'
+function format_step(entry) {
+    return entry.step + ' ' + (entry.status || 'did not complete')
+        + (entry.code ? ' ' + entry.code : '')
+        + (entry.durationMs !== null ? ' ' + entry.durationMs + ' ms' : '')
+        + (entry.status !== 'ok' && entry.message ? ' - ' + entry.message : '');
+}
+
+// Number of steps with each status, eg { ok: 20, fault: 2, auth: 0, ... }
+function count_steps(steps) {
+    let counts = {};
+    STATUSES.forEach(function (status) { counts[status] = 0; });
+    for (const entry of steps) {
+        if (counts[entry.status] !== undefined) counts[entry.status]++;
+    }
+    return counts;
+}
+
+// eg '20 ok, 2 fault'
+function format_step_counts(counts) {
+    return STATUSES.filter(status => counts[status] > 0).map(status => counts[status] + ' ' + status).join(', ') || 'none';
+}
+
+// Write every ONVIF request and reply of a Cam object to 'filename'. Returns close(callback)
+// The file is appended to, so a camera that is tried on several ONVIF Ports keeps one log.
+// Errors writing the file are passed to on_error once and the rest of the log is dropped
+function log_traffic(cam, filename, on_error) {
+    let failed = false;
+    const stream = fs.createWriteStream(filename, { flags: 'a' });
+    stream.on('error', function (err) {
+        if (failed) return;
+        failed = true;
+        on_error(err);
+    });
+    const write = function (text) {
+        if (!failed) stream.write(text);
+    };
+    const on_request = function (xml) {
+        write('----- ' + new Date().toISOString() + ' Request\r\n' + xml + '\r\n');
+    };
+    const on_response = function (xml, status_code) {
+        write('----- ' + new Date().toISOString() + ' Reply (HTTP ' + status_code + ')\r\n' + xml + '\r\n');
+    };
+    cam.on('rawRequest', on_request);
+    cam.on('rawResponse', on_response);
+
+    return function close(callback) {
+        cam.removeListener('rawRequest', on_request);
+        cam.removeListener('rawResponse', on_response);
+        if (failed) return callback();
+        stream.end(callback);
+    };
+}
+
+module.exports = {
+    STATUSES: STATUSES,
+    classify: classify,
+    begin_step: begin_step,
+    format_step: format_step,
+    count_steps: count_steps,
+    format_step_counts: format_step_counts,
+    log_traffic: log_traffic
+};
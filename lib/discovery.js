@@ -0,0 +1,245 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * ONVIF WS-Discovery
+ * Sends WS-Discovery Probe messages (multicast to the local subnet, or unicast to a list of addresses),
+ * turns the XAddrs of a ProbeMatch into an address that can be audited and decodes the ONVIF Scopes
+ */
+
+var url = require('url');
+var os = require('os');
+var net = require('net');
+var dgram = require('dgram');
+var crypto = require('crypto');
+var xml2js = require('xml2js');
+var stripPrefix = require('xml2js').processors.stripPrefix;
+
+const WS_DISCOVERY_PORT = 3702;
+const WS_DISCOVERY_MULTICAST = '239.255.255.250';
+const REPEAT_INTERVAL = 500; // Time (ms) between repeated Probes. UDP can be lost so Probes are often sent more than once
+
+// The same Probe the ONVIF Library sends. Repeats of a Probe use the same MessageID so devices only need to answer once
+function probe_message(message_id) {
+    return '<Envelope xmlns="http://www.w3.org/2003/05/soap-envelope" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">'
+        + '<Header>'
+        + '<wsa:MessageID xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">' + message_id + '</wsa:MessageID>'
+        + '<wsa:To xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">urn:schemas-xmlsoap-org:ws:2005:04:discovery</wsa:To>'
+        + '<wsa:Action xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing">http://schemas.xmlsoap.org/ws/2005/04/discovery/Probe</wsa:Action>'
+        + '</Header>'
+        + '<Body>'
+        + '<Probe xmlns="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+        + '<Types>dn:NetworkVideoTransmitter</Types>'
+        + '<Scopes />'
+        + '</Probe>'
+        + '</Body>'
+        + '</Envelope>';
+}
+
+// Parse a ProbeMatch reply into { urn, xaddrs, scopes: [...], relatesTo }
+// Calls back with null (and no error) for other WS-Discovery messages, eg a Probe from another client
+function parse_probe_match(xml, callback) {
+    /* Filter out xml name spaces */
+    xml = xml.replace(/xmlns([^=]*?)=(".*?")/g, '');
+
+    let parser = new xml2js.Parser({
+        attrkey: 'attr',
+        charkey: 'payload',                // this ensures the payload is called .payload regardless of whether the XML Tags have Attributes or not
+        explicitCharkey: true,
+        tagNameProcessors: [stripPrefix]   // strip namespace eg tt:Data -> Data
+    });
+    parser.parseString(xml, function (err, result) {
+        if (err) return callback(err);
+
+        // By default xml2js will return different json structures depending on whether there are 'attributes' in the XML
+        // For example <MyTag value="123">HELLO</MyTag> will return value=123 as the '$ field and HELLO as the '_' field
+        // For example <MyTag>HELLO</MyTag> does not use the '$' or '_' fields.
+        // To make things easier to handle, we use parser options to place the data we want in a 'payload' field
+        let match;
+        try {
+            const header = (result['Envelope']['Header'] ? result['Envelope']['Header'][0] : {});
+            const body = result['Envelope']['Body'][0];
+            if (!body['ProbeMatches']) return callback(null, null);
+            const probe_match = body['ProbeMatches'][0]['ProbeMatch'][0];
+            match = {
+                urn: probe_match['EndpointReference'][0]['Address'][0].payload.trim(),
+                xaddrs: probe_match['XAddrs'][0].payload.trim(), // Axis add whitespace on end. Remove it.
+                scopes: (probe_match['Scopes'] ? probe_match['Scopes'][0].payload.trim().split(/\s+/) : []), // Axis add whitespace on end. Remove it.
+                relatesTo: (header['RelatesTo'] && header['RelatesTo'][0].payload ? header['RelatesTo'][0].payload.trim() : null)
+            };
+        } catch (err) {
+            return callback(new Error('Invalid ProbeMatch'));
+        }
+        callback(null, match);
+    });
+}
+
+// The IPv4 address of a network interface given by name (eg eth0) or by address. Returns null if there is no such interface
+function interface_address(name_or_address) {
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(name_or_address)) return name_or_address;
+    const interfaces = os.networkInterfaces();
+    if (!interfaces[name_or_address]) return null;
+    const ipv4 = interfaces[name_or_address].find(item => item.family === 'IPv4' || item.family === 4);
+    return (ipv4 ? ipv4.address : null);
+}
+
+// Send WS-Discovery Probes and call on_device(match, rinfo) for each device that replies. Devices are only reported once.
+// options
+//   timeout   - time (ms) to wait for replies after the last Probe is sent. Default 5000
+//   address   - local IPv4 address to send from. Multicast Probes leave from this interface
+//   repeat    - number of times to send each Probe. Default 1
+//   unicast   - list of addresses to send a Probe to directly, instead of the multicast Probe.
+//               Unicast Probes are not limited to the local subnet so can find devices across routers.
+//               IPv6 addresses are sent from a second (udp6) socket
+// callback(err) is called when the timeout has expired
+function probe(options, on_device, callback) {
+    const timeout = options.timeout || 5000;
+    const repeat = options.repeat || 1;
+    const destinations = options.unicast || [WS_DISCOVERY_MULTICAST];
+    const message_id = 'urn:uuid:' + crypto.randomBytes(16).toString('hex').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+    const request = Buffer.from(probe_message(message_id));
+    // A udp4 socket can only send to IPv4 addresses, so IPv6 addresses need a udp6 socket
+    const socket = dgram.createSocket('udp4');
+    const socket6 = (destinations.some(item => net.isIPv6(item)) ? dgram.createSocket('udp6') : null);
+    const sockets = [socket].concat(socket6 ? [socket6] : []);
+    let seen_urns = new Set();
+    let finished = false;
+
+    function finish(err) {
+        if (finished) return;
+        finished = true;
+        for (const item of sockets) {
+            try {
+                item.close();
+            } catch (close_err) {
+                // already closed
+            }
+        }
+        callback(err || null);
+    }
+
+    const on_message = function (msg, rinfo) {
+        parse_probe_match(msg.toString(), function (err, match) {
+            if (err || !match || finished) return;
+            if (match.relatesTo && match.relatesTo !== message_id) return; // a reply to someone else's Probe
+            if (seen_urns.has(match.urn)) return; // a reply to a repeated Probe, or on a second network adapter
+            seen_urns.add(match.urn);
+            on_device(match, rinfo);
+        });
+    };
+    socket.on('error', finish);
+    socket.on('message', on_message);
+    if (socket6) {
+        socket6.on('error', err => finish(new Error('Unable to send Probes to IPv6 addresses. ' + err.message)));
+        socket6.on('message', on_message);
+    }
+
+    // Send to each destination in turn. Waiting for each send to complete paces unicast Probes to a large range
+    function send_all(done) {
+        let index = 0;
+        function send_next() {
+            if (finished) return;
+            if (index >= destinations.length) return done();
+            const destination = destinations[index++];
+            (net.isIPv6(destination) ? socket6 : socket).send(request, 0, request.length, WS_DISCOVERY_PORT, destination, function () {
+                // Errors (eg no route to host) only affect that one address
+                send_next();
+            });
+        }
+        send_next();
+    }
+
+    let pass = 0;
+    function send_pass() {
+        send_all(function () {
+            pass++;
+            if (pass < repeat) setTimeout(send_pass, REPEAT_INTERVAL);
+            else setTimeout(finish, timeout);
+        });
+    }
+
+    const bind_udp6 = function (done) {
+        if (!socket6) return done();
+        socket6.bind(0, done);
+    };
+    socket.bind(0, options.address, function () {
+        if (options.address && !options.unicast) {
+            try {
+                socket.setMulticastInterface(options.address);
+            } catch (err) {
+                return finish(err);
+            }
+        }
+        bind_udp6(send_pass);
+    });
+}
+
+// Decode the onvif://www.onvif.org/<category>/<value> scopes into
+// { name, hardware, location, profiles: [...], types: [...], other: [...] }
+// Location scopes can have several levels (eg location/country/uk, location/city/london) so they are joined with ' '
+function parse_scopes(scopes) {
+    let result = { name: null, hardware: null, location: null, profiles: [], types: [], other: [] };
+    let locations = [];
+    const PREFIX = 'onvif://www.onvif.org/';
+
+    for (const scope of scopes) {
+        if (!scope) continue;
+        if (!scope.toLowerCase().startsWith(PREFIX)) {
+            result.other.push(scope);
+            continue;
+        }
+        const parts = scope.substring(PREFIX.length).split('/').map(item => {
+            try {
+                return decodeURIComponent(item);
+            } catch (err) {
+                return item;
+            }
+        });
+        const category = parts[0].toLowerCase();
+        const value = parts.slice(1).join('/');
+
+        if (category === 'name') result.name = value;
+        else if (category === 'hardware') result.hardware = value;
+        else if (category === 'location') locations.push(parts.slice(1).join(' '));
+        else if (category === 'profile') result.profiles.push(value);
+        else if (category === 'type') result.types.push(value);
+        else result.other.push(scope);
+    }
+    if (locations.length > 0) result.location = locations.join(', ');
+    return result;
+}
+
+// XAddrs is a space separated list of ONVIF Device Service URLs, often one IPv4 and one IPv6 address.
+// Returns { hostname, port, path, https } of the preferred XAddr, or null if there are none
+// Preference is the XAddr for the address the reply came from, then IPv4, then any other
+function choose_xaddr(xaddrs, reply_address) {
+    const list = xaddrs.split(/\s+/).filter(item => item.length > 0).map(function (item) {
+        let parsed;
+        try {
+            parsed = url.parse(item);
+        } catch (err) {
+            return null; // an invalid URL (eg an IPv6 address without the closing ]) from a misbehaving device
+        }
+        if (!parsed.hostname) return null;
+        const https = (parsed.protocol === 'https:');
+        return {
+            hostname: parsed.hostname.replace(/^\[|\]$/g, ''), // IPv6 addresses are in [ ] in a URL
+            port: (parsed.port ? parseInt(parsed.port) : (https ? 443 : 80)),
+            path: parsed.path || '/onvif/device_service',
+            https: https
+        };
+    }).filter(item => item !== null);
+
+    if (list.length === 0) return null;
+    return list.find(item => item.hostname === reply_address)
+        || list.find(item => /^\d+\.\d+\.\d+\.\d+$/.test(item.hostname))
+        || list[0];
+}
+
+module.exports = {
+    probe: probe,
+    parse_probe_match: parse_probe_match,
+    interface_address: interface_address,
+    parse_scopes: parse_scopes,
+    choose_xaddr: choose_xaddr
+};
@@ -0,0 +1,188 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Firmware Baseline
+ * Checks the firmware of each camera against a local baseline file that gives the minimum approved firmware
+ * for each manufacturer and model, and counts the cameras of each model that need upgrading
+ */
+
+var config_file = require('./config-file');
+
+// Fields allowed in each entry of the baseline
+const ENTRY_FIELDS = {
+    manufacturer: 'string', // eg Hikvision or Hanwha*. Default * (any manufacturer)
+    model: 'string', // eg DS-2CD2*. Default * (any model)
+    minimumFirmware: 'string', // eg V5.7.3
+    notes: 'string' // eg CVE-2021-36260
+};
+
+const STATUSES = ['compliant', 'outdated', 'unknown'];
+
+// Load and check a Firmware Baseline file (JSON or YAML). Throws an Error listing every problem found
+function load_baseline(filename) {
+    return check_baseline(config_file.read_file(filename, 'Firmware Baseline'), filename);
+}
+
+// Check a Firmware Baseline { baseline: [ { manufacturer, model, minimumFirmware, notes } ] }
+// Returns the list of entries with the patterns turned into regular expressions, or throws an Error listing every problem found.
+// A list that has already been checked is returned as it is
+function check_baseline(file, filename) {
+    if (Array.isArray(file) && file.length > 0 && file.every(entry => entry && entry.manufacturerPattern instanceof RegExp)) return file;
+
+    const name = 'The Firmware Baseline' + (filename ? ' ' + filename : '');
+    if (!config_file.is_object(file) || !Array.isArray(file.baseline)) {
+        throw new Error(name + ' should contain an object with a "baseline" list');
+    }
+
+    let errors = [];
+    config_file.check_fields(file, { baseline: 'array' }, '', errors);
+    let entries = [];
+    file.baseline.forEach(function (entry, idx) {
+        const where = 'baseline[' + idx + ']';
+        if (!config_file.is_object(entry)) return errors.push(where + ': should be an object');
+        config_file.check_fields(entry, ENTRY_FIELDS, where, errors);
+        if (typeof entry.minimumFirmware !== 'string' || version_numbers(entry.minimumFirmware) === null) {
+            return errors.push(where + ': needs a "minimumFirmware" with a version number eg 5.7.3');
+        }
+        entries.push({
+            manufacturer: entry.manufacturer || '*',
+            model: entry.model || '*',
+            manufacturerPattern: glob_pattern(entry.manufacturer || '*'),
+            modelPattern: glob_pattern(entry.model || '*'),
+            minimumFirmware: entry.minimumFirmware,
+            notes: entry.notes || null
+        });
+    });
+    if (errors.length === 0 && entries.length === 0) errors.push('baseline: has no entries');
+    if (errors.length > 0) {
+        throw new Error(name + ' has ' + errors.length + ' problem(s)\n  ' + errors.join('\n  '));
+    }
+    return entries;
+}
+
+// Turn a pattern with * and ? wildcards into a case insensitive regular expression that matches the whole name
+function glob_pattern(pattern) {
+    const source = String(pattern).trim().split('').map(function (char) {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }).join('');
+    return new RegExp('^' + source + '$', 'i');
+}
+
+// The numbers of the first version in a firmware string, or null if there are none
+// eg 'V5.7.3 build 220112' is [5, 7, 3], '2.800.0000000.6.R, Build Date 2020-09-14' is [2, 800, 0, 6], '5.5.0_190822' is [5, 5, 0, 190822]
+function version_numbers(firmware) {
+    const match = /\d+(?:[._-]\d+)*/.exec(String(firmware || ''));
+    if (!match) return null;
+    return match[0].split(/[._-]/).map(item => parseInt(item, 10));
+}
+
+// Compare two firmware versions. Returns -1, 0 or 1, or null if either has no version number.
+// Missing parts count as 0, so 5.7 is the same as 5.7.0
+function compare_versions(a, b) {
+    const a_numbers = version_numbers(a);
+    const b_numbers = version_numbers(b);
+    if (a_numbers === null || b_numbers === null) return null;
+    for (let i = 0; i < Math.max(a_numbers.length, b_numbers.length); i++) {
+        const a_part = (i < a_numbers.length ? a_numbers[i] : 0);
+        const b_part = (i < b_numbers.length ? b_numbers[i] : 0);
+        if (a_part !== b_part) return (a_part < b_part ? -1 : 1);
+    }
+    return 0;
+}
+
+// The first baseline entry that matches the manufacturer and model, or null
+function find_entry(baseline, manufacturer, model) {
+    return baseline.find(entry => entry.manufacturerPattern.test(String(manufacturer || '').trim())
+        && entry.modelPattern.test(String(model || '').trim())) || null;
+}
+
+// Check a camera's Device Information against the baseline.
+// Returns { status, minimumFirmware, notes, rule, reason } where status is 'compliant', 'outdated' or 'unknown'
+function check_firmware(baseline, info) {
+    let result = { status: 'unknown', minimumFirmware: null, notes: null, rule: null, reason: null };
+    if (!info) {
+        result.reason = 'No Device Information';
+        return result;
+    }
+    const entry = find_entry(baseline, info.manufacturer, info.model);
+    if (!entry) {
+        result.reason = 'No baseline for ' + info.manufacturer + ' ' + info.model;
+        return result;
+    }
+    result.minimumFirmware = entry.minimumFirmware;
+    result.notes = entry.notes;
+    result.rule = entry.manufacturer + ' ' + entry.model;
+
+    const order = compare_versions(info.firmwareVersion, entry.minimumFirmware);
+    if (order === null) {
+        result.reason = 'No version number in the firmware "' + info.firmwareVersion + '"';
+    } else {
+        result.status = (order < 0 ? 'outdated' : 'compliant');
+    }
+    return result;
+}
+
+// eg 'compliant (minimum V5.7.3)', 'OUTDATED - below V5.7.3 (CVE-2021-36260)' or 'unknown - No baseline for Axis M3045'
+function format_firmware(result) {
+    if (!result) return 'not checked';
+    if (result.status === 'compliant') return 'compliant (minimum ' + result.minimumFirmware + ')';
+    if (result.status === 'outdated') return 'OUTDATED - below ' + result.minimumFirmware + (result.notes ? ' (' + result.notes + ')' : '');
+    return 'unknown - ' + result.reason;
+}
+
+// Number of cameras with each status, and the same for each manufacturer and model, most outdated cameras first
+//   { compliant, outdated, unknown, models: [ { manufacturer, model, minimumFirmware, notes, cameras, compliant, outdated, unknown, firmwareVersions } ] }
+function rollup(records) {
+    let counts = { compliant: 0, outdated: 0, unknown: 0, models: [] };
+    let models = new Map();
+    for (const record of records) {
+        if (!record || !record.firmware) continue;
+        counts[record.firmware.status]++;
+
+        const info = record.deviceInformation || {};
+        const key = String(info.manufacturer) + '\n' + String(info.model);
+        if (!models.has(key)) {
+            models.set(key, {
+                manufacturer: info.manufacturer || null,
+                model: info.model || null,
+                minimumFirmware: record.firmware.minimumFirmware,
+                notes: record.firmware.notes,
+                cameras: 0,
+                compliant: 0,
+                outdated: 0,
+                unknown: 0,
+                firmwareVersions: []
+            });
+        }
+        let model = models.get(key);
+        model.cameras++;
+        model[record.firmware.status]++;
+        if (info.firmwareVersion && !model.firmwareVersions.includes(info.firmwareVersion)) model.firmwareVersions.push(info.firmwareVersion);
+    }
+    counts.models = Array.from(models.values()).sort((a, b) => (b.outdated - a.outdated)
+        || String(a.manufacturer).localeCompare(String(b.manufacturer)) || String(a.model).localeCompare(String(b.model)));
+    return counts;
+}
+
+// eg 'Hikvision DS-2CD2143G0-I: 3 of 5 need upgrading to V5.7.3 (CVE-2021-36260)'
+function format_model(model) {
+    const name = (model.manufacturer || 'unknown') + ' ' + (model.model || 'unknown');
+    if (!model.minimumFirmware) return name + ': ' + model.cameras + ' camera(s) with no baseline';
+    return name + ': ' + model.outdated + ' of ' + model.cameras + ' need upgrading to ' + model.minimumFirmware
+        + (model.unknown > 0 ? ', ' + model.unknown + ' unknown' : '')
+        + (model.notes ? ' (' + model.notes + ')' : '');
+}
+
+module.exports = {
+    STATUSES: STATUSES,
+    load_baseline: load_baseline,
+    check_baseline: check_baseline,
+    compare_versions: compare_versions,
+    check_firmware: check_firmware,
+    format_firmware: format_firmware,
+    rollup: rollup,
+    format_model: format_model
+};
@@ -0,0 +1,379 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Consolidated HTML Site Report (index.html in the audit folder)
+ * Snapshots are embedded as Base64 so the HTML file can be sent to a customer on its own
+ */
+
+var fs = require('fs');
+var path = require('path');
+var device_inventory = require('./inventory');
+var diagnostics = require('./diagnostics');
+var remediation = require('./remediation');
+var firmware_baseline = require('./firmware-baseline');
+var snapshot = require('./snapshot');
+
+function html_escape(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function format_drift(seconds) {
+    if (seconds === null || seconds === undefined) return 'unknown';
+    return (seconds >= 0 ? '+' : '') + seconds.toFixed(1) + ' s';
+}
+
+// How the snapshot was taken, or why there is no snapshot
+function snapshot_text(capture) {
+    if (!capture) return '';
+    if (!capture.method) return '<br><span class="warning">' + html_escape(capture.error) + '</span>';
+    return '<br>' + html_escape(capture.width + 'x' + capture.height + ' ' + snapshot.METHOD_NAMES[capture.method]);
+}
+
+// Views flagged by the Image Quality checks, eg 'Blurred, obscured'
+function quality_text(quality) {
+    if (!quality || quality.flags.length === 0) return '';
+    const flags = quality.flags.join(', ');
+    return '<br><span class="warning">' + html_escape(flags.charAt(0).toUpperCase() + flags.substring(1)) + '</span>';
+}
+
+// Firmware below the minimum approved for the model, or not in the Firmware Baseline
+function firmware_text(firmware) {
+    if (!firmware || firmware.status === 'compliant') return '';
+    if (firmware.status === 'outdated') {
+        return '<br><span class="warning">Outdated. Minimum ' + html_escape(firmware.minimumFirmware) + '</span>'
+            + (firmware.notes ? '<br>' + html_escape(firmware.notes) : '');
+    }
+    return '<br>Compliance unknown';
+}
+
+// Returns an <img> tag with the snapshot embedded as a data: URI, or a placeholder if there is no snapshot
+function thumbnail(folder, snapshot_file) {
+    if (!snapshot_file) return 'No image';
+    let jpeg;
+    try {
+        jpeg = fs.readFileSync(folder + path.sep + snapshot_file);
+    } catch (err) {
+        return 'No image';
+    }
+    if (jpeg.length === 0) return 'No image';
+    return '<a href="' + html_escape(snapshot_file) + '">'
+        + '<img class="thumb" alt="' + html_escape(snapshot_file) + '" src="data:image/jpeg;base64,' + jpeg.toString('base64') + '"></a>';
+}
+
+function credential_text(credential) {
+    if (!credential) return '';
+    if (credential.status === 'none') return '<br><span class="warning">No working password</span>';
+    if (credential.authentication === false) return '<br><span class="warning">Accepts any password</span>';
+    return '<br>User: ' + html_escape(credential.username)
+        + (credential.defaultVendor ? '<br><span class="warning">' + html_escape(credential.defaultVendor) + ' default password</span>' : '');
+}
+
+// Security Findings for a camera, most severe first
+function finding_list(security) {
+    if (!security) return 'Not checked';
+    if (security.findings.length === 0) return 'None';
+    return security.findings.map(item => '<span class="severity-' + item.severity + '">'
+        + html_escape(item.severity.toUpperCase()) + '</span> ' + html_escape(item.title)).join('<br>');
+}
+
+function ptz_text(ptz, source) {
+    if (!ptz) return '';
+    const profile = ptz.profiles.find(item => item.profileToken === source.profileToken)
+        || ptz.profiles.find(item => item.videoSourceToken === source.token);
+    if (!profile) return '';
+    return '<br>PTZ: ' + profile.presets.length + ' Preset(s)';
+}
+
+// Result of the RTSP Probe (from --rtsp-probe)
+function rtsp_text(rtsp) {
+    if (!rtsp) return '';
+    if (rtsp.status !== 'ok') return '<br><span class="warning">RTSP Probe failed: ' + html_escape(rtsp.error) + '</span>';
+    return '<br>RTSP Probe: ' + html_escape(rtsp.codec) + ' ' + (rtsp.width ? html_escape(rtsp.width + 'x' + rtsp.height) : '')
+        + (rtsp.frameRate !== null ? ' ' + html_escape(rtsp.frameRate) + ' fps' : '')
+        + (rtsp.bitrateKbps !== null ? ' ' + html_escape(rtsp.bitrateKbps) + ' kbps' : '')
+        + (rtsp.clipFile ? ' <a href="' + html_escape(rtsp.clipFile) + '">clip</a>' : '');
+}
+
+function stream_list(streams) {
+    let items = [];
+    if (streams.tcp) items.push('TCP: ' + html_escape(streams.tcp));
+    if (streams.udp) items.push('UDP: ' + html_escape(streams.udp));
+    if (streams.http) items.push('HTTP: ' + html_escape(streams.http));
+    if (streams.multicast) items.push('Multicast: ' + html_escape(streams.multicast));
+    return items.join('<br>');
+}
+
+// Thumbnails of the snapshots taken at each PTZ Preset or position (from --ptz-snapshots)
+function ptz_views_html(folder, cameras) {
+    let html = '';
+    for (const record of cameras) {
+        if (!record.ptz || !record.ptz.snapshots) continue;
+        for (const item of record.ptz.snapshots) {
+            html += '<tr><td>' + html_escape(record.host) + ' Video Source ' + item.videoSource
+                + (item.skipped ? '<br><span class="warning">Skipped. ' + html_escape(item.skipped) + '</span>'
+                    : (item.returnedToStart ? '' : '<br><span class="warning">Not returned to start position</span>')) + '</td><td>';
+            html += item.views.map(view => '<div class="view">'
+                + (view.file ? thumbnail(folder, view.file) : html_escape(view.error)) + '<br>'
+                + (view.preset ? html_escape(view.preset.name)
+                    : html_escape(view.position.x + ',' + view.position.y + ',' + view.position.zoom))
+                + '</div>').join('');
+            html += '</td></tr>\n';
+        }
+    }
+    if (html.length === 0) return '';
+    return '<h2>PTZ Views</h2>\n<table>\n<tr><th>Camera</th><th>Views</th></tr>\n' + html + '</table>\n';
+}
+
+// Services, network settings, users, I/O and every Media Profile of each camera, for the as-built record
+function inventory_html(cameras) {
+    let html = '';
+    const list = (items, format) => (items === null ? 'unknown' : (items.length === 0 ? 'none' : items.map(item => html_escape(format(item))).join('<br>')));
+    for (const record of cameras) {
+        const inventory = record.inventory;
+        if (!inventory) continue;
+        const network = inventory.network;
+        html += '<tr><td>' + html_escape(record.host) + ':' + html_escape(record.port) + '</td>'
+            + '<td>' + (inventory.onvifProfiles && inventory.onvifProfiles.length > 0 ? 'Profile ' + html_escape(inventory.onvifProfiles.join(' ')) + '<br>' : '')
+                + list(inventory.services, item => item.name + (item.version ? ' ' + item.version : '')) + '</td>'
+            + '<td>' + (network.hostname ? 'Hostname: ' + html_escape(network.hostname.name) + '<br>' : '')
+                + (network.interfaces || []).map(item => html_escape((item.name || item.token) + ' MAC ' + (item.macAddress || 'unknown')
+                    + (item.ipv4 ? ' ' + item.ipv4.addresses.join(' ') + (item.ipv4.dhcp ? ' (DHCP)' : '') : ''))).join('<br>')
+                + (network.dns ? '<br>DNS: ' + html_escape(network.dns.servers.join(' ') || 'none') + (network.dns.fromDHCP ? ' (DHCP)' : '') : '')
+                + (network.gateway ? '<br>Gateway: ' + html_escape(network.gateway.join(' ') || 'none') : '') + '</td>'
+            + '<td>' + list(inventory.users, item => item.username + ' (' + item.level + ')') + '</td>'
+            + '<td>Audio Sources: ' + (inventory.audioSources === null ? 'unknown' : inventory.audioSources.length)
+                + '<br>Relay Outputs: ' + (inventory.relayOutputs === null ? 'unknown' : inventory.relayOutputs.length)
+                + '<br>Digital Inputs: ' + (inventory.digitalInputs === null ? 'unknown' : inventory.digitalInputs.length) + '</td>'
+            + '<td>' + list(inventory.profiles, profile => profile.token + ': ' + device_inventory.format_video_encoder(profile.videoEncoder)
+                + (profile.audioEncoder ? ' Audio ' + profile.audioEncoder.encoding : '') + (profile.ptz ? ' PTZ' : '')) + '</td>'
+            + '</tr>\n';
+    }
+    if (html.length === 0) return '';
+    return '<h2>Inventory</h2>\n<table>\n<tr><th>Camera</th><th>ONVIF Profiles and Services</th><th>Network</th><th>Users</th>'
+        + '<th>Audio and I/O</th><th>Media Profiles</th></tr>\n' + html + '</table>\n';
+}
+
+// The ONVIF commands and audit steps that did not succeed on each camera (including the cameras that failed)
+function diagnostics_html(records) {
+    let html = '';
+    for (const record of records) {
+        if (!record.steps) continue;
+        const problems = record.steps.filter(item => item.status !== 'ok');
+        if (problems.length === 0) continue;
+        html += '<tr><td>' + html_escape(record.host) + ':' + html_escape(record.port) + '</td>'
+            + '<td>' + html_escape(diagnostics.format_step_counts(diagnostics.count_steps(record.steps))) + '</td>'
+            + '<td>' + problems.map(item => html_escape(diagnostics.format_step(item))).join('<br>') + '</td></tr>\n';
+    }
+    if (html.length === 0) return '';
+    return '<h2>Diagnostics</h2>\n<table>\n<tr><th>Camera</th><th>Steps</th><th>Problems</th></tr>\n' + html + '</table>\n';
+}
+
+// Changes made (or planned with --dry-run) by --fix
+function fix_html(records) {
+    let html = '';
+    for (const record of records) {
+        if (!record.fix || record.fix.status === 'unchanged') continue;
+        html += '<tr><td>' + html_escape(record.host) + ':' + html_escape(record.port) + '</td>'
+            + '<td' + (record.fix.status === 'failed' ? ' class="warning"' : '') + '>' + html_escape(record.fix.status) + '</td>'
+            + '<td>' + record.fix.changes.map(change => html_escape(remediation.format_change(change))).join('<br>') + '</td></tr>\n';
+    }
+    if (html.length === 0) return '';
+    const dry_run = records.some(record => record.fix && record.fix.dryRun);
+    return '<h2>' + (dry_run ? 'Planned Changes (dry run)' : 'Changes Made') + '</h2>\n<table>\n<tr><th>Camera</th><th>Status</th><th>Changes</th></tr>\n'
+        + html + '</table>\n';
+}
+
+// Number of cameras of each model that need a firmware upgrade (from --firmware-baseline)
+function firmware_html(records) {
+    const counts = firmware_baseline.rollup(records);
+    if (counts.models.length === 0) return '';
+    let html = '<h2>Firmware Compliance</h2>\n<p>' + counts.compliant + ' compliant, ' + counts.outdated + ' outdated, ' + counts.unknown + ' unknown</p>\n'
+        + '<table>\n<tr><th>Make</th><th>Model</th><th>Cameras</th><th>Need Upgrading</th><th>Minimum Firmware</th><th>Firmware Found</th><th>Notes</th></tr>\n';
+    for (const model of counts.models) {
+        html += '<tr><td>' + html_escape(model.manufacturer) + '</td>'
+            + '<td>' + html_escape(model.model) + '</td>'
+            + '<td>' + model.cameras + '</td>'
+            + '<td' + (model.outdated > 0 ? ' class="warning"' : '') + '>' + model.outdated + (model.unknown > 0 ? ' (' + model.unknown + ' unknown)' : '') + '</td>'
+            + '<td>' + html_escape(model.minimumFirmware || 'not in the baseline') + '</td>'
+            + '<td>' + html_escape(model.firmwareVersions.join(', ')) + '</td>'
+            + '<td>' + html_escape(model.notes) + '</td></tr>\n';
+    }
+    return html + '</table>\n';
+}
+
+// Changes since the previous Audit (from --compare)
+function comparison_html(comparison) {
+    let rows = [];
+    for (const item of comparison.moved) {
+        rows.push(['Moved', item.name, item.previousHost + ':' + item.previousPort + ' to ' + item.host + ':' + item.port]);
+    }
+    for (const item of comparison.missing) {
+        rows.push(['Missing', item.name, 'Was at ' + item.host + ':' + item.port]);
+    }
+    for (const item of comparison.added) {
+        rows.push(['Added', item.name, 'At ' + item.host + ':' + item.port]);
+    }
+    for (const item of comparison.firmwareChanged) {
+        rows.push(['Firmware Changed', item.name, item.previous + ' to ' + item.current]);
+    }
+    for (const item of comparison.videoChanged) {
+        rows.push(['Encoding/Resolution Changed', item.name, (item.videoSource ? 'Video Source ' + item.videoSource + ' ' : '') + item.previous + ' to ' + item.current]);
+    }
+    for (const item of comparison.imageChanged) {
+        rows.push(['Snapshot Changed', item.name, 'Video Source ' + item.videoSource + ' is ' + item.difference + '% different. Possible tamper or re-aim']);
+    }
+
+    let html = '<h2>Changes since ' + html_escape(comparison.previousFolder) + '</h2>\n';
+    if (rows.length === 0) return html + '<p>No changes</p>\n';
+    html += '<table>\n<tr><th>Change</th><th>Camera</th><th>Details</th></tr>\n';
+    for (const row of rows) {
+        html += '<tr>' + row.map(cell => '<td>' + html_escape(cell) + '</td>').join('') + '</tr>\n';
+    }
+    return html + '</table>\n';
+}
+
+// Site, Group, Location and Comment from the Config File
+function label_text(label) {
+    if (!label) return '';
+    let html = '';
+    if (label.site) html += '<br>Site: ' + html_escape(label.site) + (label.group ? ' / ' + html_escape(label.group) : '');
+    if (label.location) html += '<br>Location: ' + html_escape(label.location);
+    if (label.comment) html += '<br>' + html_escape(label.comment);
+    return html;
+}
+
+// Name and Location from the WS-Discovery Scopes (--scan --audit)
+function discovery_text(discovered) {
+    if (!discovered) return '';
+    let html = '';
+    if (discovered.name) html += '<br>Name: ' + html_escape(discovered.name);
+    if (discovered.location) html += '<br>Location: ' + html_escape(discovered.location);
+    return html;
+}
+
+// records must already be sorted in the order they should appear in the report
+// comparison is optional. It is the result of compare_audits()
+function build_html(folder, title, records, summary, comparison) {
+    const cameras = records.filter(record => !record.error);
+    const failed = records.filter(record => record.error);
+
+    let html = '<!DOCTYPE html>\n'
+        + '<html>\n<head>\n<meta charset="utf-8">\n'
+        + '<title>' + html_escape(title) + '</title>\n'
+        + '<style>\n'
+        + 'body { font-family: sans-serif; font-size: 13px; }\n'
+        + 'table { border-collapse: collapse; margin-bottom: 2em; }\n'
+        + 'th, td { border: 1px solid #999; padding: 4px 6px; vertical-align: top; text-align: left; }\n'
+        + 'th { background: #ddd; }\n'
+        + 'img.thumb { width: 160px; }\n'
+        + '.failed td { color: #a00; }\n'
+        + 'td.drift { background: #fcc; font-weight: bold; }\n'
+        + '.warning { color: #a00; font-weight: bold; }\n'
+        + 'div.view { display: inline-block; margin: 0 6px 6px 0; text-align: center; }\n'
+        + '.severity-high { color: #fff; background: #c00; padding: 0 3px; }\n'
+        + '.severity-medium { color: #000; background: #f90; padding: 0 3px; }\n'
+        + '.severity-low { color: #000; background: #ff6; padding: 0 3px; }\n'
+        + '</style>\n</head>\n<body>\n'
+        + '<h1>' + html_escape(title) + '</h1>\n'
+        + '<p>Cameras found: ' + cameras.length + '. Failed: ' + failed.length + '.'
+        + (summary ? ' Addresses scanned: ' + summary.addresses + '. Addresses with nothing listening: ' + summary.notListening + '.' : '')
+        + '</p>\n';
+
+    const drifting = cameras.filter(record => record.timeDriftExceeded);
+    if (drifting.length > 0) {
+        html += '<p>Cameras with Time Drift above the limit: ' + drifting.length + '</p>\n';
+    }
+    const default_passwords = cameras.filter(record => record.credential && record.credential.defaultVendor);
+    if (default_passwords.length > 0) {
+        html += '<p class="warning">Cameras accepting a vendor default password: ' + default_passwords.length + '</p>\n';
+    }
+    if (summary && summary.findings) {
+        const with_findings = cameras.filter(record => record.security && record.security.findings.length > 0);
+        html += '<p>Security Findings: '
+            + '<span class="severity-high">' + summary.findings.high + ' high</span> '
+            + '<span class="severity-medium">' + summary.findings.medium + ' medium</span> '
+            + '<span class="severity-low">' + summary.findings.low + ' low</span>'
+            + ' on ' + with_findings.length + ' camera(s)</p>\n';
+    }
+    if (summary && summary.imageQuality && summary.imageQuality.flagged > 0) {
+        html += '<p class="warning">Snapshots flagged by the Image Quality checks: ' + summary.imageQuality.flagged
+            + ' of ' + summary.imageQuality.measured + '</p>\n';
+    }
+
+    if (comparison) html += comparison_html(comparison);
+
+    html += '<h2>Cameras</h2>\n<table>\n'
+        + '<tr><th>Snapshot</th><th>IP Address</th><th>Make</th><th>Model</th><th>Firmware</th><th>Serial Number</th>'
+        + '<th>Time Drift</th><th>Security Findings</th><th>Video Source</th><th>Stream URIs</th></tr>\n';
+
+    for (const record of cameras) {
+        const info = record.deviceInformation || {};
+        // Cameras with no Video Sources still get one row
+        const sources = record.videoSources.length > 0 ? record.videoSources : [null];
+
+        sources.forEach(function (source, src_idx) {
+            html += '<tr>'
+                + '<td>' + (source ? thumbnail(folder, source.snapshotFile) + snapshot_text(source.snapshot) + quality_text(source.quality) : 'No image') + '</td>'
+                + '<td>' + html_escape(record.host) + ':' + html_escape(record.port)
+                    + label_text(record.label)
+                    + discovery_text(record.discovery)
+                    + (record.openPorts ? '<br>Open Ports: ' + html_escape(record.openPorts.join(' ')) : '')
+                    + credential_text(record.credential) + '</td>'
+                + '<td>' + html_escape(info.manufacturer) + '</td>'
+                + '<td>' + html_escape(info.model) + '</td>'
+                + '<td>' + html_escape(info.firmwareVersion) + firmware_text(record.firmware) + '</td>'
+                + '<td>' + html_escape(info.serialNumber) + '</td>'
+                + '<td' + (record.timeDriftExceeded ? ' class="drift"' : '') + '>' + format_drift(record.timeDriftSeconds)
+                    + (record.ntp ? '<br>NTP: ' + (record.ntp.fromDHCP ? 'DHCP' : html_escape(record.ntp.servers.join(' ') || 'none')) : '') + '</td>'
+                + '<td>' + finding_list(record.security) + '</td>'
+                + '<td>' + (source ? (source.videoSource || src_idx + 1) + ' [' + html_escape(source.token) + '] '
+                    + html_escape(source.encoding) + ' ' + html_escape(source.width) + 'x' + html_escape(source.height)
+                    + '<br>Profile: ' + html_escape(source.profileName || source.profileToken)
+                    + (source.profilePolicyMatched === false ? ' <span class="warning">(no Profile matches the Profile Policy)</span>' : '') : '')
+                    + (source ? ptz_text(record.ptz, source) : '') + '</td>'
+                + '<td>' + (source ? stream_list(source.streams) + rtsp_text(source.rtsp) : '') + '</td>'
+                + '</tr>\n';
+        });
+    }
+    html += '</table>\n';
+
+    html += ptz_views_html(folder, cameras);
+    html += inventory_html(cameras);
+    html += firmware_html(cameras);
+
+    if (failed.length > 0) {
+        html += '<h2>Failed</h2>\n<table>\n<tr><th>IP Address</th><th>Error</th></tr>\n';
+        for (const record of failed) {
+            html += '<tr class="failed"><td>' + html_escape(record.host) + ':' + html_escape(record.port) + label_text(record.label) + '</td>'
+                + '<td>' + html_escape(record.error) + '</td></tr>\n';
+        }
+        html += '</table>\n';
+    }
+    html += fix_html(records);
+    html += diagnostics_html(records);
+
+    html += '</body>\n</html>\n';
+    return html;
+}
+
+// Write index.html into the audit folder. Throws an Error if it could not be written
+function write_html_report(folder, title, records, summary, comparison) {
+    const html = build_html(folder, title, records, summary, comparison);
+    try {
+        fs.writeFileSync(folder + path.sep + 'index.html', html);
+    } catch (err) {
+        throw new Error('Unable to write index.html. ' + err.message);
+    }
+}
+
+module.exports = {
+    build_html: build_html,
+    write_html_report: write_html_report
+};
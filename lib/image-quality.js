@@ -0,0 +1,176 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Image Quality
+ * Decodes a snapshot and measures its brightness, contrast and sharpness, and how much of it is a flat colour,
+ * so views that are dark, over-exposed, out of focus, covered or pointing at a wall can be found without looking at every image
+ */
+
+var jpeg = require('jpeg-js');
+
+// The image is scaled down to this width before it is measured, so the sharpness of different resolutions can be compared
+const ANALYSIS_WIDTH = 640;
+// The image is split into UNIFORM_GRID x UNIFORM_GRID cells. A cell whose brightness varies by less than UNIFORM_STDDEV is flat
+const UNIFORM_GRID = 16;
+const UNIFORM_STDDEV = 6;
+
+const DEFAULT_THRESHOLDS = {
+    minBrightness: 30, // mean brightness (0 to 255) below this is 'dark'
+    maxBrightness: 225, // and above this is 'over-exposed'
+    minContrast: 15, // standard deviation of the brightness below this is 'low-contrast'
+    minSharpness: 20, // variance of the Laplacian below this is 'blurred'
+    maxUniform: 95 // percentage of flat cells above this is 'obscured'
+};
+
+const THRESHOLD_HELP = 'Image Quality thresholds should be a list such as brightness=30-225,contrast=15,sharpness=20,uniform=95';
+
+// Parse a threshold list such as 'brightness=30-225,contrast=15,sharpness=20,uniform=95'.
+// Thresholds that are not in the list keep their default. Returns the thresholds or throws an Error
+function parse_thresholds(text) {
+    let thresholds = Object.assign({}, DEFAULT_THRESHOLDS);
+    const items = String(text || '').split(',').map(item => item.trim()).filter(item => item.length > 0);
+    for (const item of items) {
+        const match = /^(\w+)\s*=\s*([\d.]+)(?:\s*-\s*([\d.]+))?$/.exec(item);
+        if (!match) throw new Error(THRESHOLD_HELP);
+        const low = parseFloat(match[2]);
+        const high = (match[3] !== undefined ? parseFloat(match[3]) : null);
+        const name = match[1].toLowerCase();
+        if (name === 'brightness' && high !== null) {
+            thresholds.minBrightness = low;
+            thresholds.maxBrightness = high;
+        } else if (name === 'contrast' && high === null) {
+            thresholds.minContrast = low;
+        } else if (name === 'sharpness' && high === null) {
+            thresholds.minSharpness = low;
+        } else if (name === 'uniform' && high === null) {
+            thresholds.maxUniform = low;
+        } else {
+            throw new Error(THRESHOLD_HELP);
+        }
+    }
+    return thresholds;
+}
+
+function format_thresholds(thresholds) {
+    return 'brightness=' + thresholds.minBrightness + '-' + thresholds.maxBrightness + ',contrast=' + thresholds.minContrast
+        + ',sharpness=' + thresholds.minSharpness + ',uniform=' + thresholds.maxUniform;
+}
+
+// Decode a JPEG into brightness values scaled down to at most ANALYSIS_WIDTH wide.
+// Each value is the average of the block of pixels it replaces, so sensor noise does not look like detail
+function luma_image(jpeg_data) {
+    const image = jpeg.decode(jpeg_data, { useTArray: true, formatAsRGBA: true });
+    const scale = Math.max(1, image.width / ANALYSIS_WIDTH);
+    const width = Math.max(1, Math.floor(image.width / scale));
+    const height = Math.max(1, Math.floor(image.height / scale));
+    let sums = new Float64Array(width * height);
+    let counts = new Uint32Array(width * height);
+    for (let y = 0; y < image.height; y++) {
+        const row = Math.min(height - 1, Math.floor(y / scale)) * width;
+        for (let x = 0; x < image.width; x++) {
+            const cell = row + Math.min(width - 1, Math.floor(x / scale));
+            const i = (y * image.width + x) * 4;
+            sums[cell] += 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+            counts[cell]++;
+        }
+    }
+    let luma = new Float64Array(width * height);
+    for (let i = 0; i < luma.length; i++) luma[i] = sums[i] / counts[i];
+    return { width: width, height: height, luma: luma };
+}
+
+function round(value, places) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// Measure a snapshot.
+// Returns { brightness, contrast, sharpness, uniformPercent, flags } where flags lists the thresholds the image is outside of
+// (dark, over-exposed, low-contrast, blurred and obscured). Throws an Error if the JPEG cannot be decoded
+function analyse(jpeg_data, thresholds) {
+    thresholds = thresholds || DEFAULT_THRESHOLDS;
+    const image = luma_image(jpeg_data);
+    const width = image.width;
+    const height = image.height;
+    const luma = image.luma;
+
+    // Brightness and contrast (the standard deviation of the brightness)
+    let total = 0;
+    for (let i = 0; i < luma.length; i++) total += luma[i];
+    const brightness = total / luma.length;
+    let variance = 0;
+    for (let i = 0; i < luma.length; i++) variance += (luma[i] - brightness) * (luma[i] - brightness);
+    const contrast = Math.sqrt(variance / luma.length);
+
+    // Sharpness is the variance of the Laplacian. Edges in a focused image give large values, a blurred image gives small ones
+    let laplacian_sum = 0;
+    let laplacian_squares = 0;
+    let laplacian_count = 0;
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = 4 * luma[i] - luma[i - 1] - luma[i + 1] - luma[i - width] - luma[i + width];
+            laplacian_sum += value;
+            laplacian_squares += value * value;
+            laplacian_count++;
+        }
+    }
+    const laplacian_mean = (laplacian_count > 0 ? laplacian_sum / laplacian_count : 0);
+    const sharpness = (laplacian_count > 0 ? laplacian_squares / laplacian_count - laplacian_mean * laplacian_mean : 0);
+
+    // Percentage of the image that is a flat colour (a covered lens, a wall or a blank video signal)
+    const grid_x = Math.min(UNIFORM_GRID, width);
+    const grid_y = Math.min(UNIFORM_GRID, height);
+    let cell_sums = new Float64Array(grid_x * grid_y);
+    let cell_squares = new Float64Array(grid_x * grid_y);
+    let cell_counts = new Uint32Array(grid_x * grid_y);
+    for (let y = 0; y < height; y++) {
+        const cell_row = Math.floor(y * grid_y / height) * grid_x;
+        for (let x = 0; x < width; x++) {
+            const cell = cell_row + Math.floor(x * grid_x / width);
+            const value = luma[y * width + x];
+            cell_sums[cell] += value;
+            cell_squares[cell] += value * value;
+            cell_counts[cell]++;
+        }
+    }
+    let flat_cells = 0;
+    for (let cell = 0; cell < cell_counts.length; cell++) {
+        const mean = cell_sums[cell] / cell_counts[cell];
+        const cell_variance = cell_squares[cell] / cell_counts[cell] - mean * mean;
+        if (Math.sqrt(Math.max(0, cell_variance)) < UNIFORM_STDDEV) flat_cells++;
+    }
+    const uniform_percent = flat_cells * 100 / cell_counts.length;
+
+    let flags = [];
+    if (brightness < thresholds.minBrightness) flags.push('dark');
+    if (brightness > thresholds.maxBrightness) flags.push('over-exposed');
+    if (contrast < thresholds.minContrast) flags.push('low-contrast');
+    if (sharpness < thresholds.minSharpness) flags.push('blurred');
+    if (uniform_percent > thresholds.maxUniform) flags.push('obscured');
+
+    return {
+        brightness: round(brightness, 1),
+        contrast: round(contrast, 1),
+        sharpness: round(sharpness, 1),
+        uniformPercent: round(uniform_percent, 1),
+        flags: flags
+    };
+}
+
+// eg 'OK brightness 128.2 contrast 45.1 sharpness 310.5 uniform 2.3%' or '** BLURRED, OBSCURED ** brightness ...'
+function format_quality(quality) {
+    if (!quality) return 'not measured';
+    return (quality.flags.length > 0 ? '** ' + quality.flags.join(', ').toUpperCase() + ' **' : 'OK')
+        + ' brightness ' + quality.brightness + ' contrast ' + quality.contrast
+        + ' sharpness ' + quality.sharpness + ' uniform ' + quality.uniformPercent + '%';
+}
+
+module.exports = {
+    DEFAULT_THRESHOLDS: DEFAULT_THRESHOLDS,
+    parse_thresholds: parse_thresholds,
+    format_thresholds: format_thresholds,
+    analyse: analyse,
+    format_quality: format_quality
+};
@@ -0,0 +1,434 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Device Inventory
+ * Records what a device is and how it is set up, for an as-built document:
+ * the ONVIF Services and Profiles it supports, its network settings, user accounts, audio sources,
+ * relay outputs and digital inputs, and every Media Profile and Encoder Configuration.
+ */
+
+var discovery = require('./discovery');
+
+// ONVIF Profile names used in the Scopes. Profile S is 'Streaming' in the Scopes
+const PROFILE_SCOPES = { streaming: 'S', s: 'S', g: 'G', t: 'T', m: 'M', q: 'Q', c: 'C', a: 'A', d: 'D' };
+
+// The ONVIF Library turns each XML tag into an array. Remove arrays of one item, like the Library's own linerase()
+// but keep values as strings
+function simplify(node) {
+    if (Array.isArray(node)) {
+        if (node.length !== 1) return node.map(simplify);
+        node = node[0];
+    }
+    if (node === null || typeof node !== 'object') return node;
+    let result = {};
+    for (const key of Object.keys(node)) result[key] = simplify(node[key]);
+    return result;
+}
+
+// Some fields are an array when there are several of them and an object when there is only one
+function as_list(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Text of a field. Fields with attributes keep their text in '_'
+function text(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'object') return (value._ !== undefined ? String(value._) : null);
+    return String(value);
+}
+
+function number(value) {
+    const result = parseFloat(text(value));
+    return isNaN(result) ? null : result;
+}
+
+function bool(value) {
+    const result = text(value);
+    return (result === null ? null : result === 'true');
+}
+
+// Send a command with no parameters (or with the XML in 'params') and call back with the simplified Response.
+// The ONVIF Library has no command for some of these and throws on replies with empty lists for others, so the SOAP is sent directly
+function send(cam, service, namespace, command, params, callback) {
+    let request_service = service;
+    if (!cam.uri || !cam.uri[service]) {
+        if (service !== 'device') return callback(new Error('No ' + service + ' service'));
+        request_service = undefined; // use the address of the Device Service the camera was opened with
+    }
+    try {
+        cam._request({
+            service: request_service,
+            body: cam._envelopeHeader()
+                + '<' + command + ' xmlns="' + namespace + '">' + params + '</' + command + '>'
+                + cam._envelopeFooter()
+        }, function (err, data) {
+            let response = null;
+            if (!err) {
+                try {
+                    response = simplify(data[0][command.charAt(0).toLowerCase() + command.slice(1) + 'Response']) || {};
+                } catch (e) {
+                    err = new Error('Unexpected reply to ' + command);
+                }
+            }
+            // Continue outside the ONVIF Library's parser, which calls its callback a second time if the callback throws
+            setImmediate(callback, err, response);
+        });
+    } catch (err) {
+        setImmediate(callback, err, null);
+    }
+}
+
+const DEVICE_NS = 'http://www.onvif.org/ver10/device/wsdl';
+const MEDIA_NS = 'http://www.onvif.org/ver10/media/wsdl';
+const DEVICEIO_NS = 'http://www.onvif.org/ver10/deviceIO/wsdl';
+
+// eg http://www.onvif.org/ver20/ptz/wsdl -> ptz. Media2 (ver20/media) is 'media2'
+function service_name(namespace) {
+    const match = /^https?:\/\/www\.onvif\.org\/(ver\d+)\/([^/]+)\//i.exec(namespace || '');
+    if (!match) return namespace;
+    if (match[2] === 'media' && match[1] === 'ver20') return 'media2';
+    return match[2];
+}
+
+function ipv4_addresses(config) {
+    let addresses = [];
+    for (const field of ['manual', 'fromDHCP', 'linkLocal']) {
+        for (const item of as_list(config[field])) {
+            if (item.address) addresses.push(text(item.address) + '/' + text(item.prefixLength));
+        }
+    }
+    return addresses;
+}
+
+function interface_summary(item) {
+    const info = item.info || {};
+    const ipv4 = item.IPv4 || null;
+    const ipv6 = item.IPv6 || null;
+    return {
+        token: (item.$ ? item.$.token : null),
+        enabled: bool(item.enabled),
+        name: text(info.name),
+        macAddress: text(info.hwAddress),
+        mtu: number(info.MTU),
+        ipv4: (ipv4 ? {
+            enabled: bool(ipv4.enabled),
+            dhcp: (ipv4.config ? bool(ipv4.config.DHCP) : null),
+            addresses: (ipv4.config ? ipv4_addresses(ipv4.config) : [])
+        } : null),
+        ipv6Enabled: (ipv6 ? bool(ipv6.enabled) : null)
+    };
+}
+
+function dns_servers(list) {
+    return as_list(list).map(item => text(item.IPv4Address) || text(item.IPv6Address)).filter(item => item);
+}
+
+// Video Encoder Configuration from GetVideoEncoderConfigurations or from a Profile
+function video_encoder_summary(config) {
+    if (!config) return null;
+    const rate = config.rateControl || {};
+    const resolution = config.resolution || {};
+    const encoding = text(config.encoding);
+    const settings = (encoding && config[encoding]) || {}; // eg <H264><GovLength>, <H264Profile>
+    return {
+        token: (config.$ ? config.$.token : null),
+        name: text(config.name),
+        useCount: number(config.useCount),
+        encoding: encoding,
+        width: number(resolution.width),
+        height: number(resolution.height),
+        quality: number(config.quality),
+        frameRateLimit: number(rate.frameRateLimit),
+        bitrateLimit: number(rate.bitrateLimit),
+        govLength: number(settings.govLength),
+        encodingProfile: text(settings[encoding + 'Profile']) || text(settings.profile)
+    };
+}
+
+function audio_encoder_summary(config) {
+    if (!config) return null;
+    return {
+        token: (config.$ ? config.$.token : null),
+        name: text(config.name),
+        useCount: number(config.useCount),
+        encoding: text(config.encoding),
+        bitrate: number(config.bitrate),
+        sampleRate: number(config.sampleRate)
+    };
+}
+
+// Every Media Profile, not just the one chosen for each Video Source.
+// profiles are from the ONVIF Library's getProfiles()
+function profile_summary(profile) {
+    profile = simplify(profile);
+    return {
+        token: (profile.$ ? profile.$.token : null),
+        name: text(profile.name),
+        fixed: (profile.$ && profile.$.fixed !== undefined ? String(profile.$.fixed) === 'true' : null),
+        videoSourceToken: (profile.videoSourceConfiguration ? text(profile.videoSourceConfiguration.sourceToken) : null),
+        videoEncoder: video_encoder_summary(profile.videoEncoderConfiguration),
+        audioSourceToken: (profile.audioSourceConfiguration ? text(profile.audioSourceConfiguration.sourceToken) : null),
+        audioEncoder: audio_encoder_summary(profile.audioEncoderConfiguration),
+        ptz: Boolean(profile.PTZConfiguration)
+    };
+}
+
+// Read the inventory of a device.
+// profiles are the Profiles the audit has already read with getProfiles()
+// callback(inventory) where each part is null if the device did not answer that command
+//   { services: [ { name, namespace, xaddr, version } ], onvifProfiles: [ 'S', 'T' ], scopes: [...],
+//     network: { hostname, interfaces: [...], dns, gateway },
+//     users: [ { username, level } ], audioSources: [ { token, channels } ],
+//     relayOutputs: [ { token, mode, delayTime, idleState } ], digitalInputs: [ { token, idleState } ],
+//     profiles: [...], videoEncoderConfigurations: [...], audioEncoderConfigurations: [...] }
+function get_inventory(cam, profiles, callback) {
+    let inventory = {
+        services: null,
+        onvifProfiles: null,
+        scopes: null,
+        network: { hostname: null, interfaces: null, dns: null, gateway: null },
+        users: null,
+        audioSources: null,
+        relayOutputs: null,
+        digitalInputs: null,
+        profiles: (profiles || []).map(profile_summary),
+        videoEncoderConfigurations: null,
+        audioEncoderConfigurations: null
+    };
+
+    const steps = [
+        function (next) {
+            send(cam, 'device', DEVICE_NS, 'GetServices', '<IncludeCapability>false</IncludeCapability>', function (err, response) {
+                if (!err) {
+                    inventory.services = as_list(response.service).map(item => ({
+                        name: service_name(text(item.namespace)),
+                        namespace: text(item.namespace),
+                        xaddr: text(item.XAddr),
+                        version: (item.version ? text(item.version.major) + '.' + text(item.version.minor) : null)
+                    }));
+                    return next();
+                }
+                // Older devices only have GetCapabilities, which has the address of each Service but no versions
+                send(cam, 'device', DEVICE_NS, 'GetCapabilities', '<Category>All</Category>', function (err, response) {
+                    if (!err && response.capabilities) {
+                        const capabilities = response.capabilities;
+                        inventory.services = [];
+                        for (const name of Object.keys(capabilities)) {
+                            const list = (name === 'extension' ? capabilities.extension : { [name]: capabilities[name] });
+                            for (const key of Object.keys(list || {})) {
+                                if (list[key] && list[key].XAddr) {
+                                    inventory.services.push({ name: key, namespace: null, xaddr: text(list[key].XAddr), version: null });
+                                }
+                            }
+                        }
+                    }
+                    next();
+                });
+            });
+        },
+        function (next) {
+            // Devices list the ONVIF Profiles they conform to in their Scopes
+            send(cam, 'device', DEVICE_NS, 'GetScopes', '', function (err, response) {
+                if (!err) {
+                    inventory.scopes = as_list(response.scopes).map(item => text(item.scopeItem)).filter(item => item);
+                    let found = new Set();
+                    for (const name of discovery.parse_scopes(inventory.scopes).profiles) {
+                        found.add(PROFILE_SCOPES[name.toLowerCase()] || name);
+                    }
+                    inventory.onvifProfiles = Array.from(found).sort();
+                }
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'device', DEVICE_NS, 'GetHostname', '', function (err, response) {
+                if (!err && response.hostnameInformation) {
+                    inventory.network.hostname = {
+                        fromDHCP: bool(response.hostnameInformation.fromDHCP),
+                        name: text(response.hostnameInformation.name)
+                    };
+                }
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'device', DEVICE_NS, 'GetNetworkInterfaces', '', function (err, response) {
+                if (!err) inventory.network.interfaces = as_list(response.networkInterfaces).map(interface_summary);
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'device', DEVICE_NS, 'GetDNS', '', function (err, response) {
+                if (!err && response.DNSInformation) {
+                    const dns = response.DNSInformation;
+                    const from_dhcp = bool(dns.fromDHCP);
+                    inventory.network.dns = {
+                        fromDHCP: from_dhcp,
+                        searchDomain: as_list(dns.searchDomain).map(text),
+                        servers: dns_servers(from_dhcp ? dns.DNSFromDHCP : dns.DNSManual)
+                    };
+                }
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'device', DEVICE_NS, 'GetNetworkDefaultGateway', '', function (err, response) {
+                if (!err && response.networkGateway) {
+                    inventory.network.gateway = as_list(response.networkGateway.IPv4Address)
+                        .concat(as_list(response.networkGateway.IPv6Address)).map(text);
+                }
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'device', DEVICE_NS, 'GetUsers', '', function (err, response) {
+                if (!err) {
+                    inventory.users = as_list(response.user).map(item => ({ username: text(item.username), level: text(item.userLevel) }));
+                }
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'media', MEDIA_NS, 'GetAudioSources', '', function (err, response) {
+                if (!err) {
+                    inventory.audioSources = as_list(response.audioSources).map(item => ({
+                        token: (item.$ ? item.$.token : null),
+                        channels: number(item.channels)
+                    }));
+                }
+                next();
+            });
+        },
+        function (next) {
+            // Relay Outputs are in the DeviceIO Service, or in the Device Service of older devices
+            const service = (cam.uri && cam.uri.deviceIO ? 'deviceIO' : 'device');
+            send(cam, service, (service === 'deviceIO' ? DEVICEIO_NS : DEVICE_NS), 'GetRelayOutputs', '', function (err, response) {
+                if (!err) {
+                    inventory.relayOutputs = as_list(response.relayOutputs).map(function (item) {
+                        const properties = item.properties || {};
+                        return {
+                            token: (item.$ ? item.$.token : null),
+                            mode: text(properties.mode),
+                            delayTime: text(properties.delayTime),
+                            idleState: text(properties.idleState)
+                        };
+                    });
+                }
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'deviceIO', DEVICEIO_NS, 'GetDigitalInputs', '', function (err, response) {
+                if (!err) {
+                    inventory.digitalInputs = as_list(response.digitalInputs).map(item => ({
+                        token: (item.$ ? item.$.token : null),
+                        idleState: (item.$ && item.$.IdleState ? item.$.IdleState : null)
+                    }));
+                }
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'media', MEDIA_NS, 'GetVideoEncoderConfigurations', '', function (err, response) {
+                if (!err) inventory.videoEncoderConfigurations = as_list(response.configurations).map(video_encoder_summary);
+                next();
+            });
+        },
+        function (next) {
+            send(cam, 'media', MEDIA_NS, 'GetAudioEncoderConfigurations', '', function (err, response) {
+                if (!err) inventory.audioEncoderConfigurations = as_list(response.configurations).map(audio_encoder_summary);
+                next();
+            });
+        }
+    ];
+
+    function run_step(index) {
+        if (index >= steps.length) return callback(inventory);
+        steps[index](function () { run_step(index + 1); });
+    }
+    run_step(0);
+}
+
+function format_list(list, format) {
+    if (list === null) return 'unknown';
+    if (list.length === 0) return 'none';
+    return list.map(format).join(', ');
+}
+
+function format_video_encoder(config) {
+    if (!config) return 'no video';
+    return config.encoding + ' ' + config.width + 'x' + config.height
+        + (config.frameRateLimit !== null ? ' ' + config.frameRateLimit + ' fps' : '')
+        + (config.bitrateLimit !== null ? ' ' + config.bitrateLimit + ' kbps' : '')
+        + (config.govLength !== null ? ' GOV ' + config.govLength : '')
+        + (config.encodingProfile ? ' ' + config.encodingProfile : '');
+}
+
+// The MAC address of the first network interface that has one
+function mac_address(inventory) {
+    const item = (inventory.network.interfaces || []).find(iface => iface.macAddress);
+    return (item ? item.macAddress : null);
+}
+
+// One line for the console
+function format_summary(inventory) {
+    return 'ONVIF Profiles ' + format_list(inventory.onvifProfiles, name => name)
+        + ' MAC ' + (mac_address(inventory) || 'unknown')
+        + ' Media Profiles ' + inventory.profiles.length
+        + ' Users ' + (inventory.users === null ? 'unknown' : inventory.users.length)
+        + ' Audio Sources ' + (inventory.audioSources === null ? 'unknown' : inventory.audioSources.length)
+        + ' Relay Outputs ' + (inventory.relayOutputs === null ? 'unknown' : inventory.relayOutputs.length)
+        + ' Digital Inputs ' + (inventory.digitalInputs === null ? 'unknown' : inventory.digitalInputs.length);
+}
+
+// The full inventory, used in the camera report
+function format_inventory(inventory) {
+    const network = inventory.network;
+    let lines = [];
+    lines.push('ONVIF Profiles:= ' + format_list(inventory.onvifProfiles, name => name));
+    lines.push('Services:= ' + format_list(inventory.services, item => item.name + (item.version ? ' ' + item.version : '')));
+    lines.push('Hostname:= ' + (network.hostname ? network.hostname.name + (network.hostname.fromDHCP ? ' (from DHCP)' : '') : 'unknown'));
+    for (const item of (network.interfaces || [])) {
+        lines.push('Network Interface ' + (item.name || item.token) + ':= MAC ' + (item.macAddress || 'unknown')
+            + (item.enabled === false ? ' (disabled)' : '')
+            + (item.ipv4 ? ' IPv4 ' + (item.ipv4.addresses.join(' ') || 'none') + (item.ipv4.dhcp ? ' (DHCP)' : '') : '')
+            + (item.ipv6Enabled ? ' IPv6 enabled' : '')
+            + (item.mtu !== null ? ' MTU ' + item.mtu : ''));
+    }
+    if (network.interfaces === null) lines.push('Network Interfaces:= unknown');
+    lines.push('DNS:= ' + (network.dns ? (network.dns.servers.join(' ') || 'none') + (network.dns.fromDHCP ? ' (from DHCP)' : '')
+        + (network.dns.searchDomain.length > 0 ? ' Search Domain ' + network.dns.searchDomain.join(' ') : '') : 'unknown'));
+    lines.push('Default Gateway:= ' + format_list(network.gateway, address => address));
+    lines.push('Users:= ' + format_list(inventory.users, item => item.username + ' (' + item.level + ')'));
+    lines.push('Audio Sources:= ' + format_list(inventory.audioSources, item => item.token + ' (' + item.channels + ' channel)'));
+    lines.push('Relay Outputs:= ' + format_list(inventory.relayOutputs, item => item.token + ' (' + item.mode + ' idle ' + item.idleState + ')'));
+    lines.push('Digital Inputs:= ' + format_list(inventory.digitalInputs, item => item.token + (item.idleState ? ' (idle ' + item.idleState + ')' : '')));
+    for (const profile of inventory.profiles) {
+        lines.push('Media Profile ' + profile.token + (profile.name ? ' (' + profile.name + ')' : '') + ':= '
+            + (profile.videoSourceToken ? 'Video Source ' + profile.videoSourceToken + ' ' : '')
+            + format_video_encoder(profile.videoEncoder)
+            + (profile.audioEncoder ? ' Audio ' + profile.audioEncoder.encoding : '')
+            + (profile.ptz ? ' PTZ' : ''));
+    }
+    for (const config of (inventory.videoEncoderConfigurations || [])) {
+        lines.push('Video Encoder ' + config.token + ':= ' + format_video_encoder(config) + ' (used ' + config.useCount + ')');
+    }
+    for (const config of (inventory.audioEncoderConfigurations || [])) {
+        lines.push('Audio Encoder ' + config.token + ':= ' + config.encoding + ' ' + config.bitrate + ' kbps ' + config.sampleRate + ' kHz (used ' + config.useCount + ')');
+    }
+    return lines;
+}
+
+module.exports = {
+    send: send,
+    text: text,
+    bool: bool,
+    as_list: as_list,
+    get_inventory: get_inventory,
+    mac_address: mac_address,
+    format_video_encoder: format_video_encoder,
+    format_summary: format_summary,
+    format_inventory: format_inventory
+};
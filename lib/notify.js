@@ -0,0 +1,117 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Event Notifications for Watch Mode
+ * Appends each event to a JSON Lines log file, and sends it to a Webhook (an HTTP POST of the event as JSON)
+ * and to a Syslog server (RFC 5424 over UDP)
+ */
+
+var fs = require('fs');
+var os = require('os');
+var http = require('http');
+var https = require('https');
+var dgram = require('dgram');
+var net = require('net');
+
+const WEBHOOK_TIMEOUT = 10000; // ms
+const SYSLOG_PORT = 514;
+const SYSLOG_FACILITY = 16; // local0
+const SYSLOG_SEVERITY = { warning: 4, notice: 5 };
+
+// Check a Webhook URL. Returns the URL or throws an Error
+function parse_webhook(text) {
+    let url;
+    try {
+        url = new URL(text);
+    } catch (err) {
+        throw new Error('Webhook should be an http:// or https:// URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('Webhook should be an http:// or https:// URL');
+    return url;
+}
+
+// Parse a Syslog server, eg 10.1.0.5, syslog.example.com:1514 or [fe80::1]:514. Returns { host, port } or throws an Error
+function parse_syslog(text) {
+    const match = /^(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/.exec(String(text).trim());
+    const port = (match && match[3] ? parseInt(match[3]) : SYSLOG_PORT);
+    if (!match || port < 1 || port > 65535) throw new Error('Syslog should be a host with an optional port eg 10.1.0.5 or 10.1.0.5:514');
+    return { host: match[1] || match[2], port: port };
+}
+
+// Add the events to a JSON Lines file (one event per line)
+function append_events(filename, events) {
+    if (events.length === 0) return;
+    fs.appendFileSync(filename, events.map(event => JSON.stringify(event)).join('\n') + '\n');
+}
+
+// POST the event as JSON. callback(err) is called once
+function send_webhook(url, event, callback) {
+    const body = JSON.stringify(event);
+    let finished = false;
+    const finish = function (err) {
+        if (finished) return;
+        finished = true;
+        callback(err || null);
+    };
+
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+        timeout: WEBHOOK_TIMEOUT
+    }, function (response) {
+        response.resume();
+        response.on('end', function () {
+            finish(response.statusCode >= 200 && response.statusCode < 300 ? null : new Error('HTTP ' + response.statusCode));
+        });
+    });
+    request.on('timeout', function () {
+        request.destroy(new Error('No reply in ' + (WEBHOOK_TIMEOUT / 1000) + ' seconds'));
+    });
+    request.on('error', finish);
+    request.end(body);
+}
+
+// Send the event as an RFC 5424 Syslog message over UDP. callback(err) is called once
+function send_syslog(target, event, callback) {
+    const priority = SYSLOG_FACILITY * 8 + (SYSLOG_SEVERITY[event.severity] || SYSLOG_SEVERITY.notice);
+    const message = '<' + priority + '>1 ' + event.time + ' ' + os.hostname() + ' onvif-audit ' + process.pid + ' ' + event.type + ' - '
+        + event.host + ':' + event.port + (event.name ? ' ' + event.name : '') + ' ' + event.message;
+    const socket = dgram.createSocket(net.isIPv6(target.host) ? 'udp6' : 'udp4');
+    let finished = false;
+    const finish = function (err) {
+        if (finished) return;
+        finished = true;
+        socket.close();
+        callback(err || null);
+    };
+    socket.on('error', finish);
+    socket.send(Buffer.from(message), target.port, target.host, finish);
+}
+
+// Send each event to the Webhook and Syslog server (either can be null), one at a time.
+// callback(errors) is called once they have all been sent. errors lists the ones that failed, eg 'Webhook failed. HTTP 500'
+function send_events(events, webhook, syslog, callback) {
+    let errors = [];
+    let sends = [];
+    for (const event of events) {
+        if (webhook) sends.push(done => send_webhook(webhook, event, err => done(err ? 'Webhook failed. ' + err.message : null)));
+        if (syslog) sends.push(done => send_syslog(syslog, event, err => done(err ? 'Syslog failed. ' + err.message : null)));
+    }
+
+    const next = function () {
+        if (sends.length === 0) return callback(errors);
+        sends.shift()(function (error) {
+            if (error) errors.push(error);
+            next();
+        });
+    };
+    next();
+}
+
+module.exports = {
+    parse_webhook: parse_webhook,
+    parse_syslog: parse_syslog,
+    append_events: append_events,
+    send_events: send_events
+};
@@ -0,0 +1,57 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Fast TCP Port checks
+ * A TCP connect is much quicker than waiting for the ONVIF library to time out,
+ * so it is used to skip addresses where nothing is listening
+ */
+
+var net = require('net');
+
+// TCP ports commonly used by CCTV equipment
+// 80 HTTP, 443 HTTPS, 554 RTSP, 8000 HikVision SDK, 8080 alternate HTTP, 37777 Dahua SDK
+const CCTV_PORTS = [80, 443, 554, 8000, 8080, 37777];
+
+// callback(is_open) where is_open is true if a TCP connection was accepted
+function probe_port(host, port, timeout, callback) {
+    let finished = false;
+    const socket = net.connect({ host: host, port: parseInt(port) });
+
+    function finish(is_open) {
+        if (finished) return;
+        finished = true;
+        socket.destroy();
+        callback(is_open);
+    }
+
+    socket.setTimeout(timeout);
+    socket.on('connect', function () { finish(true); });
+    socket.on('timeout', function () { finish(false); });
+    socket.on('error', function () { finish(false); });
+}
+
+// Probe a list of ports at the same time.
+// callback(open_ports) with the open ports in the same order as the 'ports' list
+function probe_ports(host, ports, timeout, callback) {
+    let results = new Array(ports.length);
+    let reply_count = 0;
+
+    if (ports.length === 0) return callback([]);
+
+    ports.forEach(function (port, index) {
+        probe_port(host, port, timeout, function (is_open) {
+            results[index] = is_open;
+            reply_count++;
+            if (reply_count === ports.length) {
+                callback(ports.filter((item, i) => results[i]).map(item => parseInt(item)));
+            }
+        });
+    });
+}
+
+module.exports = {
+    CCTV_PORTS: CCTV_PORTS,
+    probe_port: probe_port,
+    probe_ports: probe_ports
+};
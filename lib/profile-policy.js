@@ -0,0 +1,117 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Profile Policy
+ * Chooses which ONVIF Profile(s) of each Video Source are audited (snapshot, stream URIs and RTSP Probe)
+ */
+
+// Codec order used by the 'best' policy, and to break ties in the other policies
+const CODEC_RANK = ['H265', 'H264', 'MPEG4', 'JPEG'];
+
+const POLICY_HELP = 'Profile Policy should be best, highest-resolution, lowest-resolution, highest-bitrate, lowest-bitrate, codec:<encoding>, name:<regex> or all';
+
+// Parse a policy such as 'best', 'highest-resolution', 'codec:H264', 'name:^Sub' or 'all'.
+// Returns { type, value } or throws an Error
+function parse_policy(text) {
+    text = String(text || 'best').trim();
+    const colon = text.indexOf(':');
+    const type = (colon >= 0 ? text.substring(0, colon) : text).trim().toLowerCase();
+    const value = (colon >= 0 ? text.substring(colon + 1).trim() : null);
+
+    if (['best', 'highest-resolution', 'lowest-resolution', 'highest-bitrate', 'lowest-bitrate', 'all'].includes(type)) {
+        if (value !== null) throw new Error(POLICY_HELP);
+        return { type: type, value: null };
+    }
+    if (type === 'codec') {
+        if (!value) throw new Error(POLICY_HELP);
+        return { type: type, value: value.toUpperCase() };
+    }
+    if (type === 'name') {
+        if (!value) throw new Error(POLICY_HELP);
+        try {
+            return { type: type, value: new RegExp(value, 'i') };
+        } catch (err) {
+            throw new Error('Profile Policy name:' + value + ' is not a valid regular expression. ' + err.message);
+        }
+    }
+    throw new Error(POLICY_HELP);
+}
+
+function format_policy(policy) {
+    if (policy.type === 'codec') return 'codec:' + policy.value;
+    if (policy.type === 'name') return 'name:' + policy.value.source;
+    return policy.type;
+}
+
+function codec_rank(profile) {
+    const rank = CODEC_RANK.indexOf(profile.videoEncoderConfiguration.encoding);
+    return (rank >= 0 ? rank : CODEC_RANK.length);
+}
+
+function pixels(profile) {
+    const resolution = profile.videoEncoderConfiguration.resolution || {};
+    return (parseInt(resolution.width) || 0) * (parseInt(resolution.height) || 0);
+}
+
+function bitrate(profile) {
+    const rate = profile.videoEncoderConfiguration.rateControl || {};
+    const value = parseInt(rate.bitrateLimit);
+    return (isNaN(value) ? null : value);
+}
+
+// The first Profile with the lowest score. Ties go to the better codec, then to the first Profile
+function lowest(profiles, score) {
+    let chosen = null;
+    for (const profile of profiles) {
+        if (chosen === null || score(profile) < score(chosen)
+            || (score(profile) === score(chosen) && codec_rank(profile) < codec_rank(chosen))) {
+            chosen = profile;
+        }
+    }
+    return chosen;
+}
+
+// For most cameras the 'best' Profile is the first Profile which has the Video Source Token
+// but Hanwha emit the JPEG Profile first, then H264, then H265. So we have to find the 'best' Profile ourselves.
+// The Best one is the first H265, otherwise the first H264, otherwise the first MPEG4 otherwise the first JPEG stream
+function best(profiles) {
+    return lowest(profiles, () => 0);
+}
+
+// Choose the Profiles to audit for each Video Source.
+// Returns a list of { src_idx, profile, matched } in Video Source order. Every Profile of the Video Source is returned for 'all'.
+// If no Profile matches a codec: or name: policy, the 'best' Profile is used and matched is false.
+// Video Sources with no Profile that has a Video Encoder are left out
+function select_profiles(policy, videosources, profiles) {
+    let selected = [];
+    videosources.forEach(function (videoSource, src_idx) {
+        const candidates = profiles.filter(item => item.videoSourceConfiguration && item.videoEncoderConfiguration
+            && item.videoSourceConfiguration.sourceToken == videoSource.$.token);
+        if (candidates.length === 0) return;
+
+        if (policy.type === 'all') {
+            for (const profile of candidates) selected.push({ src_idx: src_idx, profile: profile, matched: true });
+            return;
+        }
+
+        let chosen = null;
+        if (policy.type === 'best') chosen = best(candidates);
+        else if (policy.type === 'highest-resolution') chosen = lowest(candidates, profile => -pixels(profile));
+        else if (policy.type === 'lowest-resolution') chosen = lowest(candidates, profile => pixels(profile));
+        else if (policy.type === 'highest-bitrate') chosen = lowest(candidates, profile => -(bitrate(profile) || 0));
+        else if (policy.type === 'lowest-bitrate') chosen = lowest(candidates, profile => (bitrate(profile) === null ? Infinity : bitrate(profile)));
+        else if (policy.type === 'codec') chosen = best(candidates.filter(profile => String(profile.videoEncoderConfiguration.encoding).toUpperCase() === policy.value));
+        else if (policy.type === 'name') chosen = best(candidates.filter(profile => policy.value.test(profile.name || '') || policy.value.test(profile.$.token)));
+
+        if (chosen) selected.push({ src_idx: src_idx, profile: chosen, matched: true });
+        else selected.push({ src_idx: src_idx, profile: best(candidates), matched: false });
+    });
+    return selected;
+}
+
+module.exports = {
+    parse_policy: parse_policy,
+    format_policy: format_policy,
+    select_profiles: select_profiles
+};
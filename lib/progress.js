@@ -0,0 +1,74 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Live progress line for the Audit (scanned / responding / failed / not listening / remaining)
+ * The line is redrawn in place on a terminal. When the output is redirected to a file
+ * no progress line is written, so the log file only contains the camera reports.
+ */
+
+function create_progress(total, stream) {
+    stream = stream || process.stdout;
+    const interactive = Boolean(stream.isTTY);
+
+    let counts = {
+        total: total,
+        scanned: 0,
+        responding: 0,
+        failed: 0,
+        notListening: 0
+    };
+    let visible = false;
+
+    function text() {
+        return 'Scanned ' + counts.scanned + '/' + counts.total
+            + '  Responding ' + counts.responding
+            + '  Failed ' + counts.failed
+            + '  Not Listening ' + counts.notListening
+            + '  Remaining ' + (counts.total - counts.scanned);
+    }
+
+    function clear() {
+        if (interactive && visible) {
+            stream.write('\r\x1b[K');
+            visible = false;
+        }
+    }
+
+    function draw() {
+        if (interactive) {
+            stream.write('\r\x1b[K' + text());
+            visible = true;
+        }
+    }
+
+    return {
+        counts: counts,
+        text: text,
+
+        // set the counters (from the audit 'progress' event) and redraw the progress line
+        set: function (new_counts) {
+            Object.keys(counts).forEach(function (key) {
+                if (new_counts[key] !== undefined) counts[key] = new_counts[key];
+            });
+            draw();
+        },
+
+        // write a line of output without it being mixed up with the progress line
+        log: function (msg) {
+            clear();
+            console.log(msg);
+            draw();
+        },
+
+        // remove the progress line and print the final counts
+        done: function () {
+            clear();
+            console.log(text());
+        }
+    };
+}
+
+module.exports = {
+    create_progress: create_progress
+};
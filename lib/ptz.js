@@ -0,0 +1,186 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * PTZ Inventory
+ * Records the PTZ Nodes (with their Pan, Tilt and Zoom limits) and the Presets of every Profile that has a PTZ Configuration.
+ * Optionally moves the camera to each Preset (or to a list of absolute positions) so a snapshot can be taken of every view,
+ * then returns the camera to where it started.
+ */
+
+// Some fields are an array when there are several of them and an object when there is only one
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function range(space) {
+    space = first(space);
+    if (!space || !space.XRange) return null;
+    return { min: parseFloat(space.XRange.min), max: parseFloat(space.XRange.max) };
+}
+
+// Pan, Tilt and Zoom limits from the Absolute Position spaces of a PTZ Node
+function node_summary(token, node) {
+    const spaces = node.supportedPTZSpaces || {};
+    const pan_tilt = first(spaces.absolutePanTiltPositionSpace);
+    return {
+        token: token,
+        name: node.name || null,
+        maximumNumberOfPresets: (node.maximumNumberOfPresets !== undefined ? parseInt(node.maximumNumberOfPresets) : null),
+        homeSupported: (node.homeSupported !== undefined ? String(node.homeSupported) === 'true' : null),
+        panRange: range(pan_tilt),
+        tiltRange: (pan_tilt && pan_tilt.YRange ? { min: parseFloat(pan_tilt.YRange.min), max: parseFloat(pan_tilt.YRange.max) } : null),
+        zoomRange: range(spaces.absoluteZoomPositionSpace)
+    };
+}
+
+// Parse a list of absolute positions "x,y,zoom;x,y,zoom" (eg "-0.5,0,0;0,0,0;0.5,0,0")
+// Returns a list of { x, y, zoom } or throws an Error
+function parse_positions(text) {
+    return text.split(';').filter(item => item.trim().length > 0).map(function (item) {
+        const values = item.split(',').map(value => parseFloat(value));
+        if (values.length < 2 || values.length > 3 || values.some(value => isNaN(value))) {
+            throw new Error('PTZ position "' + item + '" should be x,y or x,y,zoom');
+        }
+        return { x: values[0], y: values[1], zoom: (values.length === 3 ? values[2] : 0) };
+    });
+}
+
+// Read the PTZ Nodes and the Presets of each Profile with a PTZ Configuration.
+// callback(ptz) where ptz is null if the camera has no PTZ Service or no PTZ Profiles,
+// otherwise { nodes: [...], profiles: [ { profileToken, name, videoSourceToken, nodeToken, presets: [ { token, name } ] } ] }
+function get_inventory(cam, profiles, callback) {
+    const ptz_profiles = profiles.filter(profile => profile.PTZConfiguration);
+    if (!cam.uri || !cam.uri.ptz || ptz_profiles.length === 0) return callback(null);
+
+    let ptz = { nodes: [], profiles: [] };
+
+    cam.getNodes(function (err, nodes) {
+        if (!err && nodes) {
+            ptz.nodes = Object.keys(nodes).map(token => node_summary(token, nodes[token]));
+        }
+        next_profile(0);
+    });
+
+    function next_profile(index) {
+        if (index >= ptz_profiles.length) return callback(ptz);
+
+        const profile = ptz_profiles[index];
+        let entry = {
+            profileToken: profile.$.token,
+            name: profile.name || null,
+            videoSourceToken: (profile.videoSourceConfiguration ? profile.videoSourceConfiguration.sourceToken : null),
+            nodeToken: profile.PTZConfiguration.nodeToken || null,
+            presets: []
+        };
+        ptz.profiles.push(entry);
+
+        cam.getPresets({ profileToken: entry.profileToken }, function (err, presets) {
+            if (!err && presets) {
+                // The ONVIF library returns an object of Preset Name -> Preset Token
+                entry.presets = Object.keys(presets).map(name => ({ token: presets[name], name: name }));
+            }
+            next_profile(index + 1);
+        });
+    }
+}
+
+// Move to each view in turn and call take_snapshot(view, index, done) once the camera has settled.
+// take_snapshot calls done(file, error) when the snapshot has been saved, or done(null, null, jpeg) to keep the image in the view instead of a file.
+// Views are the Presets of the profile, or the absolute positions if a list is given.
+// The camera is then returned to the position it was in at the start. If the start position cannot be read the camera is not moved
+// at all (so it is never left at the last view) and skipped gives the reason.
+// callback({ views: [...], startPosition, returnedToStart, skipped })
+function visit_views(cam, profile, positions, settle_time, take_snapshot, callback) {
+    let views;
+    if (positions && positions.length > 0) {
+        views = positions.map(position => ({ preset: null, position: position }));
+    } else {
+        views = profile.presets.map(preset => ({ preset: preset, position: null }));
+    }
+    let result = { views: [], startPosition: null, returnedToStart: false, skipped: null };
+
+    cam.getStatus({ profileToken: profile.profileToken }, function (err, status) {
+        if (!err && status && status.position) {
+            result.startPosition = {
+                x: parseFloat(status.position.x),
+                y: parseFloat(status.position.y),
+                zoom: parseFloat(status.position.zoom)
+            };
+        }
+        if (!result.startPosition || [result.startPosition.x, result.startPosition.y].some(value => isNaN(value))) {
+            result.startPosition = null;
+            result.skipped = 'Start position unknown' + (err ? '. GetStatus failed. ' + (err.message || err) : '. GetStatus gave no position');
+            return callback(result);
+        }
+        next_view(0);
+    });
+
+    function next_view(index) {
+        if (index >= views.length) return return_to_start();
+
+        const view = views[index];
+        const move_done = function (err) {
+            if (err) {
+                result.views.push(Object.assign({}, view, { file: null, error: 'Move failed. ' + (err.message || err) }));
+                return next_view(index + 1);
+            }
+            setTimeout(function () {
+                take_snapshot(view, index, function (file, snapshot_error, image) {
+                    result.views.push(Object.assign({}, view, { file: file, error: snapshot_error || null }, (image ? { image: image } : {})));
+                    next_view(index + 1);
+                });
+            }, settle_time);
+        };
+
+        try {
+            if (view.preset) {
+                cam.gotoPreset({ profileToken: profile.profileToken, preset: view.preset.token }, move_done);
+            } else {
+                cam.absoluteMove(Object.assign({ profileToken: profile.profileToken }, view.position), move_done);
+            }
+        } catch (err) {
+            move_done(err);
+        }
+    }
+
+    function return_to_start() {
+        if (views.length === 0) return callback(result);
+        try {
+            cam.absoluteMove(Object.assign({ profileToken: profile.profileToken }, result.startPosition), function (err) {
+                result.returnedToStart = !err;
+                callback(result);
+            });
+        } catch (err) {
+            callback(result);
+        }
+    }
+}
+
+function format_range(value) {
+    return value ? value.min + ' to ' + value.max : 'n/a';
+}
+
+// One line per Node and per Profile, used in the camera report
+function format_inventory(ptz) {
+    let lines = [];
+    for (const node of ptz.nodes) {
+        lines.push('PTZ Node ' + node.token + (node.name ? ' (' + node.name + ')' : '')
+            + ' Pan ' + format_range(node.panRange) + ' Tilt ' + format_range(node.tiltRange) + ' Zoom ' + format_range(node.zoomRange)
+            + ' Max Presets ' + (node.maximumNumberOfPresets === null ? 'unknown' : node.maximumNumberOfPresets)
+            + ' Home ' + (node.homeSupported === null ? 'unknown' : node.homeSupported));
+    }
+    for (const profile of ptz.profiles) {
+        lines.push('PTZ Profile ' + profile.profileToken + ' [Node ' + profile.nodeToken + '] '
+            + profile.presets.length + ' Preset(s)'
+            + (profile.presets.length > 0 ? ': ' + profile.presets.map(preset => preset.name + ' [' + preset.token + ']').join(', ') : ''));
+    }
+    return lines;
+}
+
+module.exports = {
+    parse_positions: parse_positions,
+    get_inventory: get_inventory,
+    visit_views: visit_views,
+    format_inventory: format_inventory
+};
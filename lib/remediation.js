@@ -0,0 +1,454 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Remediation (--fix)
+ * Sets the NTP Servers, Time Zone, clock and Hostname of a camera to match a Fix Policy file.
+ * Each setting is read before and after the change so the reports show what was changed and whether it worked.
+ * With --dry-run the settings are read and the planned changes are reported, but nothing is sent to the camera
+ */
+
+var config_file = require('./config-file');
+var device_inventory = require('./inventory');
+var time_check = require('./time-check');
+
+const DEVICE_NS = 'http://www.onvif.org/ver10/device/wsdl';
+const SCHEMA_NS = 'http://www.onvif.org/ver10/schema';
+
+// Fields allowed in a Fix Policy file
+const POLICY_FIELDS = {
+    ntpServers: 'array', // set these NTP Servers (IP addresses or host names)
+    ntpFromDHCP: 'boolean', // or use the NTP Servers from DHCP
+    dateTimeType: 'string', // NTP or Manual. NTP if ntpServers or ntpFromDHCP are given
+    timeZone: 'string', // POSIX time zone eg GMT0BST,M3.5.0/1,M10.5.0
+    daylightSavings: 'boolean',
+    setClock: 'string', // never, drift (when the clock is out by more than --max-drift) or always
+    hostname: 'string', // eg cam-{location}. Placeholders are listed in HOSTNAME_FIELDS
+    hostnames: 'object' // Hostname for each address eg { "192.168.1.10": "lobby" }. Used before 'hostname'
+};
+
+const SET_CLOCK = ['never', 'drift', 'always'];
+
+// Placeholders for the hostname template
+const HOSTNAME_FIELDS = ['ip', 'manufacturer', 'model', 'serial', 'site', 'group', 'location'];
+
+const HOSTNAME_RE = /^(?=.{1,253}$)[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*$/;
+
+// Load and check a Fix Policy file (JSON or YAML). Throws an Error listing every problem found
+function load_policy(filename) {
+    return check_policy(config_file.read_file(filename, 'Fix Policy'), filename);
+}
+
+// Check a Fix Policy. Returns the policy with every field filled in, or throws an Error listing every problem found
+function check_policy(policy, filename) {
+    const name = 'The Fix Policy' + (filename ? ' ' + filename : '');
+    if (!config_file.is_object(policy)) {
+        throw new Error(name + ' should contain an object with ' + Object.keys(POLICY_FIELDS).join(', '));
+    }
+
+    // Fields set to null are left out, so a policy returned by check_policy() can be checked again
+    let given = {};
+    for (const key of Object.keys(policy)) {
+        if (policy[key] !== null && policy[key] !== undefined) given[key] = policy[key];
+    }
+
+    let errors = [];
+    config_file.check_fields(given, POLICY_FIELDS, '', errors);
+    if (Array.isArray(given.ntpServers)) {
+        if (given.ntpServers.length === 0) errors.push('ntpServers: should list at least one server');
+        given.ntpServers.forEach(function (server, idx) {
+            if (typeof server !== 'string' || !/^[\w.:-]+$/.test(server.trim())) {
+                errors.push('ntpServers[' + idx + ']: should be an IP address or host name');
+            }
+        });
+        if (given.ntpFromDHCP === true) errors.push('ntpFromDHCP: cannot be true when there are ntpServers');
+    } else if (given.ntpFromDHCP === false) {
+        errors.push('ntpFromDHCP: false needs a list of ntpServers');
+    }
+    if (typeof given.dateTimeType === 'string' && !['NTP', 'Manual'].includes(given.dateTimeType)) {
+        errors.push('dateTimeType: should be NTP or Manual');
+    }
+    if (typeof given.setClock === 'string' && !SET_CLOCK.includes(given.setClock)) {
+        errors.push('setClock: should be ' + SET_CLOCK.join(', '));
+    }
+    if (typeof given.timeZone === 'string' && given.timeZone.trim().length === 0) {
+        errors.push('timeZone: should be a POSIX time zone eg GMT0BST,M3.5.0/1,M10.5.0');
+    }
+    if (typeof given.hostname === 'string') {
+        const unknown = (given.hostname.match(/\{[^}]*\}/g) || []).filter(item => !HOSTNAME_FIELDS.includes(item.slice(1, -1)));
+        if (unknown.length > 0) {
+            errors.push('hostname: unknown placeholder ' + unknown.join(', ') + '. Expected one of {' + HOSTNAME_FIELDS.join('}, {') + '}');
+        }
+    }
+    if (config_file.is_object(given.hostnames)) {
+        for (const address of Object.keys(given.hostnames)) {
+            if (typeof given.hostnames[address] !== 'string' || !HOSTNAME_RE.test(given.hostnames[address])) {
+                errors.push('hostnames.' + address + ': should be a host name (letters, numbers and -)');
+            }
+        }
+    }
+    if (errors.length === 0 && !['ntpServers', 'ntpFromDHCP', 'dateTimeType', 'timeZone', 'daylightSavings', 'hostname', 'hostnames']
+        .some(key => given[key] !== undefined) && (given.setClock || 'never') === 'never') {
+        errors.push('Nothing to change. Set some of ' + Object.keys(POLICY_FIELDS).join(', '));
+    }
+    if (errors.length > 0) {
+        throw new Error(name + ' has ' + errors.length + ' problem(s)\n  ' + errors.join('\n  '));
+    }
+
+    const ntp_servers = (Array.isArray(given.ntpServers) ? given.ntpServers.map(server => server.trim()) : null);
+    return {
+        ntpServers: ntp_servers,
+        ntpFromDHCP: (given.ntpFromDHCP === true ? true : null),
+        dateTimeType: given.dateTimeType || (ntp_servers || given.ntpFromDHCP ? 'NTP' : null),
+        timeZone: (typeof given.timeZone === 'string' ? given.timeZone.trim() : null),
+        daylightSavings: (typeof given.daylightSavings === 'boolean' ? given.daylightSavings : null),
+        setClock: given.setClock || 'never',
+        hostname: given.hostname || null,
+        hostnames: given.hostnames || {}
+    };
+}
+
+// eg 'NTP 10.1.0.1, 10.1.0.2 / time zone GMT0BST,M3.5.0/1,M10.5.0 / clock when drifting / hostname cam-{location}'
+function format_policy(policy) {
+    let parts = [];
+    if (policy.ntpServers) parts.push('NTP ' + policy.ntpServers.join(', '));
+    if (policy.ntpFromDHCP) parts.push('NTP from DHCP');
+    if (policy.dateTimeType) parts.push('date time type ' + policy.dateTimeType);
+    if (policy.timeZone) parts.push('time zone ' + policy.timeZone);
+    if (policy.daylightSavings !== null) parts.push('daylight savings ' + policy.daylightSavings);
+    if (policy.setClock === 'drift') parts.push('clock when drifting');
+    if (policy.setClock === 'always') parts.push('clock');
+    if (Object.keys(policy.hostnames).length > 0) parts.push(Object.keys(policy.hostnames).length + ' hostname(s)');
+    if (policy.hostname) parts.push('hostname ' + policy.hostname);
+    return parts.join(' / ');
+}
+
+function xml_escape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function format_drift(seconds) {
+    return (seconds >= 0 ? '+' : '') + seconds.toFixed(1) + ' s';
+}
+
+function format_ntp(ntp) {
+    if (!ntp) return 'unknown';
+    if (ntp.fromDHCP) return 'from DHCP' + (ntp.servers.length > 0 ? ' (' + ntp.servers.join(' ') + ')' : '');
+    return (ntp.servers.length > 0 ? ntp.servers.join(' ') : 'none');
+}
+
+// The hostname for a camera from the 'hostnames' list or the 'hostname' template.
+// Returns { name } or { error } if a placeholder has no value. Returns null if the policy does not set hostnames
+function choose_hostname(policy, context) {
+    if (policy.hostnames[context.ip]) return { name: policy.hostnames[context.ip] };
+    if (!policy.hostname) return null;
+
+    let missing = [];
+    let name = policy.hostname.replace(/\{(\w+)\}/g, function (match, field) {
+        const value = context[field];
+        if (value === null || value === undefined || String(value).trim().length === 0) {
+            missing.push(match);
+            return '';
+        }
+        return String(value);
+    });
+    if (missing.length > 0) return { error: 'No value for ' + missing.join(', ') };
+    // Spaces and other characters are not allowed in hostnames, eg 'Car Park 2' becomes 'Car-Park-2'
+    name = name.replace(/[^A-Za-z0-9.-]+/g, '-').replace(/\.{2,}/g, '.').replace(/^[-.]+|[-.]+$/g, '').substring(0, 63).replace(/[-.]+$/, '');
+    if (!HOSTNAME_RE.test(name)) return { error: '"' + name + '" is not a valid hostname' };
+    return { name: name };
+}
+
+// Read the settings --fix can change. callback(settings) where each part is null if the camera did not answer
+//   { ntp: { fromDHCP, servers }, time: { dateTimeType, daylightSavings, timeZone }, offsetSeconds, hostname: { fromDHCP, name } }
+function read_settings(cam, callback) {
+    let settings = { ntp: null, time: null, offsetSeconds: null, hostname: null };
+    const text = device_inventory.text;
+    const bool = device_inventory.bool;
+
+    device_inventory.send(cam, 'device', DEVICE_NS, 'GetNTP', '', function (err, response) {
+        if (!err && response.NTPInformation) {
+            const info = response.NTPInformation;
+            const from_dhcp = bool(info.fromDHCP);
+            settings.ntp = {
+                fromDHCP: from_dhcp,
+                servers: time_check.ntp_server_list(from_dhcp ? info.NTPFromDHCP : info.NTPManual)
+            };
+        }
+        const request_start = Date.now();
+        device_inventory.send(cam, 'device', DEVICE_NS, 'GetSystemDateAndTime', '', function (err, response) {
+            const request_end = Date.now();
+            if (!err && response.systemDateAndTime) {
+                const info = response.systemDateAndTime;
+                settings.time = {
+                    dateTimeType: text(info.dateTimeType),
+                    daylightSavings: bool(info.daylightSavings),
+                    timeZone: (info.timeZone ? text(info.timeZone.TZ) : null)
+                };
+                const utc = info.UTCDateTime;
+                if (utc && utc.date && utc.time) {
+                    const camera_date = new Date(Date.UTC(parseInt(text(utc.date.year)), parseInt(text(utc.date.month)) - 1, parseInt(text(utc.date.day)),
+                        parseInt(text(utc.time.hour)), parseInt(text(utc.time.minute)), parseInt(text(utc.time.second))));
+                    if (!isNaN(camera_date.getTime())) {
+                        settings.offsetSeconds = time_check.calculate_offset(camera_date, request_start, request_end).offsetSeconds;
+                    }
+                }
+            }
+            device_inventory.send(cam, 'device', DEVICE_NS, 'GetHostname', '', function (err, response) {
+                if (!err && response.hostnameInformation) {
+                    settings.hostname = {
+                        fromDHCP: bool(response.hostnameInformation.fromDHCP),
+                        name: text(response.hostnameInformation.name)
+                    };
+                }
+                callback(settings);
+            });
+        });
+    });
+}
+
+// Work out the changes needed to make the camera match the policy.
+// context is { ip, manufacturer, model, serial, site, group, location, maxDriftMs }
+// Returns a list of { setting, before, planned } and the time settings to send, eg
+//   { changes: [...], time: { dateTimeType, daylightSavings, timeZone }, ntp: { fromDHCP, servers }, clock: true, hostname: 'cam-1' }
+function plan_changes(policy, settings, context) {
+    let plan = { changes: [], ntp: null, time: null, clock: false, hostname: null };
+
+    // NTP Servers
+    if (policy.ntpFromDHCP && !(settings.ntp && settings.ntp.fromDHCP)) {
+        plan.ntp = { fromDHCP: true, servers: [] };
+        plan.changes.push({ setting: 'NTP Servers', before: format_ntp(settings.ntp), planned: 'from DHCP' });
+    } else if (policy.ntpServers && !(settings.ntp && !settings.ntp.fromDHCP && settings.ntp.servers.join(' ') === policy.ntpServers.join(' '))) {
+        plan.ntp = { fromDHCP: false, servers: policy.ntpServers };
+        plan.changes.push({ setting: 'NTP Servers', before: format_ntp(settings.ntp), planned: policy.ntpServers.join(' ') });
+    }
+
+    // Clock
+    const drifting = (settings.offsetSeconds !== null && Math.abs(settings.offsetSeconds) * 1000 > context.maxDriftMs);
+    if (policy.setClock === 'always' || (policy.setClock === 'drift' && drifting)) {
+        plan.clock = true;
+        plan.changes.push({
+            setting: 'Clock',
+            before: (settings.offsetSeconds !== null ? format_drift(settings.offsetSeconds) : 'unknown'),
+            planned: 'set to this computer\'s clock'
+        });
+    }
+
+    // Date Time Type, Time Zone and Daylight Savings are all sent in SetSystemDateAndTime
+    const current = settings.time || { dateTimeType: null, daylightSavings: null, timeZone: null };
+    const wanted = {
+        dateTimeType: policy.dateTimeType || current.dateTimeType,
+        daylightSavings: (policy.daylightSavings !== null ? policy.daylightSavings : current.daylightSavings),
+        timeZone: policy.timeZone || current.timeZone
+    };
+    const time_changes = [
+        { setting: 'Date Time Type', key: 'dateTimeType' },
+        { setting: 'Daylight Savings', key: 'daylightSavings' },
+        { setting: 'Time Zone', key: 'timeZone' }
+    ].filter(item => wanted[item.key] !== null && wanted[item.key] !== current[item.key]);
+    for (const item of time_changes) {
+        plan.changes.push({ setting: item.setting, before: (current[item.key] !== null ? String(current[item.key]) : 'unknown'), planned: String(wanted[item.key]) });
+    }
+    // Setting the clock switches the camera to Manual, so NTP is switched back on afterwards
+    if (time_changes.length > 0 || (plan.clock && wanted.dateTimeType === 'NTP')) plan.time = wanted;
+
+    // Hostname
+    const hostname = choose_hostname(policy, context);
+    if (hostname && hostname.error) {
+        plan.changes.push({ setting: 'Hostname', before: (settings.hostname ? settings.hostname.name : 'unknown'), planned: null, error: hostname.error });
+    } else if (hostname && !(settings.hostname && settings.hostname.name === hostname.name && !settings.hostname.fromDHCP)) {
+        plan.hostname = hostname.name;
+        plan.changes.push({ setting: 'Hostname', before: (settings.hostname ? settings.hostname.name : 'unknown'), planned: hostname.name });
+    }
+    return plan;
+}
+
+function ntp_params(ntp) {
+    let params = '<FromDHCP>' + ntp.fromDHCP + '</FromDHCP>';
+    for (const server of ntp.servers) {
+        let type = 'DNS';
+        let field = 'DNSname';
+        if (/^\d+\.\d+\.\d+\.\d+$/.test(server)) {
+            type = 'IPv4';
+            field = 'IPv4Address';
+        } else if (server.includes(':')) {
+            type = 'IPv6';
+            field = 'IPv6Address';
+        }
+        params += '<NTPManual><Type xmlns="' + SCHEMA_NS + '">' + type + '</Type>'
+            + '<' + field + ' xmlns="' + SCHEMA_NS + '">' + xml_escape(server) + '</' + field + '></NTPManual>';
+    }
+    return params;
+}
+
+function date_time_params(time, date) {
+    return '<DateTimeType>' + time.dateTimeType + '</DateTimeType>'
+        + '<DaylightSavings>' + Boolean(time.daylightSavings) + '</DaylightSavings>'
+        + (time.timeZone ? '<TimeZone><TZ xmlns="' + SCHEMA_NS + '">' + xml_escape(time.timeZone) + '</TZ></TimeZone>' : '')
+        + (date ? '<UTCDateTime>'
+            + '<Date xmlns="' + SCHEMA_NS + '"><Year>' + date.getUTCFullYear() + '</Year><Month>' + (date.getUTCMonth() + 1) + '</Month><Day>' + date.getUTCDate() + '</Day></Date>'
+            + '<Time xmlns="' + SCHEMA_NS + '"><Hour>' + date.getUTCHours() + '</Hour><Minute>' + date.getUTCMinutes() + '</Minute><Second>' + date.getUTCSeconds() + '</Second></Time>'
+            + '</UTCDateTime>' : '');
+}
+
+// The value of a setting read back from the camera after the changes
+function read_back(setting, settings) {
+    if (setting === 'NTP Servers') return format_ntp(settings.ntp);
+    if (setting === 'Clock') return (settings.offsetSeconds !== null ? format_drift(settings.offsetSeconds) : 'unknown');
+    if (setting === 'Hostname') return (settings.hostname ? settings.hostname.name : 'unknown');
+    const key = { 'Date Time Type': 'dateTimeType', 'Daylight Savings': 'daylightSavings', 'Time Zone': 'timeZone' }[setting];
+    return (settings.time && settings.time[key] !== null ? String(settings.time[key]) : 'unknown');
+}
+
+// Check a change by comparing the value read back with the planned value
+function took_effect(change, settings, context) {
+    if (change.setting === 'Clock') {
+        return settings.offsetSeconds !== null && Math.abs(settings.offsetSeconds) * 1000 <= context.maxDriftMs;
+    }
+    if (change.setting === 'NTP Servers' && change.planned === 'from DHCP') return Boolean(settings.ntp && settings.ntp.fromDHCP);
+    return change.after === change.planned;
+}
+
+// Make the camera match the policy. With dry_run the settings are read but nothing is changed.
+// context is { ip, manufacturer, model, serial, site, group, location, maxDriftMs }
+// callback(result) where result is
+//   { dryRun, status, changes: [ { setting, before, planned, after, status, error } ] }
+// status is 'unchanged' (the camera already matches), 'planned' (dry run), 'ok' or 'failed' (any change failed)
+// and each change's status is 'planned', 'ok', 'failed' or 'skipped'
+function fix_camera(cam, policy, context, dry_run, callback) {
+    read_settings(cam, function (before) {
+        const plan = plan_changes(policy, before, context);
+        let result = { dryRun: Boolean(dry_run), status: null, changes: [] };
+        for (const item of plan.changes) {
+            result.changes.push({
+                setting: item.setting,
+                before: item.before,
+                planned: item.planned,
+                after: null,
+                status: (item.error ? 'skipped' : (dry_run ? 'planned' : null)),
+                error: item.error || null
+            });
+        }
+        if (dry_run || !result.changes.some(change => change.status === null)) {
+            result.status = overall_status(result);
+            return callback(result);
+        }
+
+        const fail = function (settings, message) {
+            for (const change of result.changes) {
+                if (settings.includes(change.setting) && change.status === null) {
+                    change.status = 'failed';
+                    change.error = message;
+                }
+            }
+        };
+
+        // The changes made by each command, so a failed command fails those changes
+        const commands = [];
+        if (plan.ntp) {
+            commands.push({ command: 'SetNTP', params: ntp_params(plan.ntp), settings: ['NTP Servers'] });
+        }
+        if (plan.clock) {
+            // The time is only accepted with DateTimeType Manual
+            if (!settings_known(plan.time, before.time)) {
+                fail(['Clock'], 'The Date and Time settings could not be read');
+            } else {
+                commands.push({
+                    command: 'SetSystemDateAndTime',
+                    params: () => date_time_params(Object.assign({}, plan.time || before.time, { dateTimeType: 'Manual' }), new Date()),
+                    settings: ['Clock'],
+                    clock: true
+                });
+            }
+        }
+        if (plan.time) {
+            const time_settings = ['Date Time Type', 'Daylight Savings', 'Time Zone'];
+            if (plan.time.dateTimeType === null || plan.time.daylightSavings === null) {
+                fail(time_settings, 'The Date and Time settings could not be read');
+            } else {
+                commands.push({ command: 'SetSystemDateAndTime', params: () => date_time_params(plan.time, null), settings: time_settings });
+            }
+        }
+        if (plan.hostname) {
+            commands.push({ command: 'SetHostname', params: '<Name>' + xml_escape(plan.hostname) + '</Name>', settings: ['Hostname'] });
+        }
+
+        let cmd_idx = 0;
+        const next_command = function () {
+            if (cmd_idx >= commands.length) return check_changes();
+            const item = commands[cmd_idx++];
+            const params = (typeof item.params === 'function' ? item.params() : item.params);
+            device_inventory.send(cam, 'device', DEVICE_NS, item.command, params, function (err) {
+                if (err) {
+                    fail(item.settings, item.command + ' failed. ' + (err.message || err));
+                } else if (item.clock) {
+                    // The camera's clock now matches this computer, so the WS-Security timestamps need no correction
+                    cam.timeShift = Date.now() - (process.uptime() * 1000);
+                }
+                next_command();
+            });
+        };
+
+        // Read the settings again to record the values after the change, and check each change took effect
+        const check_changes = function () {
+            read_settings(cam, function (after) {
+                for (const change of result.changes) {
+                    if (change.status === 'skipped') continue;
+                    change.after = read_back(change.setting, after);
+                    if (change.status === null) {
+                        if (took_effect(change, after, context)) {
+                            change.status = 'ok';
+                        } else {
+                            change.status = 'failed';
+                            change.error = 'The camera accepted the change but reports ' + change.after;
+                        }
+                    }
+                }
+                result.status = overall_status(result);
+                callback(result);
+            });
+        };
+
+        next_command();
+    });
+}
+
+// A camera has 'failed' if any change failed or could not be made
+function overall_status(result) {
+    if (result.changes.length === 0) return 'unchanged';
+    if (result.changes.some(change => change.status === 'failed' || change.status === 'skipped')) return 'failed';
+    return (result.dryRun ? 'planned' : 'ok');
+}
+
+// SetSystemDateAndTime needs the DateTimeType and DaylightSavings
+function settings_known(wanted, current) {
+    const time = wanted || current;
+    return Boolean(time && time.dateTimeType !== null && time.daylightSavings !== null);
+}
+
+// eg 'Hostname: IPC -> lobby-1 ok' or 'Time Zone: GMT0 -> CET-1CEST (planned)'
+function format_change(change) {
+    return change.setting + ': ' + change.before + ' -> ' + (change.planned !== null ? change.planned : '?')
+        + (change.status === 'planned' ? ' (planned)' : ' ' + change.status)
+        + (change.after !== null && change.after !== change.planned && change.status === 'ok' ? ' (now ' + change.after + ')' : '')
+        + (change.error ? ' - ' + change.error : '');
+}
+
+// Number of cameras with each Fix status, eg { ok: 3, failed: 1, planned: 0, unchanged: 12 }
+function count_results(records) {
+    let counts = { ok: 0, failed: 0, planned: 0, unchanged: 0 };
+    for (const record of records) {
+        if (record && record.fix && counts[record.fix.status] !== undefined) counts[record.fix.status]++;
+    }
+    return counts;
+}
+
+module.exports = {
+    load_policy: load_policy,
+    check_policy: check_policy,
+    format_policy: format_policy,
+    plan_changes: plan_changes,
+    fix_camera: fix_camera,
+    format_change: format_change,
+    count_results: count_results
+};
@@ -0,0 +1,558 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * RTSP Stream Health Probe
+ * Many faults on site are 'ONVIF answers but RTSP is broken', so this connects to the RTSP URI and runs DESCRIBE, SETUP and PLAY
+ * (RTP over the RTSP TCP connection) with the audit Username and Password (Basic or Digest).
+ * Reports the codec, resolution, frame rate and bitrate from the SDP, the SPS and the received RTP packets.
+ * A few seconds of video can also be saved as a raw H264 or H265 file (which can be played with VLC or ffplay).
+ */
+
+var net = require('net');
+var url = require('url');
+var crypto = require('crypto');
+var fs = require('fs');
+
+const USER_AGENT = 'onvif-audit';
+
+function md5(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+}
+
+// Parse a WWW-Authenticate header into { scheme, realm, nonce, qop, ... }
+function parse_authenticate(header) {
+    let result = { scheme: header.split(' ')[0].toLowerCase() };
+    const regex = /(\w+)=(?:"([^"]*)"|([^,\s]*))/g;
+    let match;
+    while ((match = regex.exec(header)) !== null) {
+        result[match[1].toLowerCase()] = (match[2] !== undefined ? match[2] : match[3]);
+    }
+    return result;
+}
+
+function authorization_header(auth, method, uri, username, password) {
+    if (auth.scheme === 'basic') {
+        return 'Basic ' + Buffer.from(username + ':' + password).toString('base64');
+    }
+    const ha1 = md5(username + ':' + auth.realm + ':' + password);
+    const ha2 = md5(method + ':' + uri);
+    let header = 'Digest username="' + username + '", realm="' + auth.realm + '", nonce="' + auth.nonce + '", uri="' + uri + '"';
+    if (auth.qop && auth.qop.split(',').map(item => item.trim()).includes('auth')) {
+        const cnonce = crypto.randomBytes(8).toString('hex');
+        const nc = '00000001';
+        header += ', qop=auth, nc=' + nc + ', cnonce="' + cnonce + '"'
+            + ', response="' + md5(ha1 + ':' + auth.nonce + ':' + nc + ':' + cnonce + ':auth:' + ha2) + '"';
+    } else {
+        header += ', response="' + md5(ha1 + ':' + auth.nonce + ':' + ha2) + '"';
+    }
+    if (auth.opaque) header += ', opaque="' + auth.opaque + '"';
+    return header;
+}
+
+// Reads bits and Exp-Golomb codes from an H264 or H265 SPS
+function bit_reader(buffer) {
+    let position = 0;
+    function bit() {
+        if (position >= buffer.length * 8) throw new Error('SPS too short');
+        const value = (buffer[position >> 3] >> (7 - (position & 7))) & 1;
+        position++;
+        return value;
+    }
+    function bits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) value = value * 2 + bit();
+        return value;
+    }
+    function ue() {
+        let zeros = 0;
+        while (bit() === 0) zeros++;
+        return (zeros === 0 ? 0 : Math.pow(2, zeros) - 1 + bits(zeros));
+    }
+    function se() {
+        const value = ue();
+        return (value % 2 === 1 ? (value + 1) / 2 : -(value / 2));
+    }
+    return { bit: bit, bits: bits, ue: ue, se: se, skip: count => { position += count; } };
+}
+
+// Remove the emulation prevention bytes (00 00 03 -> 00 00) from a NAL unit
+function remove_emulation_prevention(nal) {
+    let output = [];
+    for (let i = 0; i < nal.length; i++) {
+        if (i >= 2 && nal[i] === 3 && nal[i - 1] === 0 && nal[i - 2] === 0) continue;
+        output.push(nal[i]);
+    }
+    return Buffer.from(output);
+}
+
+// Width and height from an H264 SPS NAL unit (including the 1 byte NAL header)
+function parse_h264_sps(nal) {
+    const reader = bit_reader(remove_emulation_prevention(nal.slice(1)));
+    const profile_idc = reader.bits(8);
+    reader.skip(16); // constraint flags and level_idc
+    reader.ue(); // seq_parameter_set_id
+    let chroma_format_idc = 1;
+    if ([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135].includes(profile_idc)) {
+        chroma_format_idc = reader.ue();
+        if (chroma_format_idc === 3) reader.bit(); // separate_colour_plane_flag
+        reader.ue(); // bit_depth_luma_minus8
+        reader.ue(); // bit_depth_chroma_minus8
+        reader.bit(); // qpprime_y_zero_transform_bypass_flag
+        if (reader.bit()) { // seq_scaling_matrix_present_flag
+            const list_count = (chroma_format_idc !== 3 ? 8 : 12);
+            for (let i = 0; i < list_count; i++) {
+                if (reader.bit()) {
+                    const size = (i < 6 ? 16 : 64);
+                    let last_scale = 8;
+                    let next_scale = 8;
+                    for (let j = 0; j < size; j++) {
+                        if (next_scale !== 0) next_scale = (last_scale + reader.se() + 256) % 256;
+                        last_scale = (next_scale === 0 ? last_scale : next_scale);
+                    }
+                }
+            }
+        }
+    }
+    reader.ue(); // log2_max_frame_num_minus4
+    const pic_order_cnt_type = reader.ue();
+    if (pic_order_cnt_type === 0) {
+        reader.ue(); // log2_max_pic_order_cnt_lsb_minus4
+    } else if (pic_order_cnt_type === 1) {
+        reader.bit(); // delta_pic_order_always_zero_flag
+        reader.se(); // offset_for_non_ref_pic
+        reader.se(); // offset_for_top_to_bottom_field
+        const cycle_count = reader.ue();
+        for (let i = 0; i < cycle_count; i++) reader.se();
+    }
+    reader.ue(); // max_num_ref_frames
+    reader.bit(); // gaps_in_frame_num_value_allowed_flag
+    const width_in_mbs = reader.ue() + 1;
+    const height_in_map_units = reader.ue() + 1;
+    const frame_mbs_only_flag = reader.bit();
+    if (!frame_mbs_only_flag) reader.bit(); // mb_adaptive_frame_field_flag
+    reader.bit(); // direct_8x8_inference_flag
+    let crop = { left: 0, right: 0, top: 0, bottom: 0 };
+    if (reader.bit()) {
+        crop = { left: reader.ue(), right: reader.ue(), top: reader.ue(), bottom: reader.ue() };
+    }
+    const crop_x = (chroma_format_idc === 0 || chroma_format_idc === 3 ? 1 : 2);
+    const crop_y = (chroma_format_idc === 1 ? 2 : 1) * (2 - frame_mbs_only_flag);
+    return {
+        width: width_in_mbs * 16 - crop_x * (crop.left + crop.right),
+        height: (2 - frame_mbs_only_flag) * height_in_map_units * 16 - crop_y * (crop.top + crop.bottom)
+    };
+}
+
+// Width and height from an H265 SPS NAL unit (including the 2 byte NAL header)
+function parse_h265_sps(nal) {
+    const reader = bit_reader(remove_emulation_prevention(nal.slice(2)));
+    reader.skip(4); // sps_video_parameter_set_id
+    const max_sub_layers_minus1 = reader.bits(3);
+    reader.skip(1); // sps_temporal_id_nesting_flag
+
+    // profile_tier_level()
+    reader.skip(88); // general profile space, tier, profile, compatibility and constraint flags
+    reader.skip(8); // general_level_idc
+    let sub_layer_profile_present = [];
+    let sub_layer_level_present = [];
+    for (let i = 0; i < max_sub_layers_minus1; i++) {
+        sub_layer_profile_present.push(reader.bit());
+        sub_layer_level_present.push(reader.bit());
+    }
+    if (max_sub_layers_minus1 > 0) {
+        for (let i = max_sub_layers_minus1; i < 8; i++) reader.skip(2);
+    }
+    for (let i = 0; i < max_sub_layers_minus1; i++) {
+        if (sub_layer_profile_present[i]) reader.skip(88);
+        if (sub_layer_level_present[i]) reader.skip(8);
+    }
+
+    reader.ue(); // sps_seq_parameter_set_id
+    const chroma_format_idc = reader.ue();
+    if (chroma_format_idc === 3) reader.bit(); // separate_colour_plane_flag
+    let width = reader.ue();
+    let height = reader.ue();
+    if (reader.bit()) { // conformance_window_flag
+        const sub_width = (chroma_format_idc === 1 || chroma_format_idc === 2 ? 2 : 1);
+        const sub_height = (chroma_format_idc === 1 ? 2 : 1);
+        const left = reader.ue(), right = reader.ue(), top = reader.ue(), bottom = reader.ue();
+        width -= sub_width * (left + right);
+        height -= sub_height * (top + bottom);
+    }
+    return { width: width, height: height };
+}
+
+// Parse the SDP returned by DESCRIBE. Returns the first video track
+// { codec, payloadType, clockRate, control, width, height, frameRate, bitrateKbps, sps } or null
+function parse_sdp(sdp) {
+    let video = null;
+    for (const line of sdp.split(/\r?\n/)) {
+        if (line.startsWith('m=')) {
+            if (video) break; // only the first video track is used
+            if (line.startsWith('m=video')) {
+                video = { codec: null, payloadType: parseInt(line.split(' ')[3]), clockRate: 90000, control: null,
+                    width: null, height: null, frameRate: null, bitrateKbps: null, sps: null };
+            }
+            continue;
+        }
+        if (!video) continue;
+
+        let match;
+        if ((match = line.match(/^a=rtpmap:(\d+) ([^/]+)\/(\d+)/)) && parseInt(match[1]) === video.payloadType) {
+            video.codec = match[2].toUpperCase();
+            video.clockRate = parseInt(match[3]);
+        } else if ((match = line.match(/^a=control:(.*)$/))) {
+            video.control = match[1].trim();
+        } else if ((match = line.match(/^a=framerate:\s*([\d.]+)/))) {
+            video.frameRate = parseFloat(match[1]);
+        } else if ((match = line.match(/^a=x-dimensions:\s*(\d+),\s*(\d+)/))) {
+            video.width = parseInt(match[1]);
+            video.height = parseInt(match[2]);
+        } else if ((match = line.match(/^b=AS:(\d+)/))) {
+            video.bitrateKbps = parseInt(match[1]);
+        } else if ((match = line.match(/^a=fmtp:\d+ (.*)$/))) {
+            const params = {};
+            match[1].split(';').forEach(function (item) {
+                const index = item.indexOf('=');
+                if (index > 0) params[item.substring(0, index).trim().toLowerCase()] = item.substring(index + 1).trim();
+            });
+            if (params['sprop-parameter-sets']) {
+                video.sps = Buffer.from(params['sprop-parameter-sets'].split(',')[0], 'base64');
+            } else if (params['sprop-sps']) {
+                video.sps = Buffer.from(params['sprop-sps'], 'base64');
+            }
+        }
+    }
+    return video;
+}
+
+function sps_dimensions(codec, sps) {
+    try {
+        if (codec === 'H264') return parse_h264_sps(sps);
+        if (codec === 'H265') return parse_h265_sps(sps);
+    } catch (err) {
+        // Unusual SPS. The resolution is left unknown
+    }
+    return null;
+}
+
+// Join the SDP 'a=control' value to the base URI
+function control_uri(base, control) {
+    if (!control || control === '*') return base;
+    if (/^rtsp:\/\//i.test(control)) return control;
+    return base + (base.endsWith('/') ? '' : '/') + control;
+}
+
+// Turns RTP packets into an H264 or H265 Annex B byte stream (00 00 00 01 start codes)
+// Handles single NAL units, STAP-A / Aggregation Packets and FU-A / Fragmentation Units
+// The SPS is always found (it gives the resolution). The byte stream is only kept if keep_data is set (for --rtsp-clip)
+function depacketizer(codec, keep_data) {
+    const START_CODE = Buffer.from([0, 0, 0, 1]);
+    let output = [];
+    let sps = null;
+
+    function write(...parts) {
+        if (keep_data) output.push(...parts);
+    }
+
+    function nal(unit) {
+        if (unit.length === 0) return;
+        const type = (codec === 'H264' ? unit[0] & 0x1f : (unit[0] >> 1) & 0x3f);
+        if (!sps && type === (codec === 'H264' ? 7 : 33)) sps = unit;
+        write(START_CODE, unit);
+    }
+
+    function h264(payload) {
+        const type = payload[0] & 0x1f;
+        if (type >= 1 && type <= 23) {
+            nal(payload);
+        } else if (type === 24) { // STAP-A
+            let offset = 1;
+            while (offset + 2 <= payload.length) {
+                const size = payload.readUInt16BE(offset);
+                nal(payload.slice(offset + 2, offset + 2 + size));
+                offset += 2 + size;
+            }
+        } else if (type === 28) { // FU-A
+            const header = payload[1];
+            if (header & 0x80) {
+                const unit_header = (payload[0] & 0xe0) | (header & 0x1f);
+                if (!sps && (header & 0x1f) === 7) sps = Buffer.concat([Buffer.from([unit_header]), payload.slice(2)]);
+                write(START_CODE, Buffer.from([unit_header]));
+            }
+            write(payload.slice(2));
+        }
+    }
+
+    function h265(payload) {
+        const type = (payload[0] >> 1) & 0x3f;
+        if (type < 48) {
+            nal(payload);
+        } else if (type === 48) { // Aggregation Packet
+            let offset = 2;
+            while (offset + 2 <= payload.length) {
+                const size = payload.readUInt16BE(offset);
+                nal(payload.slice(offset + 2, offset + 2 + size));
+                offset += 2 + size;
+            }
+        } else if (type === 49) { // Fragmentation Unit
+            const header = payload[2];
+            if (header & 0x80) {
+                write(START_CODE, Buffer.from([(payload[0] & 0x81) | ((header & 0x3f) << 1), payload[1]]));
+            }
+            write(payload.slice(3));
+        }
+    }
+
+    return {
+        packet: function (payload) {
+            if (payload.length < 3) return;
+            if (codec === 'H264') h264(payload);
+            else if (codec === 'H265') h265(payload);
+        },
+        sps: () => sps,
+        data: () => Buffer.concat(output)
+    };
+}
+
+// Probe one RTSP URI.
+// options = { host, username, password, duration (ms), timeout (ms), clipFile }
+//   host replaces the address in the URI (for cameras behind NAT).
+//   clipFile is optional. It is the filename without an extension. .h264 or .h265 is added
+// callback(result) with result = { uri, status, error, codec, width, height, frameRate, bitrateKbps, packets, clipFile, ... }
+function probe(rtsp_uri, options, callback) {
+    let uri = url.parse(rtsp_uri);
+    const username = (uri.auth ? decodeURIComponent(uri.auth.split(':')[0]) : options.username);
+    const password = (uri.auth ? decodeURIComponent(uri.auth.split(':').slice(1).join(':')) : options.password);
+    const host = options.host || uri.hostname;
+    const port = parseInt(uri.port) || 554;
+    const request_uri = 'rtsp://' + (host.includes(':') ? '[' + host + ']' : host) + ':' + port + uri.path;
+
+    let result = {
+        uri: rtsp_uri,
+        status: 'error',
+        error: null,
+        codec: null,
+        width: null,
+        height: null,
+        frameRate: null,
+        bitrateKbps: null,
+        sdpBitrateKbps: null,
+        packets: 0,
+        bytes: 0,
+        clipFile: null
+    };
+
+    let finished = false;
+    let cseq = 0;
+    let auth = null;
+    let session = null;
+    let pending = null; // { method, uri, headers, callback } waiting for a reply
+    let buffer = Buffer.alloc(0);
+    let video = null;
+    let depacketize = null;
+    let stats = { first_time: null, last_time: null, first_ts: null, last_ts: null, frames: 0 };
+    let play_timer = null;
+
+    const socket = net.connect({ host: host, port: port });
+    socket.setTimeout(options.timeout || 5000);
+    socket.on('timeout', function () { finish('Timeout'); });
+    socket.on('error', function (err) { finish(err.message); });
+    socket.on('close', function () { finish('Connection closed by camera'); });
+    socket.on('connect', describe);
+    socket.on('data', function (data) {
+        buffer = Buffer.concat([buffer, data]);
+        process_buffer();
+    });
+
+    function finish(error) {
+        if (finished) return;
+        finished = true;
+        clearTimeout(play_timer);
+        if (error) result.error = error;
+        result.status = (result.error ? 'error' : 'ok');
+
+        if (stats.first_time !== null && stats.last_time > stats.first_time) {
+            result.bitrateKbps = Math.round(result.bytes * 8 / 1000 / (stats.last_time - stats.first_time));
+        }
+        if (stats.frames > 1 && stats.last_ts !== stats.first_ts && video) {
+            const seconds = ((stats.last_ts - stats.first_ts) >>> 0) / video.clockRate;
+            result.frameRate = Math.round((stats.frames - 1) / seconds * 10) / 10;
+        } else if (video && video.frameRate) {
+            result.frameRate = video.frameRate;
+        }
+        if (depacketize && result.width === null && depacketize.sps()) {
+            const size = sps_dimensions(video.codec, depacketize.sps());
+            if (size) {
+                result.width = size.width;
+                result.height = size.height;
+            }
+        }
+
+        const done = function () {
+            socket.destroy();
+            callback(result);
+        };
+        if (options.clipFile && depacketize && result.packets > 0) {
+            const clip_file = options.clipFile + '.' + video.codec.toLowerCase();
+            fs.writeFile(clip_file, depacketize.data(), function (err) {
+                if (!err) result.clipFile = clip_file;
+                done();
+            });
+        } else {
+            done();
+        }
+    }
+
+    function send(method, request_uri, headers, reply_callback) {
+        cseq++;
+        let text = method + ' ' + request_uri + ' RTSP/1.0\r\n'
+            + 'CSeq: ' + cseq + '\r\n'
+            + 'User-Agent: ' + USER_AGENT + '\r\n';
+        if (auth) text += 'Authorization: ' + authorization_header(auth, method, request_uri, username, password) + '\r\n';
+        if (session) text += 'Session: ' + session + '\r\n';
+        Object.keys(headers).forEach(function (name) {
+            text += name + ': ' + headers[name] + '\r\n';
+        });
+        pending = { method: method, uri: request_uri, headers: headers, callback: reply_callback, retried: pending ? pending.retried : false };
+        socket.write(text + '\r\n');
+    }
+
+    // Send a request. On a 401 reply, retry once with the Username and Password
+    function request(method, request_uri, headers, reply_callback) {
+        pending = null;
+        send(method, request_uri, headers, function on_reply(reply) {
+            if (reply.status === 401 && !pending.retried && reply.headers['www-authenticate'] && username) {
+                auth = parse_authenticate(reply.headers['www-authenticate']);
+                pending.retried = true;
+                return send(method, request_uri, headers, on_reply);
+            }
+            reply_callback(reply);
+        });
+    }
+
+    function process_buffer() {
+        while (buffer.length > 0 && !finished) {
+            if (buffer[0] === 0x24) {
+                // Interleaved RTP or RTCP packet. $ channel length
+                if (buffer.length < 4) return;
+                const length = buffer.readUInt16BE(2);
+                if (buffer.length < 4 + length) return;
+                const channel = buffer[1];
+                const packet = buffer.slice(4, 4 + length);
+                buffer = buffer.slice(4 + length);
+                if (channel === 0) rtp_packet(packet);
+                continue;
+            }
+
+            // RTSP reply
+            const header_end = buffer.indexOf('\r\n\r\n');
+            if (header_end < 0) return;
+            const lines = buffer.slice(0, header_end).toString().split('\r\n');
+            let headers = {};
+            for (const line of lines.slice(1)) {
+                const index = line.indexOf(':');
+                if (index > 0) headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+            }
+            const content_length = parseInt(headers['content-length'] || '0');
+            if (buffer.length < header_end + 4 + content_length) return;
+            const body = buffer.slice(header_end + 4, header_end + 4 + content_length).toString();
+            buffer = buffer.slice(header_end + 4 + content_length);
+
+            const status_match = lines[0].match(/^RTSP\/1\.0 (\d+)\s*(.*)$/);
+            if (!status_match) return finish('Not an RTSP reply');
+            const reply = { status: parseInt(status_match[1]), reason: status_match[2], headers: headers, body: body };
+            if (pending) pending.callback(reply);
+        }
+    }
+
+    function rtp_packet(packet) {
+        if (packet.length < 12) return;
+        const csrc_count = packet[0] & 0x0f;
+        const has_extension = packet[0] & 0x10;
+        const has_padding = packet[0] & 0x20;
+        const timestamp = packet.readUInt32BE(4);
+        let offset = 12 + csrc_count * 4;
+        if (has_extension && packet.length >= offset + 4) offset += 4 + packet.readUInt16BE(offset + 2) * 4;
+        let end = packet.length;
+        if (has_padding) end -= packet[packet.length - 1];
+        if (offset >= end) return;
+
+        const now = Date.now() / 1000;
+        if (stats.first_time === null) {
+            stats.first_time = now;
+            stats.first_ts = timestamp;
+        }
+        if (timestamp !== stats.last_ts) stats.frames++;
+        stats.last_time = now;
+        stats.last_ts = timestamp;
+        result.packets++;
+        result.bytes += packet.length;
+
+        // Without --rtsp-clip the packets are only needed until the SPS has been found
+        if (depacketize && (options.clipFile || !depacketize.sps())) depacketize.packet(packet.slice(offset, end));
+    }
+
+    function describe() {
+        request('DESCRIBE', request_uri, { Accept: 'application/sdp' }, function (reply) {
+            if (reply.status !== 200) return finish('DESCRIBE failed. ' + reply.status + ' ' + reply.reason);
+            video = parse_sdp(reply.body);
+            if (!video) return finish('No video track in the SDP');
+
+            result.codec = video.codec;
+            result.width = video.width;
+            result.height = video.height;
+            result.sdpBitrateKbps = video.bitrateKbps;
+            if (video.sps) {
+                const size = sps_dimensions(video.codec, video.sps);
+                if (size) {
+                    result.width = size.width;
+                    result.height = size.height;
+                }
+            }
+            if (video.codec === 'H264' || video.codec === 'H265') depacketize = depacketizer(video.codec, Boolean(options.clipFile));
+
+            const base = reply.headers['content-base'] || reply.headers['content-location'] || request_uri;
+            setup(control_uri(base, video.control), base);
+        });
+    }
+
+    function setup(track_uri, base) {
+        request('SETUP', track_uri, { Transport: 'RTP/AVP/TCP;unicast;interleaved=0-1' }, function (reply) {
+            if (reply.status !== 200) return finish('SETUP failed. ' + reply.status + ' ' + reply.reason);
+            if (reply.headers.session) session = reply.headers.session.split(';')[0];
+            play(base);
+        });
+    }
+
+    function play(base) {
+        request('PLAY', base, { Range: 'npt=0.000-' }, function (reply) {
+            if (reply.status !== 200) return finish('PLAY failed. ' + reply.status + ' ' + reply.reason);
+            pending = null;
+            play_timer = setTimeout(function () {
+                if (result.packets === 0) return finish('No video received');
+                // Send TEARDOWN but do not wait for the reply
+                send('TEARDOWN', base, {}, function () { });
+                finish(null);
+            }, options.duration || 5000);
+        });
+    }
+}
+
+// eg 'H264 1920x1080 25 fps 4096 kbps'
+function format_result(result) {
+    if (result.status !== 'ok') return 'FAIL (' + result.error + ')';
+    return 'OK ' + (result.codec || 'unknown codec')
+        + ' ' + (result.width ? result.width + 'x' + result.height : 'unknown resolution')
+        + ' ' + (result.frameRate !== null ? result.frameRate + ' fps' : 'unknown fps')
+        + ' ' + (result.bitrateKbps !== null ? result.bitrateKbps + ' kbps' : 'unknown bitrate');
+}
+
+module.exports = {
+    parse_sdp: parse_sdp,
+    parse_h264_sps: parse_h264_sps,
+    parse_h265_sps: parse_h265_sps,
+    probe: probe,
+    format_result: format_result
+};
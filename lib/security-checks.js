@@ -0,0 +1,223 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Security Posture Checks
+ * Checks which ONVIF commands and URLs work without a password, whether RTSP URIs contain
+ * embedded credentials, whether HTTPS is offered and whether WS-Discovery is enabled.
+ * Each problem is reported as a Finding with a Severity (high, medium, low, info)
+ */
+
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var snapshot = require('./snapshot');
+var Cam = require('onvif').Cam;
+
+const SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+function finding(id, severity, title, detail) {
+    return { id: id, severity: severity, title: title, detail: detail || '' };
+}
+
+// Returns true if an RTSP (or HTTP) URI has a username/password in it, either as user:pass@host
+// or as query parameters (eg ?user=admin&password=1234 used by some vendors)
+// URIs that cannot be parsed (some cameras return invalid IPv6 URIs) are treated as having no credentials
+function uri_has_credentials(uri_string) {
+    if (!uri_string) return false;
+    let uri;
+    try {
+        uri = url.parse(uri_string, true);
+    } catch (err) {
+        return false;
+    }
+    if (uri.auth) return true;
+    return Object.keys(uri.query || {}).some(key => /^(user|username|usr|pass|password|pwd|passwd)$/i.test(key));
+}
+
+// GET the Snapshot URI with no Authorization header.
+// The host is replaced with the address used for ONVIF (in case the camera is behind NAT)
+// callback(status_code, body) is called once. status_code and body are null if the request failed or the reply was cut off
+function fetch_without_auth(uri_string, host, timeout, callback) {
+    const uri = url.parse(uri_string);
+    const is_https = (uri.protocol === 'https:');
+    let finished = false;
+    const finish = function (status_code, body) {
+        if (finished) return;
+        finished = true;
+        callback(status_code, body);
+    };
+
+    const request = (is_https ? https : http).get({
+        hostname: host,
+        port: uri.port || (is_https ? 443 : 80),
+        path: uri.path,
+        rejectUnauthorized: false, // cameras normally have self-signed certificates
+        timeout: timeout
+    }, function (res) {
+        let chunks = [];
+        res.on('data', function (chunk) { chunks.push(chunk); });
+        res.on('end', function () { finish(res.statusCode, Buffer.concat(chunks)); });
+        // The camera closed the connection part way through the reply
+        res.on('aborted', function () { finish(null, null); });
+        res.on('error', function () { finish(null, null); });
+        res.on('close', function () { finish(null, null); });
+    });
+    request.on('timeout', function () { request.destroy(new Error('Timeout')); });
+    request.on('error', function () { finish(null, null); });
+}
+
+// Tally findings by severity. Used for the per camera and site wide counts
+function count_findings(findings) {
+    let counts = {};
+    SEVERITIES.forEach(function (severity) { counts[severity] = 0; });
+    for (const item of findings) counts[item.severity]++;
+    return counts;
+}
+
+// cam is the connected (authenticated) Cam object.
+// context holds { hostname, port, useSecure, timeout, profileToken, snapshotUri, streamUris, credential, openPorts }
+// callback(security) with security = { checks: {...}, findings: [...], counts: {...} }
+function run_security_checks(cam, context, callback) {
+    let checks = {
+        unauthenticatedDeviceInformation: null,
+        unauthenticatedProfiles: null,
+        unauthenticatedStreamUri: null,
+        unauthenticatedSnapshot: null,
+        rtspUriCredentials: false,
+        httpsOffered: null,
+        discoveryMode: null
+    };
+    let findings = [];
+
+    // A second Cam object with no Username or Password, using the service addresses found by the first one
+    const anonymous = new Cam({
+        hostname: context.hostname,
+        port: context.port,
+        useSecure: context.useSecure,
+        secureOpts: { rejectUnauthorized: false },
+        timeout: context.timeout,
+        autoconnect: false
+    });
+    anonymous.uri = cam.uri;
+    anonymous.timeShift = cam.timeShift;
+
+    const steps = [
+        function (next) {
+            anonymous.getDeviceInformation(function (err) {
+                checks.unauthenticatedDeviceInformation = !err;
+                next();
+            });
+        },
+        function (next) {
+            if (!anonymous.uri || !anonymous.uri.media) return next();
+            anonymous.getProfiles(function (err) {
+                checks.unauthenticatedProfiles = !err;
+                next();
+            });
+        },
+        function (next) {
+            if (!anonymous.uri || !anonymous.uri.media || !context.profileToken) return next();
+            anonymous.getStreamUri({ protocol: 'RTSP', stream: 'RTP-Unicast', profileToken: context.profileToken }, function (err) {
+                checks.unauthenticatedStreamUri = !err;
+                next();
+            });
+        },
+        function (next) {
+            if (!context.snapshotUri) return next();
+            fetch_without_auth(context.snapshotUri, context.hostname, context.timeout, function (status_code, body) {
+                // Some cameras reply to a request without a password with a 200 login page, so only a JPEG counts
+                checks.unauthenticatedSnapshot = (status_code === 200 && snapshot.jpeg_info(body) !== null);
+                next();
+            });
+        },
+        function (next) {
+            cam.getNetworkProtocols(function (err, result) {
+                if (!err && result && result.networkProtocols) {
+                    let protocols = result.networkProtocols;
+                    if (!Array.isArray(protocols)) protocols = [protocols];
+                    checks.httpsOffered = protocols.some(item => String(item.name).toUpperCase() === 'HTTPS' && String(item.enabled) === 'true');
+                } else if (context.openPorts) {
+                    checks.httpsOffered = context.openPorts.includes(443);
+                }
+                if (context.useSecure) checks.httpsOffered = true;
+                next();
+            });
+        },
+        function (next) {
+            // The ONVIF library has no GetDiscoveryMode command so send the SOAP message directly
+            cam._request({
+                service: 'device',
+                body: cam._envelopeHeader()
+                    + '<GetDiscoveryMode xmlns="http://www.onvif.org/ver10/device/wsdl"/>'
+                    + cam._envelopeFooter()
+            }, function (err, data) {
+                try {
+                    if (!err) checks.discoveryMode = data[0].getDiscoveryModeResponse[0].discoveryMode[0];
+                } catch (e) {
+                    checks.discoveryMode = null;
+                }
+                next();
+            });
+        }
+    ];
+
+    // The ONVIF Library calls back a second time if an exception is thrown in its callback,
+    // so each step only moves on once, and the next step runs outside the callback
+    function run_step(index) {
+        if (index >= steps.length) return complete();
+        let called = false;
+        const next = function () {
+            if (called) return;
+            called = true;
+            setImmediate(() => run_step(index + 1));
+        };
+        try {
+            steps[index](next);
+        } catch (err) {
+            next();
+        }
+    }
+
+    function complete() {
+        if (context.credential && context.credential.defaultVendor) {
+            findings.push(finding('default-password', 'high', 'Vendor default password accepted',
+                'User ' + context.credential.username + ' has the ' + context.credential.defaultVendor + ' default password'));
+        }
+        if (checks.unauthenticatedSnapshot) {
+            findings.push(finding('unauthenticated-snapshot', 'high', 'Snapshot URL works without a password', context.snapshotUri));
+        }
+        if (checks.unauthenticatedStreamUri) {
+            findings.push(finding('unauthenticated-stream-uri', 'high', 'GetStreamUri works without a password'));
+        }
+        const uris_with_credentials = (context.streamUris || []).filter(uri_has_credentials);
+        if (uris_with_credentials.length > 0) {
+            checks.rtspUriCredentials = true;
+            findings.push(finding('stream-uri-credentials', 'high', 'Stream URI contains a username or password',
+                uris_with_credentials.length + ' stream URI(s) contain credentials'));
+        }
+        if (checks.unauthenticatedProfiles) {
+            findings.push(finding('unauthenticated-profiles', 'medium', 'GetProfiles works without a password'));
+        }
+        if (checks.unauthenticatedDeviceInformation) {
+            findings.push(finding('unauthenticated-device-information', 'medium', 'GetDeviceInformation works without a password'));
+        }
+        if (checks.httpsOffered === false) {
+            findings.push(finding('no-https', 'medium', 'HTTPS is not offered', 'Passwords and video are sent without encryption'));
+        }
+        if (checks.discoveryMode === 'Discoverable') {
+            findings.push(finding('ws-discovery-enabled', 'low', 'WS-Discovery is enabled', 'The device announces itself on the local network'));
+        }
+
+        callback({ checks: checks, findings: findings, counts: count_findings(findings) });
+    }
+
+    run_step(0);
+}
+
+module.exports = {
+    SEVERITIES: SEVERITIES,
+    uri_has_credentials: uri_has_credentials,
+    count_findings: count_findings,
+    run_security_checks: run_security_checks
+};
@@ -0,0 +1,364 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Snapshots
+ * Gets a JPEG image of each Video Source. The Snapshot URI is tried with Digest and then Basic authentication.
+ * If there is no Snapshot URI, or it does not give a JPEG, the manufacturer's well known snapshot paths are tried
+ * and then a frame is grabbed from the RTSP stream with ffmpeg. Every reply is checked to be a real JPEG
+ */
+
+var http = require('http');
+var https = require('https');
+var url = require('url');
+var child_process = require('child_process');
+var address_list = require('./addresses');
+
+// Snapshot paths of cameras whose manufacturer name matches 'pattern'. {channel} is the Video Source number (1, 2, 3...)
+// and {index} is the Video Source number starting at 0
+const VENDOR_PATHS = [
+    { pattern: /hikvision|hikrobot/i, paths: ['/ISAPI/Streaming/channels/{channel}01/picture', '/Streaming/channels/{channel}01/picture'] },
+    { pattern: /dahua|amcrest|lorex/i, paths: ['/cgi-bin/snapshot.cgi?channel={channel}'] },
+    { pattern: /axis/i, paths: ['/axis-cgi/jpg/image.cgi?camera={channel}'] },
+    { pattern: /hanwha|samsung|wisenet/i, paths: ['/stw-cgi/video.cgi?msubmenu=snapshot&action=view&Channel={index}'] },
+    { pattern: /bosch/i, paths: ['/snap.jpg?JpegCam={channel}'] },
+    { pattern: /vivotek/i, paths: ['/cgi-bin/viewer/video.jpg?channel={index}'] },
+    { pattern: /uniview|unv/i, paths: ['/images/snapshot.jpg'] },
+    { pattern: /panasonic|i-pro/i, paths: ['/cgi-bin/camera'] },
+    { pattern: /sony/i, paths: ['/oneshotimage.jpg'] },
+    { pattern: /mobotix/i, paths: ['/record/current.jpg'] }
+];
+
+const METHOD_NAMES = {
+    'snapshot-uri': 'Snapshot URI',
+    'vendor-path': 'Manufacturer snapshot path',
+    'rtsp-frame': 'Frame from RTSP stream'
+};
+
+const AUTH_NAMES = {
+    'digest': 'Digest',
+    'basic': 'Basic',
+    'none': 'no password'
+};
+
+// The width and height of a JPEG image, read from its Start Of Frame header.
+// Returns null if the buffer is not a JPEG (eg an HTML error page or a 401 message)
+function jpeg_info(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) return null;
+    let i = 2;
+    while (i + 4 <= buffer.length) {
+        if (buffer[i] !== 0xFF) return null;
+        const marker = buffer[i + 1];
+        if (marker === 0xFF) { // fill byte
+            i++;
+            continue;
+        }
+        // Markers with no length
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) {
+            i += 2;
+            continue;
+        }
+        // The Start Of Frame markers. DHT (C4), JPG (C8) and DAC (CC) are not frames
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            if (i + 9 > buffer.length) return null;
+            const height = buffer.readUInt16BE(i + 5);
+            const width = buffer.readUInt16BE(i + 7);
+            return (width > 0 && height > 0 ? { width: width, height: height } : null);
+        }
+        // Image data (Start Of Scan) or End Of Image before the frame header
+        if (marker === 0xDA || marker === 0xD9) return null;
+        i += 2 + buffer.readUInt16BE(i + 2);
+    }
+    return null;
+}
+
+// Why a reply is not a JPEG, eg 'not a JPEG (an HTML page, 512 bytes)'
+function describe_body(body, content_type) {
+    if (!body || body.length === 0) return 'empty reply';
+    const start = body.slice(0, 100).toString('latin1').trim().toLowerCase();
+    let kind = (content_type ? content_type.split(';')[0] : 'unknown type');
+    if (start.startsWith('<!doctype html') || start.startsWith('<html')) kind = 'an HTML page';
+    else if (start.startsWith('<')) kind = 'XML';
+    else if (/^[\x20-\x7e\r\n\t]*$/.test(start)) kind = 'text "' + start.substring(0, 40).replace(/\s+/g, ' ') + '"';
+    return 'not a JPEG (' + kind + ', ' + body.length + ' bytes)';
+}
+
+// The Snapshot URI with the host replaced by the address used for ONVIF.
+// ONVIF Standard now says use XAddr for camera and ignore the IP address in the Snapshot URI
+// (so cameras behind NAT work) but keep the scheme (http or https) and the port from the Snapshot URI
+function parse_uri(uri_string, host) {
+    const uri = url.parse(uri_string);
+    const is_https = (uri.protocol === 'https:');
+    return {
+        https: is_https,
+        host: host,
+        port: parseInt(uri.port) || (is_https ? 443 : 80),
+        path: uri.path || '/'
+    };
+}
+
+// GET with Digest authentication using request-digest. callback(err, body, content_type, authenticated)
+// An HTTP error is passed on as an Error with a statusCode. authenticated is false if the camera did not ask for a password
+function get_digest(target, options, callback) {
+    let digestRequest = require('request-digest')(options.username, options.password);
+    digestRequest.request({
+        host: (target.https ? 'https' : 'http') + '://' + address_list.url_host(target.host),
+        path: target.path,
+        port: target.port,
+        strictSSL: false, // cameras normally have self-signed certificates
+        timeout: options.timeout,
+        encoding: null, // return data as a Buffer()
+        method: 'GET'
+    }, function (error, response, body) {
+        if (error) {
+            // request-digest passes on HTTP errors as { statusCode, body }
+            if (error.statusCode) {
+                let http_error = new Error('HTTP ' + error.statusCode);
+                http_error.statusCode = error.statusCode;
+                return callback(http_error);
+            }
+            const message = (error.message || String(error));
+            // request-digest hides the reason for these two
+            if (/answer is empty/.test(message)) return callback(new Error('No reply (the connection failed or timed out)'));
+            if (/www-authenticate/.test(message)) return callback(new Error('HTTP error with no authentication challenge'));
+            return callback(error instanceof Error ? error : new Error(message));
+        }
+        const authenticated = Boolean(response && response.request && response.request.headers && response.request.headers.Authorization);
+        callback(null, body, (response && response.headers ? response.headers['content-type'] : null), authenticated);
+    });
+}
+
+// GET with Basic authentication (or with no authentication if there is no Username). callback(err, body, content_type)
+function get_basic(target, options, callback) {
+    let headers = {};
+    if (options.username) {
+        headers.Authorization = 'Basic ' + Buffer.from(options.username + ':' + (options.password || '')).toString('base64');
+    }
+    let called = false;
+    const done = function (err, body, content_type) {
+        if (called) return;
+        called = true;
+        callback(err, body, content_type);
+    };
+    const request = (target.https ? https : http).get({
+        hostname: target.host,
+        port: target.port,
+        path: target.path,
+        headers: headers,
+        rejectUnauthorized: false, // cameras normally have self-signed certificates
+        timeout: options.timeout
+    }, function (res) {
+        let chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', function () {
+            if (res.statusCode !== 200) {
+                let http_error = new Error('HTTP ' + res.statusCode);
+                http_error.statusCode = res.statusCode;
+                return done(http_error);
+            }
+            done(null, Buffer.concat(chunks), res.headers['content-type']);
+        });
+        res.on('error', done);
+    });
+    request.on('timeout', function () { request.destroy(new Error('Timeout')); });
+    request.on('error', done);
+}
+
+// Try Digest and then Basic authentication on one URL.
+// callback(result) with result = { auth, jpeg, width, height } or { error } with the reason from each attempt
+function fetch_jpeg(target, options, callback) {
+    get_digest(target, options, function (err, body, content_type, authenticated) {
+        const info = (err ? null : jpeg_info(body));
+        if (info) return callback({ auth: (authenticated ? 'digest' : 'none'), jpeg: body, width: info.width, height: info.height });
+        const digest_error = (err ? (err.message || String(err)) : describe_body(body, content_type));
+
+        // There is no point trying Basic authentication if the camera could not be reached
+        if (err && !err.statusCode && !/authentication challenge/.test(digest_error)) return callback({ error: digest_error });
+
+        get_basic(target, options, function (err, body, content_type) {
+            const info = (err ? null : jpeg_info(body));
+            if (info) return callback({ auth: 'basic', jpeg: body, width: info.width, height: info.height });
+            callback({ error: 'Digest ' + digest_error + ', Basic ' + (err ? (err.message || String(err)) : describe_body(body, content_type)) });
+        });
+    });
+}
+
+// The snapshot paths to try for a manufacturer
+function vendor_paths(manufacturer, src_idx) {
+    const vendor = VENDOR_PATHS.find(item => item.pattern.test(manufacturer || ''));
+    if (!vendor) return [];
+    return vendor.paths.map(item => item.replace('{channel}', src_idx + 1).replace('{index}', src_idx));
+}
+
+// Grab one frame from an RTSP stream as a JPEG with ffmpeg. callback(err, jpeg)
+function grab_rtsp_frame(rtsp_uri, options, callback) {
+    let uri;
+    try {
+        uri = url.parse(rtsp_uri);
+    } catch (err) {
+        return setImmediate(() => callback(new Error('Invalid RTSP URI')));
+    }
+    // Use the ONVIF address (in case the camera is behind NAT) and add the Username and Password.
+    // ffmpeg has no other way to be given them for RTSP, so they are on its command line where other users can see them
+    // with ps while it runs. The README says so, and --no-snapshot-fallback turns this off
+    const auth = (uri.auth ? uri.auth
+        : (options.username ? encodeURIComponent(options.username) + ':' + encodeURIComponent(options.password || '') : null));
+    const grab_uri = 'rtsp://' + (auth ? auth + '@' : '') + address_list.url_host(options.host) + ':' + (uri.port || 554) + uri.path;
+
+    let called = false;
+    let chunks = [];
+    let child;
+    const done = function (err, jpeg) {
+        if (called) return;
+        called = true;
+        clearTimeout(timer);
+        callback(err, jpeg);
+    };
+    const timer = setTimeout(function () {
+        if (child) child.kill();
+        done(new Error('No frame from the RTSP stream within ' + (options.timeout / 1000) + ' seconds'));
+    }, options.timeout);
+
+    try {
+        child = child_process.spawn(options.ffmpeg, ['-nostdin', '-loglevel', 'error', '-rtsp_transport', 'tcp', '-i', grab_uri,
+            '-frames:v', '1', '-f', 'image2', '-c:v', 'mjpeg', 'pipe:1'], { stdio: ['ignore', 'pipe', 'ignore'] });
+    } catch (err) {
+        return done(err);
+    }
+    child.stdout.on('data', chunk => chunks.push(chunk));
+    child.on('error', function (err) {
+        if (err.code === 'ENOENT') return done(new Error('ffmpeg was not found (' + options.ffmpeg + ')'));
+        done(err);
+    });
+    child.on('close', function (code) {
+        if (chunks.length === 0) return done(new Error('ffmpeg could not read the RTSP stream (exit code ' + code + ')'));
+        done(null, Buffer.concat(chunks));
+    });
+}
+
+// Get a JPEG of one Video Source.
+// options
+//   host - the address used for ONVIF, port and https - the ONVIF port and scheme (used for the manufacturer paths)
+//   username, password, timeout (ms)
+//   snapshotUri - from GetSnapshotUri (or null), rtspUri - the TCP Stream URI (or null)
+//   manufacturer - from GetDeviceInformation, src_idx - the Video Source number starting at 0
+//   fallback - try the manufacturer paths and the RTSP stream if the Snapshot URI does not give a JPEG
+//   ffmpeg - the ffmpeg program used to grab a frame from the RTSP stream
+// callback(result) with result = { method, auth, uri, width, height, bytes, jpeg, error, attempts }
+// method is one of the METHOD_NAMES (or null if no JPEG was found, with the reasons in error and attempts)
+// and auth is digest, basic or none (no password was needed) for the HTTP methods
+function get_snapshot(options, callback) {
+    let result = { method: null, auth: null, uri: null, width: null, height: null, bytes: null, jpeg: null, error: null, attempts: [] };
+
+    const found = function (method, auth, uri, jpeg, info) {
+        result.method = method;
+        result.auth = auth;
+        result.uri = uri;
+        result.jpeg = jpeg;
+        result.width = info.width;
+        result.height = info.height;
+        result.bytes = jpeg.length;
+        callback(result);
+    };
+    const failed = function (method, uri, error) {
+        result.attempts.push({ method: method, uri: uri, error: error });
+    };
+
+    // 1. The Snapshot URI from ONVIF
+    const try_snapshot_uri = function () {
+        if (!options.snapshotUri) {
+            failed('snapshot-uri', null, 'No Snapshot URI');
+            return try_vendor_paths();
+        }
+        let target;
+        try {
+            target = parse_uri(options.snapshotUri, options.host);
+        } catch (err) {
+            failed('snapshot-uri', options.snapshotUri, 'Invalid Snapshot URI');
+            return try_vendor_paths();
+        }
+        fetch_jpeg(target, options, function (reply) {
+            if (reply.jpeg) return found('snapshot-uri', reply.auth, options.snapshotUri, reply.jpeg, reply);
+            failed('snapshot-uri', options.snapshotUri, reply.error);
+            try_vendor_paths();
+        });
+    };
+
+    // 2. The manufacturer's own snapshot paths, on the ONVIF port
+    const try_vendor_paths = function () {
+        if (!options.fallback) return finish();
+        let paths = vendor_paths(options.manufacturer, options.src_idx);
+        const next_path = function () {
+            if (paths.length === 0) return try_rtsp();
+            const target = { https: options.https, host: options.host, port: options.port, path: paths.shift() };
+            const uri = (target.https ? 'https' : 'http') + '://' + address_list.url_host(target.host) + ':' + target.port + target.path;
+            fetch_jpeg(target, options, function (reply) {
+                if (reply.jpeg) return found('vendor-path', reply.auth, uri, reply.jpeg, reply);
+                failed('vendor-path', uri, reply.error);
+                next_path();
+            });
+        };
+        if (paths.length === 0) failed('vendor-path', null, 'No known snapshot path for ' + (options.manufacturer || 'an unknown manufacturer'));
+        next_path();
+    };
+
+    // 3. A frame from the RTSP stream
+    const try_rtsp = function () {
+        if (!options.rtspUri) {
+            failed('rtsp-frame', null, 'No RTSP Stream URI');
+            return finish();
+        }
+        if (!options.ffmpeg) {
+            failed('rtsp-frame', options.rtspUri, 'ffmpeg is turned off');
+            return finish();
+        }
+        grab_rtsp_frame(options.rtspUri, options, function (err, jpeg) {
+            const info = (err ? null : jpeg_info(jpeg));
+            if (info) return found('rtsp-frame', null, options.rtspUri, jpeg, info);
+            failed('rtsp-frame', options.rtspUri, (err ? err.message : describe_body(jpeg, null)));
+            finish();
+        });
+    };
+
+    const finish = function () {
+        result.error = result.attempts.map(item => METHOD_NAMES[item.method] + ': ' + item.error).join('; ');
+        callback(result);
+    };
+
+    try_snapshot_uri();
+}
+
+// Get another JPEG the same way as an earlier result of get_snapshot() (eg after a PTZ move). callback(err, jpeg)
+function repeat_snapshot(previous, options, callback) {
+    const checked = function (err, jpeg, content_type) {
+        if (err) return callback(err);
+        if (!jpeg_info(jpeg)) return callback(new Error(describe_body(jpeg, content_type)));
+        callback(null, jpeg);
+    };
+    if (previous.method === 'rtsp-frame') return grab_rtsp_frame(previous.uri, options, checked);
+    let target;
+    try {
+        target = parse_uri(previous.uri, options.host);
+    } catch (err) {
+        return setImmediate(() => callback(err));
+    }
+    if (previous.auth === 'basic') get_basic(target, options, checked);
+    else get_digest(target, options, checked);
+}
+
+// eg 'OK 1920x1080 Snapshot URI (Digest)' or 'FAIL Snapshot URI: HTTP 404; ...'
+function format_result(result) {
+    if (!result) return 'not tried';
+    if (!result.method) return 'FAIL ' + result.error;
+    return 'OK ' + result.width + 'x' + result.height + ' ' + METHOD_NAMES[result.method]
+        + (result.auth ? ' (' + AUTH_NAMES[result.auth] + ')' : '')
+        + (result.method !== 'snapshot-uri' ? ' ' + result.uri : '');
+}
+
+module.exports = {
+    METHOD_NAMES: METHOD_NAMES,
+    jpeg_info: jpeg_info,
+    get_snapshot: get_snapshot,
+    repeat_snapshot: repeat_snapshot,
+    format_result: format_result
+};
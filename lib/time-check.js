@@ -0,0 +1,72 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Clock Drift measurement and Time Settings (NTP, Time Zone, DST) for each camera
+ */
+
+var xml2js = require('xml2js');
+var stripPrefix = require('xml2js').processors.stripPrefix;
+
+// Convert a duration such as '2s', '500ms', '1m' or '1h' into milliseconds.
+// A number with no units is taken as seconds. Returns NaN if the value cannot be parsed
+function parse_duration(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h)?$/i);
+    if (!match) return NaN;
+    const multiplier = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+    return parseFloat(match[1]) * multiplier[(match[2] || 's').toLowerCase()];
+}
+
+// Work out the difference between the camera's clock and this computer's clock.
+// Assume the camera read its clock half way through the request, so remove half of the round trip time.
+// ONVIF only reports whole seconds, so the camera's real time is on average half a second later than reported
+function calculate_offset(camera_date, request_start, request_end) {
+    const round_trip = request_end - request_start;
+    const local_time = request_start + (round_trip / 2);
+    const camera_time = camera_date.getTime() + 500;
+    return {
+        offsetSeconds: (camera_time - local_time) / 1000,
+        roundTripMs: round_trip
+    };
+}
+
+// Read the DateTimeType (Manual or NTP), DaylightSavings and TimeZone from the raw GetSystemDateAndTime reply.
+// The ONVIF library only returns the time as a Date object
+function parse_date_time_settings(xml, callback) {
+    let parser = new xml2js.Parser({
+        explicitArray: false,
+        tagNameProcessors: [stripPrefix]   // strip namespace eg tt:TimeZone -> TimeZone
+    });
+    parser.parseString(xml, function (err, result) {
+        if (err) return callback(err);
+        try {
+            const settings = result['Envelope']['Body']['GetSystemDateAndTimeResponse']['SystemDateAndTime'];
+            callback(null, {
+                dateTimeType: settings['DateTimeType'] || null,
+                daylightSavings: (settings['DaylightSavings'] !== undefined ? settings['DaylightSavings'] === 'true' : null),
+                timeZone: (settings['TimeZone'] && settings['TimeZone']['TZ'] ? settings['TimeZone']['TZ'] : null)
+            });
+        } catch (err) {
+            callback(err);
+        }
+    });
+}
+
+// Convert the NTPManual or NTPFromDHCP entries from getNTP() into a list of server addresses
+function ntp_server_list(entries) {
+    if (!entries) return [];
+    if (!Array.isArray(entries)) entries = [entries];
+    let servers = [];
+    for (const entry of entries) {
+        const address = entry.IPv4Address || entry.IPv6Address || entry.DNSname;
+        if (address) servers.push(String(address));
+    }
+    return servers;
+}
+
+module.exports = {
+    parse_duration: parse_duration,
+    calculate_offset: calculate_offset,
+    parse_date_time_settings: parse_date_time_settings,
+    ntp_server_list: ntp_server_list
+};
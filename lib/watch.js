@@ -0,0 +1,202 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Watch Mode
+ * Keeps the last known state of each camera between audits and works out what changed: cameras that went offline
+ * or came back, clocks that drifted past the limit, serial number or firmware changes, and streams that stopped working
+ */
+
+var fs = require('fs');
+
+// Each type of event and its severity. Problems are 'warning' and the recovery from a problem is 'notice'
+const EVENT_TYPES = {
+    'offline': 'warning',
+    'online': 'notice',
+    'clock-drift': 'warning',
+    'clock-ok': 'notice',
+    'serial-changed': 'warning',
+    'firmware-changed': 'warning',
+    'stream-failed': 'warning',
+    'stream-ok': 'notice'
+};
+
+const STREAM_NAMES = { tcp: 'TCP', udp: 'UDP', http: 'HTTP', multicast: 'Multicast' };
+
+// Read the state saved by the last audit. A missing file gives an empty state
+function load_state(filename) {
+    let contents;
+    try {
+        contents = fs.readFileSync(filename, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return { updated: null, cameras: {} };
+        throw new Error('Unable to read the Watch State ' + filename + '. ' + err.message);
+    }
+    let state;
+    try {
+        state = JSON.parse(contents);
+    } catch (err) {
+        throw new Error('The Watch State ' + filename + ' is not valid JSON. ' + err.message);
+    }
+    if (!state || typeof state.cameras !== 'object' || state.cameras === null) {
+        throw new Error('The Watch State ' + filename + ' has no "cameras"');
+    }
+    // A hand edited file may leave out the stream lists
+    for (const key of Object.keys(state.cameras)) {
+        const camera = state.cameras[key];
+        if (!camera || typeof camera !== 'object') throw new Error('The Watch State ' + filename + ' has an invalid entry for ' + key);
+        if (!Array.isArray(camera.workingStreams)) camera.workingStreams = [];
+        if (!Array.isArray(camera.failedStreams)) camera.failedStreams = [];
+    }
+    return state;
+}
+
+// Write the state to a temporary file first, so stopping the program part way through does not leave half a file
+function save_state(filename, state) {
+    fs.writeFileSync(filename + '.tmp', JSON.stringify(state, null, 2));
+    fs.renameSync(filename + '.tmp', filename);
+}
+
+function camera_key(record) {
+    return record.host + ':' + record.port;
+}
+
+// The streams that work, eg ['Video Source 1 TCP Stream URI', 'Video Source 1 RTSP Probe']
+// A Stream URI only shows the camera returned a URI. The stream itself is only checked with --rtsp-probe
+function working_streams(record) {
+    let list = [];
+    record.videoSources.forEach(function (source, src_idx) {
+        const name = 'Video Source ' + (source.videoSource || src_idx + 1);
+        for (const key of Object.keys(STREAM_NAMES)) {
+            if (source.streams && source.streams[key]) list.push(name + ' ' + STREAM_NAMES[key] + ' Stream URI');
+        }
+        if (source.rtsp && source.rtsp.status === 'ok') list.push(name + ' RTSP Probe');
+    });
+    return list;
+}
+
+// The parts of a camera record that are watched. Anything this audit could not read keeps its last known value
+function camera_state(record, previous, now) {
+    const info = record.deviceInformation;
+    const online = !record.error;
+    let state = {
+        host: record.host,
+        port: record.port,
+        name: previous ? previous.name : null,
+        online: online,
+        error: record.error,
+        lastSeen: online ? now.toISOString() : (previous ? previous.lastSeen : null),
+        timeDriftSeconds: record.timeDriftSeconds,
+        timeDriftExceeded: (record.timeDriftExceeded !== null ? record.timeDriftExceeded : (previous ? previous.timeDriftExceeded : null)),
+        serialNumber: (info ? info.serialNumber : (previous ? previous.serialNumber : null)),
+        firmwareVersion: (info ? info.firmwareVersion : (previous ? previous.firmwareVersion : null)),
+        workingStreams: (online ? working_streams(record) : (previous ? previous.workingStreams : [])),
+        failedStreams: (previous ? previous.failedStreams : [])
+    };
+    if (info) state.name = info.manufacturer + ' ' + info.model;
+    if (record.label && record.label.location) state.name = (state.name ? state.name + ' ' : '') + '(' + record.label.location + ')';
+    return state;
+}
+
+function make_event(type, camera, now, message, previous, current) {
+    return {
+        time: now.toISOString(),
+        type: type,
+        severity: EVENT_TYPES[type],
+        host: camera.host,
+        port: camera.port,
+        name: camera.name,
+        message: message,
+        previous: (previous !== undefined ? previous : null),
+        current: (current !== undefined ? current : null)
+    };
+}
+
+// Compare the records from an audit with the last known state.
+// Returns { state, events } where state is the new last known state. Cameras seen before that are missing from the records
+// (nothing was listening this time) are offline. A camera seen for the first time only gives events for problems (offline or clock drift)
+function detect_events(state, records, now) {
+    let cameras = Object.assign({}, state.cameras);
+    let events = [];
+    let seen = new Set();
+
+    for (const record of records) {
+        const key = camera_key(record);
+        seen.add(key);
+        const previous = state.cameras[key] || null;
+        const current = camera_state(record, previous, now);
+        cameras[key] = current;
+
+        if (!previous) {
+            if (!current.online) events.push(make_event('offline', current, now, 'is offline. ' + current.error, null, current.error));
+            if (current.timeDriftExceeded) {
+                events.push(make_event('clock-drift', current, now, 'clock is out by ' + format_seconds(current.timeDriftSeconds), null, current.timeDriftSeconds));
+            }
+            continue;
+        }
+
+        if (previous.online && !current.online) {
+            events.push(make_event('offline', current, now, 'went offline. ' + current.error, previous.lastSeen, current.error));
+        }
+        if (!current.online) continue;
+        if (!previous.online) {
+            events.push(make_event('online', current, now, 'is back online', previous.error, null));
+        }
+
+        if (current.timeDriftExceeded === true && previous.timeDriftExceeded !== true) {
+            events.push(make_event('clock-drift', current, now, 'clock is out by ' + format_seconds(current.timeDriftSeconds), null, current.timeDriftSeconds));
+        } else if (current.timeDriftExceeded === false && previous.timeDriftExceeded === true) {
+            events.push(make_event('clock-ok', current, now, 'clock is back within the limit (' + format_seconds(current.timeDriftSeconds) + ')', null, current.timeDriftSeconds));
+        }
+
+        if (changed(previous.serialNumber, current.serialNumber)) {
+            events.push(make_event('serial-changed', current, now, 'serial number changed from ' + previous.serialNumber + ' to ' + current.serialNumber
+                + '. The camera may have been replaced', previous.serialNumber, current.serialNumber));
+        }
+        if (changed(previous.firmwareVersion, current.firmwareVersion)) {
+            events.push(make_event('firmware-changed', current, now, 'firmware changed from ' + previous.firmwareVersion + ' to ' + current.firmwareVersion,
+                previous.firmwareVersion, current.firmwareVersion));
+        }
+
+        // Streams that worked last time and do not work now, and streams that stopped working in an earlier audit and work again
+        const lost = previous.workingStreams.filter(name => !current.workingStreams.includes(name));
+        const regained = previous.failedStreams.filter(name => current.workingStreams.includes(name));
+        for (const name of lost) events.push(make_event('stream-failed', current, now, name + ' stopped working', name, null));
+        for (const name of regained) events.push(make_event('stream-ok', current, now, name + ' is working again', null, name));
+        current.failedStreams = previous.failedStreams.concat(lost).filter(name => !current.workingStreams.includes(name));
+    }
+
+    // Cameras where nothing was listening this time
+    for (const key of Object.keys(state.cameras)) {
+        if (seen.has(key)) continue;
+        const previous = state.cameras[key];
+        cameras[key] = Object.assign({}, previous, { online: false, error: 'Nothing listening' });
+        if (previous.online) events.push(make_event('offline', cameras[key], now, 'went offline. Nothing listening', previous.lastSeen, 'Nothing listening'));
+    }
+
+    return { state: { updated: now.toISOString(), cameras: cameras }, events: events };
+}
+
+// True if both values are known and are different
+function changed(previous, current) {
+    if (previous === null || previous === undefined || current === null || current === undefined) return false;
+    return String(previous) !== String(current);
+}
+
+function format_seconds(seconds) {
+    if (seconds === null || seconds === undefined) return 'an unknown amount';
+    return (seconds >= 0 ? '+' : '') + seconds.toFixed(1) + ' s';
+}
+
+// eg '2026-10-18T10:15:02.000Z 192.168.1.10:80 Hikvision DS-2CD2143G0-I went offline. Timeout'
+function format_event(event) {
+    return event.time + ' ' + event.host + ':' + event.port + (event.name ? ' ' + event.name : '') + ' ' + event.message;
+}
+
+module.exports = {
+    EVENT_TYPES: EVENT_TYPES,
+    load_state: load_state,
+    save_state: save_state,
+    detect_events: detect_events,
+    format_event: format_event
+};
@@ -0,0 +1,54 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Worker Pool
+ * Runs an asynchronous worker over a list of items with at most 'concurrency' workers running at once.
+ * This stops a large IP range (eg a /16) from opening thousands of sockets at the same time
+ * and gives a single callback when every item has completed.
+ */
+
+// worker(item, done) must call done(result) exactly once.
+// item_done(result, item) is called as each item completes (optional).
+// callback(results) is called once all the items are complete. Results are in the same order as the items.
+function run_queue(items, concurrency, worker, item_done, callback) {
+    let results = new Array(items.length);
+    let next_index = 0;
+    let running = 0;
+    let completed = 0;
+
+    concurrency = Math.max(1, parseInt(concurrency) || 1);
+
+    if (items.length === 0) {
+        setImmediate(function () { callback(results); });
+        return;
+    }
+
+    function start_next() {
+        while (running < concurrency && next_index < items.length) {
+            const index = next_index++;
+            let finished = false;
+            running++;
+
+            worker(items[index], function (result) {
+                // guard against a worker calling done() more than once
+                if (finished) return;
+                finished = true;
+
+                running--;
+                completed++;
+                results[index] = result;
+                if (item_done) item_done(result, items[index]);
+
+                if (completed === items.length) callback(results);
+                else start_next();
+            });
+        }
+    }
+
+    start_next();
+}
+
+module.exports = {
+    run_queue: run_queue
+};
@@ -10,19 +10,47 @@
  */
 
 var IPADDRESS = '192.168.1.1-192.168.1.254', // single address or a range
-    PORT = '80',
+    PORT = '80', // single port or a list of ports to try in turn eg '80,8080,443'
     USERNAME = 'onvifusername',
-    PASSWORD = 'onvifpassword';
+    PASSWORD = 'onvifpassword',
+    MAX_DRIFT = '5s', // Cameras with a clock error above this are flagged
+    CONCURRENCY = 20, // Number of addresses to audit at the same time
+    CAMERA_TIMEOUT = 120000, // Give up on a camera if its audit has not completed in this time (ms)
+    PRECHECK_TIMEOUT = 1500, // TCP connect timeout (ms) used to find addresses with nothing listening
+    PRECHECK_PORTS = [], // Extra TCP ports (eg 554, 443) that show a device is present
+    PROFILE_POLICY = 'best', // Which Profile(s) of each Video Source to audit
+    QUALITY_THRESHOLDS = '', // Image Quality thresholds for flagging snapshots. Empty for the defaults
+    FIX_POLICY = null, // Fix Policy from --fix
+    FIRMWARE_BASELINE = null, // Minimum approved firmware for each model from --firmware-baseline
+    PTZ_SETTLE = 3000, // Time (ms) to wait after a PTZ move before taking a snapshot
+    PTZ_POSITIONS = [], // Absolute PTZ positions to take snapshots from, instead of the Presets
+    RTSP_DURATION = 5, // Seconds of video to receive from each RTSP stream with --rtsp-probe
+    WATCH_INTERVAL = '15m', // Time between the start of each audit with --watch
+    WATCH_FOLDER = 'onvif_audit_watch', // Folder for the reports, Watch State and event log with --watch
+    SCAN_TIMEOUT = 5000, // Time (ms) to wait for WS-Discovery replies
+    SCAN_REPEAT = 1, // Number of times to send each WS-Discovery Probe
+    HTTPS = false; // Use HTTPS for ONVIF. Port 443 always uses HTTPS
 
-var onvif = require('onvif');
-var Cam = onvif.Cam;
-var flow = require('nimble');
 var args = require('commander');
 var fs = require('fs');
-var dateTime = require('node-datetime');
 var path = require('path');
-var xml2js = require('xml2js')
-var stripPrefix = require('xml2js').processors.stripPrefix;
+var dateTime = require('node-datetime');
+var onvif_audit = require('./index');
+var audit_engine = require('./lib/audit');
+var time_check = require('./lib/time-check');
+var progress_line = require('./lib/progress');
+var credential_list = require('./lib/credentials');
+var audit_compare = require('./lib/compare');
+var ptz_inventory = require('./lib/ptz');
+var profile_policy = require('./lib/profile-policy');
+var image_quality = require('./lib/image-quality');
+var remediation = require('./lib/remediation');
+var firmware_baseline = require('./lib/firmware-baseline');
+var watch = require('./lib/watch');
+var notify = require('./lib/notify');
+var discovery = require('./lib/discovery');
+var address_list = require('./lib/addresses');
+var config_file = require('./lib/config-file');
 
 
 
@@ -30,12 +58,57 @@ var stripPrefix = require('xml2js').processors.stripPrefix;
 var version = require('./package.json').version;
 args.version(version);
 args.description('ONVIF Camera Audit');
-args.option('-f, --filename <value>', 'Filename of JSON file with IP Address List');
+args.option('-f, --filename <value>', 'Filename of JSON or YAML Config File with the list of cameras (see README)');
 args.option('-i, --ipaddress <value>', 'IP Address (x.x.x.x) or IP Address Range (x.x.x.x-y.y.y.y)');
-args.option('-P, --port <value>', 'ONVIF Port. Default 80');
-args.option('-u, --username <value>', 'ONVIF Username');
-args.option('-p, --password <value>', 'ONVIF Password');
+args.option('-P, --port <value>', 'ONVIF Port or list of Ports to try in turn (eg 80,8080,443). Default 80');
+args.option('--https', 'Use HTTPS for ONVIF (self-signed certificates are accepted). Port 443 always uses HTTPS');
+args.option('-u, --username <value>', 'ONVIF Username. Repeat -u and -p to give several Username and Password pairs to try', collect_values, []);
+args.option('-p, --password <value>', 'ONVIF Password', collect_values, []);
+args.option('--credentials <value>', 'Filename of JSON file with a list of Usernames and Passwords to try on each device');
+args.option('--try-defaults', 'Also try well known vendor default Usernames and Passwords');
 args.option('-s, --scan', 'Discover Network devices on local subnet');
+args.option('-a, --audit', 'With --scan, audit every device that was discovered');
+args.option('--scan-timeout <value>', 'Time in milliseconds to wait for WS-Discovery replies. Default 5000');
+args.option('--scan-interface <value>', 'Network interface (eg eth0) or local IP address to send WS-Discovery Probes from');
+args.option('--scan-repeat <value>', 'Number of times to send each WS-Discovery Probe. Default 1');
+args.option('--scan-unicast', 'With --scan, send a WS-Discovery Probe to each address in the -i range instead of a multicast Probe. Works across routers');
+args.option('-c, --concurrency <value>', 'Number of addresses to audit at the same time. Default 20');
+args.option('--no-precheck', 'Do not check the ONVIF Port is open before connecting to each address');
+args.option('--precheck-ports <value>', 'Extra TCP Ports (eg 554,443) that also show a device is present. Default none');
+args.option('--precheck-timeout <value>', 'TCP connect timeout in milliseconds for the Port checks. Default 1500');
+args.option('--port-scan', 'Record which common CCTV ports (80,443,554,8000,8080,37777) are open on each device');
+args.option('--no-security-checks', 'Do not check for unauthenticated access, credentials in stream URIs, HTTPS and WS-Discovery');
+args.option('--no-inventory', 'Do not record the Services, network settings, users, audio and I/O, and every Profile and Encoder Configuration');
+args.option('--profile-policy <value>', 'Which Profile of each Video Source to audit: best, highest-resolution, lowest-resolution, highest-bitrate, '
+    + 'lowest-bitrate, codec:<encoding>, name:<regex> or all. Default best (the first H265, then H264, MPEG4, JPEG Profile)');
+args.option('--rtsp-probe', 'Connect to each RTSP stream (DESCRIBE, SETUP, PLAY) and report the codec, resolution, frame rate and bitrate');
+args.option('--rtsp-duration <value>', 'Seconds of video to receive from each stream with --rtsp-probe. Default 5');
+args.option('--rtsp-clip', 'Save the video received by --rtsp-probe as a .h264 or .h265 file in the audit folder');
+args.option('--no-snapshot-fallback', 'Do not try the manufacturer snapshot paths or the RTSP stream when the ONVIF Snapshot URI does not give a JPEG');
+args.option('--ffmpeg <value>', 'ffmpeg program used to grab a snapshot from the RTSP stream when there is no working Snapshot URI. Default ffmpeg (from the PATH)');
+args.option('--no-image-quality', 'Do not measure the brightness, contrast and sharpness of each snapshot');
+args.option('--quality-thresholds <value>', 'Flag snapshots outside these Image Quality thresholds. '
+    + 'Default brightness=30-225,contrast=15,sharpness=20,uniform=95 (see README)');
+args.option('--ptz-snapshots', 'Move PTZ cameras to each Preset and take a snapshot, then return them to their starting position');
+args.option('--ptz-positions <value>', 'Use these absolute PTZ positions (x,y,zoom;x,y,zoom) for --ptz-snapshots instead of the Presets');
+args.option('--ptz-settle <value>', 'Time in milliseconds to wait after each PTZ move before taking the snapshot. Default 3000');
+args.option('--fix <value>', 'Filename of a JSON or YAML Fix Policy. Set the NTP Servers, Time Zone, clock and Hostname of each camera to match it (see README)');
+args.option('--dry-run', 'With --fix, read each camera\'s settings and report the changes that would be made without making them');
+args.option('--firmware-baseline <value>', 'Filename of a JSON or YAML list of the minimum approved firmware for each manufacturer and model. '
+    + 'Mark each camera compliant, outdated or unknown (see README)');
+args.option('--compare <value>', 'Folder of a previous Audit. Report cameras that moved, went missing, were added or changed');
+args.option('--compare-with <value>', 'Compare the --compare folder with this Audit folder without running a new Audit');
+args.option('--image-threshold <value>', 'Percentage difference above which a snapshot is flagged as changed by --compare. Default 20');
+args.option('--watch', 'Keep running. Audit the cameras again every --interval and report cameras that go offline or come back, '
+    + 'clocks that drift past --max-drift, serial number or firmware changes and streams that stop working. '
+    + 'Add --rtsp-probe to check the streams play, otherwise a stream only has to have a Stream URI');
+args.option('--interval <value>', 'Time between audits with --watch (eg 30s, 15m, 1h). Default 15m');
+args.option('--watch-folder <value>', 'Folder for the latest reports, the Watch State and the event log (watch_events.jsonl) with --watch. Default onvif_audit_watch');
+args.option('--webhook <value>', 'With --watch, POST each event as JSON to this http:// or https:// URL');
+args.option('--syslog <value>', 'With --watch, send each event to this Syslog server (host or host:port, UDP). Default port 514');
+args.option('-v, --verbose', 'Show the outcome and duration of each ONVIF command as it completes, and write the ONVIF XML log files like --debug-xml');
+args.option('--debug-xml', 'Write every ONVIF request and reply to camera_xml_<address>.log in the audit folder');
+args.option('--max-drift <value>', 'Flag cameras whose clock differs from this computer by more than this (eg 2s, 500ms, 1m). Default 5s');
 args.parse(process.argv);
 
 if (!args) {
@@ -44,153 +117,375 @@ if (!args) {
 
 }
 
-if (!args.filename && !args.ipaddress && !args.scan) {
-    console.log('Requires either a Filename (-f) or an IP Address/IP Range (-i) or a Scan (-s)');
+if (!args.filename && !args.ipaddress && !args.scan && !(args.compare && args.compareWith)) {
+    console.log('Requires either a Filename (-f) or an IP Address/IP Range (-i) or a Scan (-s) or two Audit folders to compare (--compare and --compare-with)');
     console.log('Use -h for details');
     process.exit(1);
 }
 
+if (args.audit && !args.scan) {
+    console.log('--audit is used with --scan to audit the discovered devices');
+    process.exit(1);
+}
+
+if (args.scanUnicast && !(args.scan && args.ipaddress)) {
+    console.log('--scan-unicast is used with --scan and an IP Address/IP Range (-i) to send the Probes to');
+    process.exit(1);
+}
+
+if (args.scanTimeout) SCAN_TIMEOUT = parseInt(args.scanTimeout);
+if (args.scanRepeat) SCAN_REPEAT = parseInt(args.scanRepeat);
+if (isNaN(SCAN_TIMEOUT) || SCAN_TIMEOUT < 0 || isNaN(SCAN_REPEAT) || SCAN_REPEAT < 1) {
+    console.log('Scan Timeout should be a number of milliseconds and Scan Repeat should be a number of 1 or more');
+    process.exit(1);
+}
+
+let scan_address = null;
+if (args.scanInterface) {
+    scan_address = discovery.interface_address(args.scanInterface);
+    if (!scan_address) {
+        console.log('Scan Interface ' + args.scanInterface + ' has no IPv4 address. Use an interface name (eg eth0) or a local IP address');
+        process.exit(1);
+    }
+}
+
+if (args.concurrency) CONCURRENCY = parseInt(args.concurrency);
+if (isNaN(CONCURRENCY) || CONCURRENCY < 1) {
+    console.log('Concurrency should be a number of 1 or more');
+    process.exit(1);
+}
+
+if (args.precheckPorts) PRECHECK_PORTS = args.precheckPorts.split(',').map(item => parseInt(item));
+if (args.precheckTimeout) PRECHECK_TIMEOUT = parseInt(args.precheckTimeout);
+if (PRECHECK_PORTS.some(item => isNaN(item)) || isNaN(PRECHECK_TIMEOUT)) {
+    console.log('Precheck Ports should be a list of numbers (eg 554,443) and Precheck Timeout should be a number');
+    process.exit(1);
+}
+
+if (args.maxDrift) MAX_DRIFT = args.maxDrift;
+const max_drift_ms = time_check.parse_duration(MAX_DRIFT);
+if (isNaN(max_drift_ms)) {
+    console.log('Max Drift format incorrect. Should be a number with optional units eg 2s, 500ms, 1m');
+    process.exit(1);
+}
+
+if (args.rtspDuration) RTSP_DURATION = parseFloat(args.rtspDuration);
+if (isNaN(RTSP_DURATION) || RTSP_DURATION <= 0) {
+    console.log('RTSP Duration should be a number of seconds');
+    process.exit(1);
+}
+
+if (args.profilePolicy) {
+    try {
+        PROFILE_POLICY = profile_policy.parse_policy(args.profilePolicy);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+}
+
+if (args.qualityThresholds) {
+    try {
+        QUALITY_THRESHOLDS = image_quality.parse_thresholds(args.qualityThresholds);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+}
+
+if (args.ptzSettle) PTZ_SETTLE = parseInt(args.ptzSettle);
+if (isNaN(PTZ_SETTLE) || PTZ_SETTLE < 0) {
+    console.log('PTZ Settle time should be a number of milliseconds');
+    process.exit(1);
+}
+if (args.ptzPositions) {
+    try {
+        PTZ_POSITIONS = ptz_inventory.parse_positions(args.ptzPositions);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+}
+
+if (args.dryRun && !args.fix) {
+    console.log('--dry-run needs a Fix Policy (--fix)');
+    process.exit(1);
+}
+if (args.fix) {
+    try {
+        FIX_POLICY = remediation.load_policy(args.fix);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+}
+
+if (args.firmwareBaseline) {
+    try {
+        FIRMWARE_BASELINE = firmware_baseline.load_baseline(args.firmwareBaseline);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+}
+
+let watch_interval_ms = null;
+let webhook_url = null;
+let syslog_target = null;
+if ((args.interval || args.watchFolder || args.webhook || args.syslog) && !args.watch) {
+    console.log('--interval, --watch-folder, --webhook and --syslog are used with --watch');
+    process.exit(1);
+}
+if (args.watch) {
+    if (args.scan || args.compare || args.compareWith) {
+        console.log('--watch audits the cameras from -i or -f. It cannot be used with --scan or --compare');
+        process.exit(1);
+    }
+    if (args.interval) WATCH_INTERVAL = args.interval;
+    watch_interval_ms = time_check.parse_duration(WATCH_INTERVAL);
+    if (isNaN(watch_interval_ms) || watch_interval_ms <= 0) {
+        console.log('Interval format incorrect. Should be a number with optional units eg 30s, 15m, 1h');
+        process.exit(1);
+    }
+    if (args.watchFolder) WATCH_FOLDER = args.watchFolder;
+    try {
+        if (args.webhook) webhook_url = notify.parse_webhook(args.webhook);
+        if (args.syslog) syslog_target = notify.parse_syslog(args.syslog);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+}
+
+const image_threshold = (args.imageThreshold ? parseFloat(args.imageThreshold) : 20);
+if (isNaN(image_threshold)) {
+    console.log('Image Threshold should be a percentage eg 20');
+    process.exit(1);
+}
+
+// Settings for the Audit Engine (see lib/audit.js)
+const audit_options = {
+    concurrency: CONCURRENCY,
+    cameraTimeout: CAMERA_TIMEOUT,
+    precheck: args.precheck,
+    precheckPorts: PRECHECK_PORTS,
+    precheckTimeout: PRECHECK_TIMEOUT,
+    portScan: Boolean(args.portScan),
+    securityChecks: args.securityChecks,
+    inventory: args.inventory,
+    maxDrift: MAX_DRIFT,
+    profilePolicy: PROFILE_POLICY,
+    rtspProbe: Boolean(args.rtspProbe),
+    rtspDuration: RTSP_DURATION,
+    rtspClip: Boolean(args.rtspClip),
+    snapshotFallback: args.snapshotFallback,
+    ffmpeg: (args.ffmpeg ? args.ffmpeg : 'ffmpeg'),
+    imageQuality: args.imageQuality,
+    qualityThresholds: QUALITY_THRESHOLDS,
+    ptzSnapshots: Boolean(args.ptzSnapshots),
+    ptzPositions: PTZ_POSITIONS,
+    ptzSettle: PTZ_SETTLE,
+    fix: FIX_POLICY,
+    dryRun: Boolean(args.dryRun),
+    firmwareBaseline: FIRMWARE_BASELINE,
+    verbose: Boolean(args.verbose),
+    debugXml: Boolean(args.verbose || args.debugXml)
+};
+
+// Camera records from the previous Audit, used by --compare
+let previous_records = null;
+if (args.compare) {
+    try {
+        previous_records = audit_compare.load_audit(args.compare);
+    } catch (err) {
+        console.log('Unable to read the previous Audit in ' + args.compare + '. ' + err.message);
+        process.exit(1);
+    }
+}
+
 let time_now = dateTime.create();
-let folder = 'onvif_audit_report_' + time_now.format('Y_m_d_H_M_S');
 
-try {
-    fs.mkdirSync(folder);
-} catch (e) {
-    console.log('Unable to create log folder')
-    process.exit(1)
+// Compare two existing Audit folders. No new Audit is run
+const compare_only = Boolean(args.compare && args.compareWith && !args.filename && !args.ipaddress && !args.scan);
+if (compare_only) {
+    let current_records;
+    try {
+        current_records = audit_compare.load_audit(args.compareWith);
+    } catch (err) {
+        console.log('Unable to read the Audit in ' + args.compareWith + '. ' + err.message);
+        process.exit(1);
+    }
+    const comparison = audit_compare.compare_audits(args.compare, previous_records, args.compareWith, current_records, { imageThreshold: image_threshold });
+    // The two Audits are left as they were. The comparison is written to a folder of its own
+    const compare_folder = 'onvif_audit_compare_' + time_now.format('Y_m_d_H_M_S');
+    try {
+        fs.mkdirSync(compare_folder);
+    } catch (err) {
+        console.log('Unable to create the folder ' + compare_folder + '. ' + err.message);
+        process.exit(1);
+    }
+    try {
+        audit_compare.write_comparison(compare_folder, comparison);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+    audit_compare.format_comparison(comparison).forEach(line => console.log(line));
+    console.log('Comparison written to ' + compare_folder);
+}
+
+let folder = (args.watch ? WATCH_FOLDER : 'onvif_audit_report_' + time_now.format('Y_m_d_H_M_S'));
+
+// Extra Usernames and Passwords tried on every device after the ones given with -u/-p or in the Config File
+let extra_credentials = [];
+if (args.credentials) {
+    try {
+        extra_credentials = credential_list.load_credentials_file(args.credentials);
+    } catch (err) {
+        console.log('Unable to read the Credentials file ' + args.credentials + '. ' + err.message);
+        process.exit(1);
+    }
 }
+if (args.tryDefaults) {
+    extra_credentials = extra_credentials.concat(credential_list.DEFAULT_CREDENTIALS.map(function (item) {
+        return { username: item.username, password: item.password, source: 'default' };
+    }));
+}
+
+// List of every address to audit, each with its own Port, Username and Password
+let targets = [];
 
+// Addresses sent a unicast WS-Discovery Probe with --scan-unicast. These are not audited unless they reply
+let unicast_addresses = null;
 
-if (args.ipaddress) {
+if (args.ipaddress && args.scanUnicast) {
+    const expanded = address_list.expand_ip_addresses(args.ipaddress);
+    expanded.errors.forEach(item => console.log('Invalid address ' + item.item + '. ' + item.message));
+    unicast_addresses = expanded.addresses;
+} else if (args.ipaddress) {
     // Connection Details and IP Address supplied in the Command Line
     IPADDRESS = args.ipaddress;
     if (args.port) PORT = args.port;
-    if (args.username) USERNAME = args.username;
-    if (args.password) PASSWORD = args.password;
-
+    if (args.https) HTTPS = true;
 
-    // Perform an Audit of all the cameras in the IP address Range
-    perform_audit(IPADDRESS, PORT, USERNAME, PASSWORD, folder);
+    targets = targets.concat(audit_engine.build_targets(IPADDRESS, PORT, command_line_credentials().concat(extra_credentials), HTTPS));
 }
 
 if (args.filename) {
-    // Connection details supplied in a .JSON file
-    let contents = fs.readFileSync(args.filename);
-    let file = JSON.parse(contents);
-
-    if (file.cameralist && file.cameralist.length > 0) {
-        // process each item in the camera list
-        //Note - forEach is asynchronous - you don't know when it has completed
-        file.cameralist.forEach(function (item) {
-            // check IP range start and end
-            if (item.ipaddress) IPADDRESS = item.ipaddress;
-            if (item.port) PORT = item.port;
-            if (item.username) USERNAME = item.username;
-            if (item.password) PASSWORD = item.password;
-
-            perform_audit(IPADDRESS, PORT, USERNAME, PASSWORD, folder);
-        }
-        );
+    // Connection details supplied in a JSON or YAML Config File
+    // -u, -p, -P and --https are used for entries that do not set them and have no defaults in the file
+    let cli_defaults = {};
+    if (args.username.length > 0) cli_defaults.username = args.username[0];
+    if (args.password.length > 0) cli_defaults.password = args.password[0];
+    if (args.port) cli_defaults.port = args.port;
+    if (args.https) cli_defaults.https = true;
+
+    let entries;
+    try {
+        entries = config_file.load_config(args.filename, cli_defaults);
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
     }
-}
 
-if (args.scan) {
-    console.log("Probing for 5 seconds");
+    entries.forEach(function (entry) {
+        let credentials = [{ username: entry.username, password: entry.password, source: 'config file' }];
+        let entry_targets = audit_engine.build_targets(entry.ipaddress, entry.port, credentials.concat(extra_credentials), entry.https);
+        if (entry.site || entry.location || entry.comment) {
+            entry_targets.forEach(function (target) {
+                target.label = { site: entry.site, group: entry.group, location: entry.location, comment: entry.comment };
+            });
+        }
+        targets = targets.concat(entry_targets);
+    });
+}
 
-    let scanResults = [];
+// Addresses that could not be understood are listed now, and reported with the failed addresses at the end
+targets.filter(target => target.error).forEach(target => console.log(target.error + ' (' + target.ip + ')'));
+
+// The folder is created once the Config File and Credentials have been read, so mistakes in them do not leave an empty folder
+// With --watch the same folder is used for every audit, and the last known state of each camera is read from it
+if (!compare_only) {
+    try {
+        fs.mkdirSync(folder, { recursive: Boolean(args.watch) });
+    } catch (e) {
+        console.log('Unable to create log folder')
+        process.exit(1)
+    }
+}
 
-    // set up an event handler which is called for each device discovered
-    onvif.Discovery.on('device', function (cam, rinfo, xml) {
-        // function will be called as soon as the NVT responses
+let watch_state = null;
+let watch_started = null;
+if (args.watch) {
+    try {
+        watch_state = watch.load_state(folder + path.sep + 'watch_state.json');
+    } catch (err) {
+        console.log(err.message);
+        process.exit(1);
+    }
+    console.log('Watching ' + targets.length + ' address(es) every ' + WATCH_INTERVAL + '. Events are written to '
+        + folder + path.sep + 'watch_events.jsonl' + (webhook_url ? ', ' + webhook_url.href : '') + (syslog_target ? ', syslog ' + args.syslog : ''));
+}
 
-        /* Filter out xml name spaces */
-        xml = xml.replace(/xmlns([^=]*?)=(".*?")/g, '');
+if (!args.scan && (args.ipaddress || args.filename)) {
+    // Perform an Audit of all the cameras in the IP address Ranges
+    watch_started = Date.now();
+    perform_audit(targets, (args.watch ? watch_complete : audit_complete));
+}
 
-        let parser = new xml2js.Parser({
-            attrkey: 'attr',
-            charkey: 'payload',                // this ensures the payload is called .payload regardless of whether the XML Tags have Attributes or not
-            explicitCharkey: true,
-            tagNameProcessors: [stripPrefix]   // strip namespace eg tt:Data -> Data
-        });
-        parser.parseString(xml,
-            function (err, result) {
-                if (err) return;
-
-                // By default xml2js will return different json structures depending on whether there are 'attributes' in the XML
-                // For example <MyTag value="123">HELLO</MyTag> will return value=123 as the '$ field and HELLO as the '_' field
-                // For example <MyTag>HELLO</MyTag> does not use the '$' or '_' fields.
-                // To make things easier to handle, we use parser options to place the data we want in a 'payload' field
-
-                let urn = result['Envelope']['Body'][0]['ProbeMatches'][0]['ProbeMatch'][0]['EndpointReference'][0]['Address'][0].payload.trim();
-                let xaddrs = result['Envelope']['Body'][0]['ProbeMatches'][0]['ProbeMatch'][0]['XAddrs'][0].payload.trim(); // Axis add whitespace on end. Remove it.
-                let scopes = result['Envelope']['Body'][0]['ProbeMatches'][0]['ProbeMatch'][0]['Scopes'][0].payload.trim(); // Axis add whitespace on end. Remove it.
-                scopes = scopes.split(" ");
-
-                let hardware = "";
-                let name = "";
-                for (let i = 0; i < scopes.length; i++) {
-                    // use decodeUri to conver %20 to ' '
-                    if (scopes[i].includes('onvif://www.onvif.org/name')) name = decodeURI(scopes[i].substring(27));
-                    if (scopes[i].includes('onvif://www.onvif.org/hardware')) hardware = decodeURI(scopes[i].substring(31));
-                }
+if (args.scan) {
+    console.log('Probing ' + (unicast_addresses ? unicast_addresses.length + ' address(es)' : 'the local subnet')
+        + (scan_address ? ' from ' + scan_address : '') + ' for ' + (SCAN_TIMEOUT / 1000) + ' seconds');
 
-                process.stdout.write(".");
-
-                const newItem = {
-                    rinfo,
-                    name,
-                    hardware,
-                    xaddrs,
-                    urn,
-                    scopes
-                };
-		scanResults.push(newItem);
-            }
-        );
+    let scanResults = [];
 
-    })
-    onvif.Discovery.on('error', function (err) {
-        // ignore discovery errors
-    })
+    // called for each device discovered
+    const on_device = function (match, rinfo) {
+        // Name, Hardware, Location and Profile from the scopes
+        const scope_info = discovery.parse_scopes(match.scopes);
+        const hardware = scope_info.hardware || '';
+        const name = scope_info.name || '';
+
+        process.stdout.write(".");
+
+        const newItem = {
+            rinfo,
+            name,
+            hardware,
+            xaddrs: match.xaddrs,
+            urn: match.urn,
+            scopes: match.scopes,
+            scope_info
+        };
+        scanResults.push(newItem);
+    };
 
     // start the probe
-    // resolve=false  means Do not create Cam objects
-    onvif.Discovery.probe({ resolve: false }, function() {
+    discovery.probe({
+        timeout: SCAN_TIMEOUT,
+        address: scan_address,
+        repeat: SCAN_REPEAT,
+        unicast: unicast_addresses
+    }, on_device, function (err) {
         // completion callback
         process.stdout.write("\n");
+        if (err) console.log('Discovery error. ' + (err.message || err));
 
         // sort the Scan Results by IP Address
-        scanResults.sort((a,b) => { 
-            // Check we are matching IPv4 against IPv6. If so sort IPv4 first
-            if (a.rinfo.family < b.rinfo.family)
-                return -1;
-            else if (a.rinfo.family > b.rinfo.family)
-                return 1;
-            else {
-                // A and B are both the same "family" (IPv4 or IPv6)
-
-                if (a.rinfo.family == 'IPv4') {
-                    // IPv4 - sort numerically
-                    return toLong(a.rinfo.address) - toLong(b.rinfo.address);
-                }
-                else if (a.rinfo.family == 'IPv6') {
-                    // IPv6 - sort by String. Could be improved
-                    if (a.rinfo.address < b.rinfo.address) return -1;
-                    else if (a.rinfo.address > b.rinfo.address) return 1;
-                    else return 0;
-                }
-                else {
-                    // Unknown IP family
-                    return 0;
-                }
-            }
-        });
+        // IPv4 first (sorted numerically), then IPv6
+        scanResults.sort((a, b) => address_list.compare_hosts(a.rinfo.address, b.rinfo.address));
 
         for(const item of scanResults) {
             let msg = item.rinfo.address + ' (' + item.name + ') (' + item.hardware + ') (' + item.xaddrs + ') (' + item.urn + ')';
             console.log(msg);
         }
         console.log("Total " + scanResults.length);
+
+        // With --audit, the discovered devices are audited along with any from -i or -f
+        if (args.audit) targets = targets.concat(discovery_targets(scanResults, targets));
+        if (args.audit || args.ipaddress || args.filename) {
+            perform_audit(targets, audit_complete);
+        }
     });
 
 }
@@ -199,473 +494,254 @@ if (args.scan) {
 // program ends here (just functions below)
 
 
-function perform_audit(ip_addresses, port, username, password, folder) {
-
-    let ip_list = [];
+// Called when perform_audit() has finished. Writes the summary files and prints the summary
+function audit_complete(audit_results, summary) {
+    // Changes since the previous Audit
+    let comparison = null;
+    if (previous_records) {
+        comparison = audit_compare.compare_audits(args.compare, previous_records, folder, audit_results, { imageThreshold: image_threshold });
+        summary.changes = comparison.counts;
+    }
 
-    // Valid IP addresses are
-    // a) Single address 1.2.3.4
-    // b) Range 10.10.10.50-10.10.10.99
-    // c) List 1.1.1.1,2.2.2.2,3.3.3.3
-    // d) Mixture 1.2.3.4,10.10.10.50-10.10.10.99
+    // The summary is still printed if the reports could not be written
+    let write_failed = false;
+    try {
+        if (comparison) audit_compare.write_comparison(folder, comparison);
+        onvif_audit.writeReports(folder, { cameras: audit_results, summary: summary }, {
+            title: 'ONVIF Audit ' + time_now.format('Y-m-d H:M:S'),
+            comparison: comparison
+        });
+    } catch (err) {
+        console.log(err.message);
+        write_failed = true;
+    }
 
-    ip_addresses = ip_addresses.split(',');
-    for (let i = 0; i < ip_addresses.length; i++) {
-        let item = ip_addresses[i];
-        if (item.includes('-')) {
-            // item contains '-'. Split on the '-'
-            let split_str = item.split('-');
-            if (split_str.length != 2) {
-                console.log('IP address format incorrect. Should by x.x.x.x-y.y.y.y');
-                process.exit(1);
-            }
-            let ip_start = split_str[0];
-            let ip_end = split_str[1];
+    if (summary.notListening > 0) {
+        console.log('Addresses with nothing listening: ' + summary.notListening + ' (skipped)');
+    }
 
-            let tmp_list = generate_range(ip_start, ip_end);
+    // Summary of the cameras with Clock Drift
+    const drifting = audit_results.filter(record => record.timeDriftExceeded);
+    console.log('------------------------------');
+    console.log('Time Drift above ' + MAX_DRIFT + ': ' + drifting.length + ' camera(s)');
+    for (const record of drifting) {
+        console.log('  ' + record.host + ':' + record.port + ' ' + audit_engine.format_drift(record.timeDriftSeconds));
+    }
+    console.log('------------------------------');
 
-            // Copy
-            for (let x = 0; x < tmp_list.length; x++) ip_list.push(tmp_list[x]);
+    // Summary of the cameras which accept a vendor default password (a security finding)
+    const default_passwords = audit_results.filter(record => record.credential && record.credential.defaultVendor);
+    console.log('Default Passwords in use: ' + default_passwords.length + ' camera(s)');
+    for (const record of default_passwords) {
+        console.log('  ' + record.host + ':' + record.port + ' ' + audit_engine.format_credential(record.credential));
+    }
+    const no_credential = audit_results.filter(record => record.credential && record.credential.status === 'none');
+    if (no_credential.length > 0) {
+        console.log('No working Username and Password: ' + no_credential.length + ' camera(s)');
+        for (const record of no_credential) {
+            console.log('  ' + record.host + ':' + record.port);
         }
-        else {
-            // item does not include a '-' symbol
-            ip_list.push(item);
+    }
+    console.log('------------------------------');
+
+    // Site wide count of the Security Findings
+    if (summary.findings) {
+        const with_findings = audit_results.filter(record => record.security && record.security.findings.length > 0);
+        console.log('Security Findings: ' + audit_engine.format_finding_counts(summary.findings) + ' on ' + with_findings.length + ' camera(s)');
+        for (const record of with_findings) {
+            console.log('  ' + record.host + ':' + record.port + ' ' + audit_engine.format_finding_counts(record.security.counts));
         }
+        console.log('------------------------------');
     }
 
+    // Summary of the changes made (or planned with --dry-run) by --fix
+    if (summary.fix) {
+        console.log((summary.fix.dryRun ? 'Fix (dry run): ' + summary.fix.planned + ' camera(s) to change'
+            : 'Fix: ' + summary.fix.ok + ' camera(s) changed') + ', ' + summary.fix.failed + ' failed, ' + summary.fix.unchanged + ' already correct');
+        for (const record of audit_results) {
+            if (!record.fix || record.fix.status === 'unchanged') continue;
+            console.log('  ' + record.host + ':' + record.port + ' ' + record.fix.status);
+            for (const change of record.fix.changes) console.log('    ' + remediation.format_change(change));
+        }
+        console.log('------------------------------');
+    }
 
-    // console.log('Scanning ' + ip_list.length + ' addresses from ' + ip_list[0] + ' to ' + ip_list[ip_list.length-1]);
+    // Number of cameras of each model that need a firmware upgrade
+    if (summary.firmware) {
+        console.log('Firmware: ' + summary.firmware.compliant + ' compliant, ' + summary.firmware.outdated + ' outdated, '
+            + summary.firmware.unknown + ' unknown');
+        for (const model of summary.firmware.models) console.log('  ' + firmware_baseline.format_model(model));
+        for (const record of audit_results) {
+            if (record.firmware && record.firmware.status === 'outdated') {
+                console.log('  Upgrade ' + record.host + ':' + record.port + ' ' + record.deviceInformation.model
+                    + ' from ' + record.deviceInformation.firmwareVersion + ' to ' + record.firmware.minimumFirmware);
+            }
+        }
+        console.log('------------------------------');
+    }
 
+    // Summary of the snapshots flagged by the Image Quality checks
+    if (summary.imageQuality) {
+        console.log('Image Quality: ' + summary.imageQuality.flagged + ' of ' + summary.imageQuality.measured + ' snapshot(s) flagged');
+        for (const record of audit_results) {
+            record.videoSources.forEach(function (source, src_idx) {
+                if (source.quality && source.quality.flags.length > 0) {
+                    console.log('  ' + record.host + ':' + record.port + ' Video Source ' + (src_idx + 1) + ' ' + source.quality.flags.join(', '));
+                }
+            });
+        }
+        console.log('------------------------------');
+    }
 
-    // hide error messages
-    console.error = function () { };
+    // Summary of the RTSP streams that did not play
+    if (args.rtspProbe) {
+        let rtsp_failed = [];
+        for (const record of audit_results) {
+            record.videoSources.forEach(function (source, src_idx) {
+                if (source.rtsp && source.rtsp.status !== 'ok') {
+                    rtsp_failed.push(record.host + ':' + record.port + ' Video Source ' + (src_idx + 1) + ' ' + source.rtsp.error);
+                }
+            });
+        }
+        console.log('RTSP Streams that failed: ' + rtsp_failed.length);
+        for (const line of rtsp_failed) console.log('  ' + line);
+        console.log('------------------------------');
+    }
 
-    // try each IP address and each Port
-    ip_list.forEach(function (ip_entry) {
+    if (comparison) {
+        audit_compare.format_comparison(comparison).forEach(line => console.log(line));
+        console.log('------------------------------');
+    }
 
-        // workaround the ONVIF Library API
-        // Cam() with a username and password tries to connect (and genertes a callback error)
-        // and then it tries to call some SOAP methods which fails (and it generates a callback error)
-        let shown_error = false;
+    // Non-zero exit code if the reports could not be written or any camera could not be audited
+    const failed = audit_results.filter(record => record.error);
+    if (write_failed) process.exitCode = 1;
+    else if (failed.length > 0) process.exitCode = 2;
+}
 
-        console.log("Connecting to " + ip_entry + ':' + port);
+// Called when each audit with --watch has finished. Reports what changed since the last audit, saves the
+// state and the events, sends the events to the Webhook and Syslog server and starts the next audit --interval after this one started
+function watch_complete(audit_results, summary) {
+    const now = new Date();
+    try {
+        onvif_audit.writeReports(folder, { cameras: audit_results, summary: summary }, {
+            title: 'ONVIF Watch ' + dateTime.create(now).format('Y-m-d H:M:S')
+        });
+    } catch (err) {
+        console.log(err.message);
+    }
 
-        const c = new Cam({
-            hostname: ip_entry,
-            username: username,
-            password: password,
-            port: port,
-            timeout: 5000
-        }, function CamFunc(err) {
-            if (err) {
-                if (shown_error == false) {
-                    console.log('------------------------------');
-                    console.log("Cannot connect to " + ip_entry + ":" + port);
-                    // cut the error at \n
-                    if (err.message) console.log(err.message);
-                    else console.log(err);
-                    console.log('------------------------------');
-                    shown_error = true;
-                }
-                return;
-            }
+    const result = watch.detect_events(watch_state, audit_results, now);
+    watch_state = result.state;
+    try {
+        watch.save_state(folder + path.sep + 'watch_state.json', watch_state);
+        notify.append_events(folder + path.sep + 'watch_events.jsonl', result.events);
+    } catch (err) {
+        console.log('Unable to save the Watch State and events. ' + err.message);
+    }
 
-            let cam_obj = this;
-
-            let got_date;
-            let got_info;
-            let got_videosources = [];
-            let got_profiles = [];
-            let bestProfile = []; // The preferred Profile indexed by Video Source.
-            let got_snapshots = []; // JPEG Imag URLs, indexed by Video Source
-            let got_livestreams = []; // RTSP URLs, indexed by Video Source
-
-            // Use Nimble to execute each ONVIF function in turn
-            // This is used so we can wait on all ONVIF replies before
-            // writing to the console
-            flow.series([
-                function (nimble_callback) {
-                    cam_obj.getSystemDateAndTime(function (err, date) {
-                        if (!err) got_date = date;
-                        nimble_callback();
-                    });
-                },
-                function (nimble_callback) {
-                    cam_obj.getDeviceInformation(function (err, info) {
-                        if (!err) got_info = info;
-                        nimble_callback();
-                    });
-                },
-                function (nimble_callback) {
-                    try {
-                        cam_obj.getVideoSources(function (err, videoSources) {
-                            if (!err) {
-                                got_videosources = videoSources;
-
-                                for (let i = 0; i < got_videosources.length; i++) {
-                                    // create empty placeholders
-                                    bestProfile.push({});
-                                    got_snapshots.push({videoSourceToken: null, uri: null});
-                                    got_livestreams.push({tcp: null, udp: null, http: null, multicast: null});
-                                }
-                            }
-                            nimble_callback();
-                        });
-                    } catch {
-                        nimble_callback();
-                    }
-                },
-                function (nimble_callback) {
-                    try {
-                        cam_obj.getProfiles(function (err, profiles) {
-                            if (!err) got_profiles = profiles;
-                            nimble_callback();
-                        });
-                    } catch {
-                        nimble_callback();
-                    }
-                },
-                function (nimble_callback) {
-                    // Compare VideoSources with Profiles.
-                    // Get the 'best' ONVIF Profile Token for each Video Source
-                    for (let src_idx = 0; src_idx < got_videosources.length; src_idx++) {
-                        const videoSource = got_videosources[src_idx];
-
-                        // Get the 'best' profile for this videoSource token
-                        // For most cameras we just find the first Profile which has the Video Source Token
-                        // but Hanwha emit the JPEG Profile first, then H264, then H265. So we have to find the 'best' Profile ourselves.
-                        // The Best one is the first H265, otherwise the first H264, otherwise the first MPEG4 otherwise the first JPEG stream
-                        let firstH265 = got_profiles.findIndex(item => 
-                            item.videoSourceConfiguration && item.videoEncoderConfiguration
-                            && item.videoSourceConfiguration.sourceToken == videoSource.$.token
-                            && item.videoEncoderConfiguration.encoding == "H265");
-                        let firstH264 = got_profiles.findIndex(item => 
-                            item.videoSourceConfiguration && item.videoEncoderConfiguration
-                            && item.videoSourceConfiguration.sourceToken == videoSource.$.token
-                            && item.videoEncoderConfiguration.encoding == "H264");
-                        let firstMPEG4 = got_profiles.findIndex(item => 
-                            item.videoSourceConfiguration && item.videoEncoderConfiguration
-                            && item.videoSourceConfiguration.sourceToken == videoSource.$.token
-                            && item.videoEncoderConfiguration.encoding == "MPEG4");
-                        let firstJPEG = got_profiles.findIndex(item => 
-                            item.videoSourceConfiguration && item.videoEncoderConfiguration
-                            && item.videoSourceConfiguration.sourceToken == videoSource.$.token
-                            && item.videoEncoderConfiguration.encoding == "JPEG");
-                        let firstOther = got_profiles.findIndex(item => 
-                            item.videoSourceConfiguration && item.videoEncoderConfiguration
-                            && item.videoSourceConfiguration.sourceToken == videoSource.$.token
-                            );
-
-                        if (firstH265 >= 0) bestProfile[src_idx] = got_profiles[firstH265];
-                        else if (firstH264 >= 0) bestProfile[src_idx] = got_profiles[firstH264];
-                        else if (firstMPEG4 >= 0) bestProfile[src_idx] = got_profiles[firstMPEG4];
-                        else if (firstJPEG >= 0) bestProfile[src_idx] = got_profiles[firstJPEG];
-                        else bestProfile[src_idx] = got_profiles[firstOther];
-                    }
-
-                    nimble_callback();
-                },
-                function (nimble_callback) {
-                    try {
-                        // The ONVIF device may have multiple Video Sources
-                        // eg 4 channel IP encoder or Panoramic Cameras
-                        // Grab a JPEG Image from each VideoSource
-                        // Note. The Nimble Callback is only called once all ONVIF replies have been returned
-                        const reply_max = got_videosources.length;
-                        let reply_count = 0;
-
-                        for (let src_idx = 0; src_idx < got_videosources.length; src_idx++) {
-                            const videoSource = got_videosources[src_idx];
-
-                            cam_obj.getSnapshotUri({ profileToken: bestProfile[src_idx].$.token}, (err, getUri_result) => {
-                                reply_count++;
-
-                                if (!err && getUri_result) {
-
-                                    got_snapshots[src_idx] = {videoSourceToken: videoSource.$.token, uri: getUri_result.uri};
-
-                                    const fs = require('fs');
-                                    const url = require('url');
-
-                                    let filename = "";
-                                    if (got_videosources.length === 1) {
-                                        filename = folder + path.sep + 'snapshot_' + ip_entry + '.jpg';
-                                    } else {
-                                        // add _1, _2, _3 etc for cameras with multiple VideoSources
-                                        filename = folder + path.sep + 'snapshot_' + ip_entry + '_' + (src_idx + 1) + '.jpg';
-                                    }
-                                    let uri = url.parse(getUri_result.uri);
-
-                                    // handle the case where the camera is behind NAT
-                                    // ONVIF Standard now says use XAddr for camera
-                                    // and ignore the IP address in the Snapshot URI
-                                    uri.host = ip_entry;
-                                    uri.username = username;
-                                    uri.password = password;
-                                    if (!uri.port) uri.port = 80;
-
-                                    let digestRequest = require('request-digest')(username, password);
-                                    digestRequest.request({
-                                        host: 'http://' + uri.host,
-                                        path: uri.path,
-                                        port: uri.port,
-                                        encoding: null, // return data as a Buffer()
-                                        method: 'GET'
-                                        //                             headers: {
-                                        //                               'Custom-Header': 'OneValue',
-                                        //                               'Other-Custom-Header': 'OtherValue'
-                                        //                             }
-                                    }, function (error, response, body) {
-                                        if (error) {
-                                            // console.log('Error downloading snapshot');
-                                            // throw error;
-                                        } else {
-
-                                            fs.open(filename, 'w', function (err) {
-                                                // callback for file opened, or file open error
-                                                if (err) {
-                                                    console.log('ERROR - cannot create output log file');
-                                                    console.log(err);
-                                                    console.log('');
-                                                    process.exit(1);
-                                                }
-                                                fs.appendFile(filename, body, function (err) {
-                                                    if (err) {
-                                                        console.log('Error writing to file');
-                                                    }
-                                                });
-
-                                            });
-                                        }
-                                    });
-                                }
-
-                                if (reply_count === reply_max) nimble_callback(); // let 'flow' move on. JPEG GET is still async
-                            });
-                        } // end for
-                    } catch (err) { nimble_callback(); }
-                },
-                function (nimble_callback) {
-                    const reply_max = got_videosources.length * 4; // x4 for TCP, UDP, HTTP and MULTICAST URLs
-                    let reply_count = 0;
-                    for (let src_idx = 0; src_idx < got_videosources.length; src_idx++) {
-                        const profileToken = bestProfile[src_idx].$.token;
-
-                        flow.series([
-                            function (inner_nimble_callback) {
-                                try {
-                                    cam_obj.getStreamUri({
-                                        protocol: 'RTSP',
-                                        stream: 'RTP-Unicast',
-                                        profileToken: profileToken
-                                    }, function (err, stream) {
-                                        if (!err) got_livestreams[src_idx].tcp = stream.uri;
-                                        reply_count++;
-                                        inner_nimble_callback();
-                                        if (reply_count == reply_max) nimble_callback();
-                                    });
-                                } catch (err) { 
-                                    inner_nimble_callback();
-                                    reply_count++;
-                                    if (reply_count == reply_max) nimble_callback();
-                                }
-                            },
-                            function (inner_nimble_callback) {
-                                try {
-                                    cam_obj.getStreamUri({
-                                        protocol: 'UDP',
-                                        stream: 'RTP-Unicast',
-                                        profileToken: profileToken
-                                    }, function (err, stream) {
-                                        if (!err) got_livestreams[src_idx].udp = stream.uri;
-                                        reply_count++;
-                                        inner_nimble_callback();
-                                        if (reply_count == reply_max) nimble_callback();
-                                    });
-                                } catch (err) {
-                                    reply_count++;
-                                    inner_nimble_callback();
-                                    if (reply_count == reply_max) nimble_callback();
-                                }
-                            },
-                            function (inner_nimble_callback) {
-                                try {
-                                    cam_obj.getStreamUri({
-                                        protocol: 'HTTP',
-                                        stream: 'RTP-Unicast',
-                                        profileToken: profileToken
-                                    }, function (err, stream) {
-                                        if (!err) got_livestreams[src_idx].http = stream.uri;
-                                        reply_count++;
-                                        inner_nimble_callback();
-                                        if (reply_count == reply_max) nimble_callback();
-                                    });
-                                } catch (err) {
-                                    reply_count++;
-                                    inner_nimble_callback();
-                                    if (reply_count == reply_max) nimble_callback();
-                                }
-                            },
-                            function (inner_nimble_callback) {
-                                /* Multicast is optional in Profile S, Mandatory in Profile T but could be disabled */
-                                try {
-                                    cam_obj.getStreamUri({
-                                        protocol: 'UDP',
-                                        stream: 'RTP-Multicast',
-                                        profileToken: profileToken
-                                    }, function (err, stream, xml) {
-                                        if (!err) got_livestreams[src_idx].multicast = stream.uri;
-                                        reply_count++;
-                                        inner_nimble_callback();
-                                        if (reply_count == reply_max) nimble_callback();
-                                    });
-                                } catch (err) {
-                                    reply_count++;
-                                    inner_nimble_callback();
-                                    if (reply_count == reply_max) nimble_callback();
-                                }
-                            }
-                        ]); // end of inner flow
-                    } // end for loop
-                    
-                    // Note nimble_callback(); is called when all work is done
-                },
-                function (nimble_callback) {
-                    console.log('------------------------------');
-                    console.log('Host: ' + ip_entry + ' Port: ' + port);
-                    console.log('Date: = ' + got_date);
-                    console.log('Info: = ' + JSON.stringify(got_info));
-                    for (let i = 0; i < got_videosources.length; i++) {
-                        let msg = "Video Source " + (i+1) + ' [' + got_videosources[i].$.token + '] [' + bestProfile[i].videoEncoderConfiguration.encoding + ' '
-                        + bestProfile[i].videoEncoderConfiguration.resolution.width + 'x' + bestProfile[i].videoEncoderConfiguration.resolution.height + ']';
-
-                        console.log(msg);
-
-                        if (got_snapshots[i].uri != null) {
-                            console.log('Snapshot URI: =          ' + got_snapshots[i].uri);
-                        }
-                        if (got_livestreams[i].tcp != null) {
-                            console.log('Live TCP Stream: =       ' + got_livestreams[i].tcp);
-                        }
-                        if (got_livestreams[i].udp != null) {
-                            console.log('Live UDP Stream: =       ' + got_livestreams[i].udp);
-                        }
-                        if (got_livestreams[i].http != null) {
-                            console.log('Live HTTP Stream: =      ' + got_livestreams[i].http);
-                        }
-                        if (got_livestreams[i].multicast != null) {
-                            console.log('Live Multicast Stream: = ' + got_livestreams[i].multicast);
-                        }
-                        console.log('------------------------------');
-                    }
-
-                    let log_filename = folder + path.sep + 'camera_report_' + ip_entry + '.txt';
-                    let log_fd;
-
-                    fs.open(log_filename, 'w', function (err, fd) {
-                        if (err) {
-                            console.log('ERROR - cannot create output file ' + log_filename);
-                            console.log(err);
-                            console.log('');
-                            process.exit(1);
-                        }
-                        log_fd = fd;
-                        //console.log('Log File Open (' + log_filename + ')');
-
-                        // write to log file in the Open callback
-                        let msg = 'Host:= ' + ip_entry + ' Port:= ' + port + '\r\n';
-                        if (got_date) {
-                            msg += 'Date:= ' + got_date + '\r\n';
-                        } else {
-                            msg += 'Date:= unknown\r\n';
-                        }
-                        if (got_info) {
-                            msg += 'Manufacturer:= ' + got_info.manufacturer + '\r\n';
-                            msg += 'Model:= ' + got_info.model + '\r\n';
-                            msg += 'Firmware Version:= ' + got_info.firmwareVersion + '\r\n';
-                            msg += 'Serial Number:= ' + got_info.serialNumber + '\r\n';
-                            msg += 'Hardware ID:= ' + got_info.hardwareId + '\r\n';
-                        } else {
-                            msg += 'Manufacturer:= unknown\r\n';
-                            msg += 'Model:= unknown\r\n';
-                            msg += 'Firmware Version:= unknown\r\n';
-                            msg += 'Serial Number:= unknown\r\n';
-                            msg += 'Hardware ID:= unknown\r\n';
-                        }
-                        for (let i = 0; i < got_videosources.length; i++) {
-                            msg += "Video Source " + (i+1) + ' [' + got_videosources[i].$.token + '] [' + bestProfile[i].videoEncoderConfiguration.encoding + ' '
-                            + bestProfile[i].videoEncoderConfiguration.resolution.width + 'x' + bestProfile[i].videoEncoderConfiguration.resolution.height + ']\r\n';
-
-                            if (got_snapshots[i].uri != null) {
-                                msg += 'Snapshot URL: =          ' + got_snapshots[i].uri + '\r\n';
-                            }
-
-                            if (got_livestreams[i].tcp != null) {
-                                msg += 'Live TCP Stream: =       ' + got_livestreams[i].tcp + '\r\n';
-                            }
-                            if (got_livestreams[i].udp != null) {
-                                msg += 'Live UDP Stream: =       ' + got_livestreams[i].udp + '\r\n';
-                            }
-                            if (got_livestreams[i].http != null) {
-                                msg += 'Live HTTP Stream: =      ' + got_livestreams[i].http + '\r\n';
-                            }
-                            if (got_livestreams[i].multicast != null) {
-                                msg += 'Live Multicast Stream: = ' + got_livestreams[i].multicast + '\r\n';
-                            }
-                        }
-                        fs.write(log_fd, msg, function (err) {
-                            if (err)
-                                console.log('Error writing to file');
-                        });
-
-                    });
-
-
-
-
-                    nimble_callback();
-                },
-
-            ]); // end flow
+    console.log('------------------------------');
+    console.log(dateTime.create(now).format('Y-m-d H:M:S') + ' Responding ' + summary.responding + '  Failed ' + summary.failed
+        + '  Not Listening ' + summary.notListening + '  Events ' + result.events.length);
+    for (const event of result.events) console.log('  ' + watch.format_event(event));
 
-        });
+    notify.send_events(result.events, webhook_url, syslog_target, function (errors) {
+        for (const error of errors) console.log('  ' + error);
+        schedule_next_audit();
+    });
+}
 
-        // Log ONVIF XML Messages from the Onvif Library
-        //c.on("rawRequest", (data) => console.log("\nTX DATA:", data));
-        //c.on("rawResponse", (data) => console.log("\nRX DATA:", data));
+// With --watch, start the next audit --interval after the last one started
+function schedule_next_audit() {
+    const wait = Math.max(0, watch_started + watch_interval_ms - Date.now());
+    console.log('Next audit at ' + dateTime.create(new Date(Date.now() + wait)).format('Y-m-d H:M:S'));
+    setTimeout(function () {
+        watch_started = Date.now();
+        perform_audit(targets, watch_complete);
+    }, wait);
+}
 
-    }); // foreach
+// commander helper for options that can be repeated (eg -u and -p)
+function collect_values(value, previous) {
+    return previous.concat([value]);
 }
 
-function generate_range(start_ip, end_ip) {
-    let start_long = toLong(start_ip);
-    let end_long = toLong(end_ip);
-    if (start_long > end_long) {
-        let tmp = start_long;
-        start_long = end_long
-        end_long = tmp;
-    }
-    let range_array = [];
-    for (let i = start_long; i <= end_long; i++) {
-        range_array.push(fromLong(i));
+// Usernames and Passwords from -u and -p. These can be repeated and are paired up in order
+function command_line_credentials() {
+    const username = (args.username.length > 0 ? args.username[0] : USERNAME);
+    const password = (args.password.length > 0 ? args.password[0] : PASSWORD);
+    let cli_credentials = [{ username: username, password: password, source: 'command line' }];
+    for (let i = 1; i < args.username.length; i++) {
+        cli_credentials.push({
+            username: args.username[i],
+            password: (i < args.password.length ? args.password[i] : password),
+            source: 'command line'
+        });
     }
-    return range_array;
+    return cli_credentials;
 }
 
-//toLong taken from NPM package 'ip' 
-function toLong(ip) {
-    let ipl = 0;
-    ip.split('.').forEach(function (octet) {
-        ipl <<= 8;
-        ipl += parseInt(octet);
-    });
-    return (ipl >>> 0);
+// Turn WS-Discovery results into targets, using the XAddr (host, port and path) each device gave in its reply.
+// Devices that reply more than once (eg on IPv4 and IPv6) are only audited once, and addresses
+// that are already in the -i or -f targets are skipped
+function discovery_targets(scan_results, existing_targets) {
+    let seen_urns = new Set();
+    let list = [];
+    for (const item of scan_results) {
+        if (seen_urns.has(item.urn)) continue;
+        seen_urns.add(item.urn);
+
+        const xaddr = discovery.choose_xaddr(item.xaddrs, item.rinfo.address);
+        if (!xaddr) continue;
+        if (existing_targets.some(target => target.ip === xaddr.hostname)) continue;
+
+        list.push({
+            ip: xaddr.hostname,
+            ports: [String(xaddr.port)],
+            path: xaddr.path,
+            https: (xaddr.https || Boolean(args.https)),
+            credentials: command_line_credentials().concat(extra_credentials),
+            discovery: {
+                urn: item.urn,
+                xaddrs: item.xaddrs.split(/\s+/),
+                name: item.scope_info.name,
+                hardware: item.scope_info.hardware,
+                location: item.scope_info.location,
+                profiles: item.scope_info.profiles,
+                types: item.scope_info.types,
+                scopes: item.scopes
+            }
+        });
+    }
+    return list;
 }
 
-//fromLong taken from NPM package 'ip' 
-function fromLong(ipl) {
-    return ((ipl >>> 24) + '.' +
-        (ipl >> 16 & 255) + '.' +
-        (ipl >> 8 & 255) + '.' +
-        (ipl & 255));
+// Audit every target with the Audit Engine, showing the camera reports and a live progress line on the console.
+// callback(audit_results, summary) is called once every target has completed.
+// An error from the audit or from the callback (eg writing the reports) is shown and sets the exit code. With --watch the next audit still runs
+function perform_audit(targets, callback) {
+
+    // hide error messages, unless --verbose
+    if (!args.verbose) console.error = function () { };
+
+    const progress = progress_line.create_progress(targets.length);
+    let audit_done = false;
+
+    onvif_audit.auditRange(Object.assign({ targets: targets, folder: folder }, audit_options))
+        .on('log', function (msg) {
+            // With --watch only the events are shown, unless --verbose
+            if (!args.watch || args.verbose) progress.log(msg);
+        })
+        .on('progress', counts => progress.set(counts))
+        .then(function (result) {
+            audit_done = true;
+            progress.done();
+            callback(result.cameras, result.summary);
+        })
+        .catch(function (err) {
+            if (!audit_done) progress.done();
+            console.log('Audit failed. ' + (err && err.message ? err.message : err));
+            process.exitCode = 1;
+            if (args.watch) schedule_next_audit();
+        });
 }
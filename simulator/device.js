@@ -0,0 +1,394 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Simulated ONVIF Device
+ * An HTTP server that answers the ONVIF Device and Media commands used by the audit, checks the WS-Security
+ * Username Token like a real camera, and serves a snapshot JPEG with Digest or Basic authentication.
+ * Used by the tests, and to try the audit without a camera
+ */
+
+var http = require('http');
+var crypto = require('crypto');
+var jpeg = require('jpeg-js');
+
+const DEFAULTS = {
+    manufacturer: 'ONVIF Simulator',
+    model: 'SIM-1000',
+    firmwareVersion: '1.2.3',
+    serialNumber: 'SIM0001',
+    hardwareId: 'HW1000',
+    users: [{ username: 'admin', password: 'admin', level: 'Administrator' }],
+    authentication: true, // false to answer every SOAP command whatever the Username and Password
+    snapshotAuth: 'digest', // digest, basic, none or login-page (Digest, but a 200 HTML login page instead of a 401)
+    videoSources: 1,
+    clockOffsetSeconds: 0, // The camera's clock is this far ahead of this computer's clock
+    rtspPort: 554,
+    hostname: 'onvif-simulator',
+    scopes: ['onvif://www.onvif.org/Profile/Streaming', 'onvif://www.onvif.org/Profile/T', 'onvif://www.onvif.org/name/Simulator',
+        'onvif://www.onvif.org/hardware/SIM-1000', 'onvif://www.onvif.org/location/city/London'],
+    hangCommands: [], // SOAP commands (eg GetDeviceInformation) that are never answered, like a camera that has locked up
+    // Behave like a particular manufacturer
+    //   hanwha - the Profiles of each Video Source are in the order JPEG, H264, H265 instead of the best Profile first
+    //   axis - the WS-Discovery reply has whitespace on the end of the XAddrs and Scopes
+    quirk: null
+};
+
+const QUIRKS = ['hanwha', 'axis'];
+
+// The Profiles of each Video Source as [name, encoding, width, height]. Most cameras put the best Profile first
+const PROFILES = [['MainStream', 'H264', 1920, 1080], ['SubStream', 'H264', 640, 360], ['Snapshot', 'JPEG', 640, 480]];
+const HANWHA_PROFILES = [['MJPEG', 'JPEG', 640, 480], ['H.264', 'H264', 1920, 1080], ['H.265', 'H265', 1920, 1080]];
+
+const NAMESPACES = 'xmlns:SOAP-ENV="http://www.w3.org/2003/05/soap-envelope" xmlns:tt="http://www.onvif.org/ver10/schema" '
+    + 'xmlns:tds="http://www.onvif.org/ver10/device/wsdl" xmlns:trt="http://www.onvif.org/ver10/media/wsdl" '
+    + 'xmlns:tmd="http://www.onvif.org/ver10/deviceIO/wsdl" xmlns:ter="http://www.onvif.org/ver10/error"';
+
+// The settings of the device, with the DEFAULTS for anything not given. Throws an Error for an unknown quirk
+function device_settings(options) {
+    let settings = Object.assign({}, DEFAULTS);
+    Object.keys(options || {}).forEach(function (key) {
+        if (options[key] !== undefined) settings[key] = options[key];
+    });
+    if (settings.quirk !== null && !QUIRKS.includes(settings.quirk)) {
+        throw new Error('Unknown quirk ' + settings.quirk + '. Use one of ' + QUIRKS.join(', '));
+    }
+    return settings;
+}
+
+function xml_escape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function envelope(body) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<SOAP-ENV:Envelope ' + NAMESPACES + '><SOAP-ENV:Body>' + body + '</SOAP-ENV:Body></SOAP-ENV:Envelope>';
+}
+
+function fault(subcode, reason) {
+    return envelope('<SOAP-ENV:Fault><SOAP-ENV:Code><SOAP-ENV:Value>SOAP-ENV:Sender</SOAP-ENV:Value>'
+        + '<SOAP-ENV:Subcode><SOAP-ENV:Value>' + subcode + '</SOAP-ENV:Value></SOAP-ENV:Subcode></SOAP-ENV:Code>'
+        + '<SOAP-ENV:Reason><SOAP-ENV:Text xml:lang="en">' + xml_escape(reason) + '</SOAP-ENV:Text></SOAP-ENV:Reason></SOAP-ENV:Fault>');
+}
+
+// The text of the first element with this name (any namespace prefix), or null
+function element_text(xml, name) {
+    const match = new RegExp('<(?:\\w+:)?' + name + '(?:\\s[^>]*)?>([^<]*)<').exec(xml);
+    return (match ? match[1].trim() : null);
+}
+
+// A 640x480 test card with sharp edges and a range of brightness, so it passes the Image Quality checks.
+// Each Video Source has a different pattern so the snapshots can be told apart
+function test_card(src_idx) {
+    const width = 640;
+    const height = 480;
+    const square = 20 + src_idx * 8;
+    let data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const dark = ((Math.floor(x / square) + Math.floor(y / square)) % 2 === 0);
+            const level = Math.round((dark ? 40 : 200) + 30 * Math.sin(x / 50) * Math.cos(y / 40));
+            data[i] = level;
+            data[i + 1] = Math.round(level * 0.8 + x * 50 / width);
+            data[i + 2] = Math.round(level * 0.8 + y * 50 / height);
+            data[i + 3] = 255;
+        }
+    }
+    return jpeg.encode({ data: data, width: width, height: height }, 85).data;
+}
+
+function md5(text) {
+    return crypto.createHash('md5').update(text).digest('hex');
+}
+
+// Create a simulated device. Call listen(port, host, callback) to start it (port 0 picks a free port) and close(callback) to stop it.
+// requests lists the name of every SOAP command received, eg to check a command was sent
+function create_device(options) {
+    const settings = device_settings(options);
+    const profile_list = (settings.quirk === 'hanwha' ? HANWHA_PROFILES : PROFILES);
+    const realm = 'ONVIF Simulator';
+    const nonce = crypto.randomBytes(16).toString('hex');
+    let snapshots = [];
+    let requests = [];
+
+    // Settings that the Set commands change
+    let state = {
+        clockOffsetSeconds: settings.clockOffsetSeconds,
+        dateTimeType: 'NTP',
+        daylightSavings: false,
+        timeZone: 'GMT0',
+        ntpFromDHCP: false,
+        ntpServers: ['pool.ntp.org'],
+        hostname: settings.hostname
+    };
+
+    const snapshot_jpeg = function (src_idx) {
+        if (!snapshots[src_idx]) snapshots[src_idx] = test_card(src_idx);
+        return snapshots[src_idx];
+    };
+
+    // WS-Security Username Token with a Password Digest of Nonce + Created + Password
+    const authorised = function (xml) {
+        const username = element_text(xml, 'Username');
+        const digest = element_text(xml, 'Password');
+        const nonce_text = element_text(xml, 'Nonce');
+        const created = element_text(xml, 'Created');
+        const user = settings.users.find(item => item.username === username);
+        if (!user || !digest || !nonce_text || !created) return false;
+        const expected = crypto.createHash('sha1')
+            .update(Buffer.concat([Buffer.from(nonce_text, 'base64'), Buffer.from(created), Buffer.from(user.password)]))
+            .digest('base64');
+        return expected === digest;
+    };
+
+    // Digest (RFC 2617 with qop=auth) or Basic authentication for the snapshot
+    const snapshot_authorised = function (req) {
+        const header = req.headers.authorization || '';
+        if (settings.snapshotAuth === 'none') return true;
+        if (settings.snapshotAuth === 'basic') {
+            const pair = Buffer.from(header.replace(/^Basic\s+/i, ''), 'base64').toString();
+            return /^Basic /i.test(header) && settings.users.some(item => item.username + ':' + item.password === pair);
+        }
+        if (!/^Digest /i.test(header)) return false;
+        let fields = {};
+        header.replace(/(\w+)=(?:"([^"]*)"|([^,\s]*))/g, function (all, name, quoted, plain) {
+            fields[name] = (quoted !== undefined ? quoted : plain);
+        });
+        const user = settings.users.find(item => item.username === fields.username);
+        if (!user || fields.nonce !== nonce) return false;
+        const ha1 = md5(user.username + ':' + realm + ':' + user.password);
+        const ha2 = md5(req.method + ':' + fields.uri);
+        const expected = (fields.qop ? md5([ha1, nonce, fields.nc, fields.cnonce, fields.qop, ha2].join(':')) : md5(ha1 + ':' + nonce + ':' + ha2));
+        return expected === fields.response;
+    };
+
+    const get_snapshot = function (req, res) {
+        const match = /^\/snapshot\/(\d+)\.jpg$/.exec(req.url.split('?')[0]);
+        if (!match || parseInt(match[1]) < 1 || parseInt(match[1]) > settings.videoSources) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not Found');
+        }
+        if (!snapshot_authorised(req) && settings.snapshotAuth === 'login-page') {
+            // Some cameras send their web login page, not a 401, to a request without a password
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end('<html><head><title>Login</title></head><body><form method="post" action="/login"></form></body></html>');
+        }
+        if (!snapshot_authorised(req)) {
+            const challenge = (settings.snapshotAuth === 'basic' ? 'Basic realm="' + realm + '"'
+                : 'Digest realm="' + realm + '", qop="auth", nonce="' + nonce + '", algorithm=MD5');
+            res.writeHead(401, { 'WWW-Authenticate': challenge, 'Content-Type': 'text/plain' });
+            return res.end('Unauthorized');
+        }
+        res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+        res.end(snapshot_jpeg(parseInt(match[1]) - 1));
+    };
+
+    // Each Video Source token is VS1, VS2... and its Profiles are VS1_<name>
+    const profiles_xml = function () {
+        let xml = '';
+        for (let src = 1; src <= settings.videoSources; src++) {
+            for (const item of profile_list) {
+                const token = 'VS' + src + '_' + item[0].replace(/\W/g, '');
+                xml += '<trt:Profiles token="' + token + '" fixed="true"><tt:Name>' + xml_escape(item[0]) + '</tt:Name>'
+                    + '<tt:VideoSourceConfiguration token="VSC' + src + '"><tt:Name>VSC' + src + '</tt:Name><tt:UseCount>' + profile_list.length + '</tt:UseCount>'
+                    + '<tt:SourceToken>VS' + src + '</tt:SourceToken><tt:Bounds x="0" y="0" width="1920" height="1080"/></tt:VideoSourceConfiguration>'
+                    + encoder_xml('tt:VideoEncoderConfiguration', 'VEC_' + token, item) + '</trt:Profiles>';
+            }
+        }
+        return xml;
+    };
+
+    const encoder_xml = function (tag, token, item) {
+        return '<' + tag + ' token="' + token + '"><tt:Name>' + token + '</tt:Name><tt:UseCount>1</tt:UseCount><tt:Encoding>' + item[1] + '</tt:Encoding>'
+            + '<tt:Resolution><tt:Width>' + item[2] + '</tt:Width><tt:Height>' + item[3] + '</tt:Height></tt:Resolution><tt:Quality>5</tt:Quality>'
+            + '<tt:RateControl><tt:FrameRateLimit>25</tt:FrameRateLimit><tt:EncodingInterval>1</tt:EncodingInterval><tt:BitrateLimit>4096</tt:BitrateLimit></tt:RateControl>'
+            + '</' + tag + '>';
+    };
+
+    const date_time_xml = function () {
+        const now = new Date(Date.now() + state.clockOffsetSeconds * 1000);
+        return '<tds:SystemDateAndTime><tt:DateTimeType>' + state.dateTimeType + '</tt:DateTimeType>'
+            + '<tt:DaylightSavings>' + state.daylightSavings + '</tt:DaylightSavings><tt:TimeZone><tt:TZ>' + xml_escape(state.timeZone) + '</tt:TZ></tt:TimeZone>'
+            + '<tt:UTCDateTime><tt:Time><tt:Hour>' + now.getUTCHours() + '</tt:Hour><tt:Minute>' + now.getUTCMinutes() + '</tt:Minute>'
+            + '<tt:Second>' + now.getUTCSeconds() + '</tt:Second></tt:Time><tt:Date><tt:Year>' + now.getUTCFullYear() + '</tt:Year>'
+            + '<tt:Month>' + (now.getUTCMonth() + 1) + '</tt:Month><tt:Day>' + now.getUTCDate() + '</tt:Day></tt:Date></tt:UTCDateTime></tds:SystemDateAndTime>';
+    };
+
+    const service_xml = function (base, namespace, path) {
+        return '<tds:Service><tds:Namespace>' + namespace + '</tds:Namespace><tds:XAddr>' + base + path + '</tds:XAddr>'
+            + '<tds:Version><tt:Major>2</tt:Major><tt:Minor>60</tt:Minor></tds:Version></tds:Service>';
+    };
+
+    // The reply Body for each command, or null if the command is not supported
+    const command_reply = function (action, xml, req) {
+        const base = 'http://' + req.headers.host;
+        const host = req.headers.host.replace(/:\d+$/, '');
+        switch (action) {
+        case 'GetSystemDateAndTime':
+            return '<tds:GetSystemDateAndTimeResponse>' + date_time_xml() + '</tds:GetSystemDateAndTimeResponse>';
+        case 'GetServices':
+            return '<tds:GetServicesResponse>' + service_xml(base, 'http://www.onvif.org/ver10/device/wsdl', '/onvif/device_service')
+                + service_xml(base, 'http://www.onvif.org/ver10/media/wsdl', '/onvif/media_service')
+                + service_xml(base, 'http://www.onvif.org/ver10/deviceIO/wsdl', '/onvif/deviceio_service') + '</tds:GetServicesResponse>';
+        case 'GetCapabilities':
+            return '<tds:GetCapabilitiesResponse><tds:Capabilities><tt:Device><tt:XAddr>' + base + '/onvif/device_service</tt:XAddr></tt:Device>'
+                + '<tt:Media><tt:XAddr>' + base + '/onvif/media_service</tt:XAddr></tt:Media></tds:Capabilities></tds:GetCapabilitiesResponse>';
+        case 'GetDeviceInformation':
+            return '<tds:GetDeviceInformationResponse><tds:Manufacturer>' + xml_escape(settings.manufacturer) + '</tds:Manufacturer>'
+                + '<tds:Model>' + xml_escape(settings.model) + '</tds:Model><tds:FirmwareVersion>' + xml_escape(settings.firmwareVersion) + '</tds:FirmwareVersion>'
+                + '<tds:SerialNumber>' + xml_escape(settings.serialNumber) + '</tds:SerialNumber><tds:HardwareId>' + xml_escape(settings.hardwareId) + '</tds:HardwareId>'
+                + '</tds:GetDeviceInformationResponse>';
+        case 'GetNTP':
+            return '<tds:GetNTPResponse><tds:NTPInformation><tt:FromDHCP>' + state.ntpFromDHCP + '</tt:FromDHCP>'
+                + state.ntpServers.map(server => '<tt:NTPManual><tt:Type>DNS</tt:Type><tt:DNSname>' + xml_escape(server) + '</tt:DNSname></tt:NTPManual>').join('')
+                + '</tds:NTPInformation></tds:GetNTPResponse>';
+        case 'GetHostname':
+            return '<tds:GetHostnameResponse><tds:HostnameInformation><tt:FromDHCP>false</tt:FromDHCP><tt:Name>' + xml_escape(state.hostname) + '</tt:Name>'
+                + '</tds:HostnameInformation></tds:GetHostnameResponse>';
+        case 'GetScopes':
+            return '<tds:GetScopesResponse>' + settings.scopes.map(scope => '<tds:Scopes><tt:ScopeDef>Fixed</tt:ScopeDef><tt:ScopeItem>' + xml_escape(scope) + '</tt:ScopeItem></tds:Scopes>').join('')
+                + '</tds:GetScopesResponse>';
+        case 'GetNetworkInterfaces':
+            return '<tds:GetNetworkInterfacesResponse><tds:NetworkInterfaces token="eth0"><tt:Enabled>true</tt:Enabled><tt:Info><tt:Name>eth0</tt:Name>'
+                + '<tt:HwAddress>00:11:22:33:44:55</tt:HwAddress><tt:MTU>1500</tt:MTU></tt:Info><tt:IPv4><tt:Enabled>true</tt:Enabled><tt:Config>'
+                + '<tt:Manual><tt:Address>' + xml_escape(host) + '</tt:Address><tt:PrefixLength>24</tt:PrefixLength></tt:Manual><tt:DHCP>false</tt:DHCP>'
+                + '</tt:Config></tt:IPv4></tds:NetworkInterfaces></tds:GetNetworkInterfacesResponse>';
+        case 'GetDNS':
+            return '<tds:GetDNSResponse><tds:DNSInformation><tt:FromDHCP>false</tt:FromDHCP><tt:DNSManual><tt:Type>IPv4</tt:Type>'
+                + '<tt:IPv4Address>192.168.1.1</tt:IPv4Address></tt:DNSManual></tds:DNSInformation></tds:GetDNSResponse>';
+        case 'GetNetworkDefaultGateway':
+            return '<tds:GetNetworkDefaultGatewayResponse><tds:NetworkGateway><tt:IPv4Address>192.168.1.1</tt:IPv4Address></tds:NetworkGateway>'
+                + '</tds:GetNetworkDefaultGatewayResponse>';
+        case 'GetNetworkProtocols':
+            return '<tds:GetNetworkProtocolsResponse><tds:NetworkProtocols><tt:Name>HTTP</tt:Name><tt:Enabled>true</tt:Enabled><tt:Port>80</tt:Port></tds:NetworkProtocols>'
+                + '<tds:NetworkProtocols><tt:Name>RTSP</tt:Name><tt:Enabled>true</tt:Enabled><tt:Port>' + settings.rtspPort + '</tt:Port></tds:NetworkProtocols>'
+                + '</tds:GetNetworkProtocolsResponse>';
+        case 'GetDiscoveryMode':
+            return '<tds:GetDiscoveryModeResponse><tds:DiscoveryMode>Discoverable</tds:DiscoveryMode></tds:GetDiscoveryModeResponse>';
+        case 'GetUsers':
+            return '<tds:GetUsersResponse>' + settings.users.map(user => '<tds:User><tt:Username>' + xml_escape(user.username) + '</tt:Username>'
+                + '<tt:UserLevel>' + (user.level || 'User') + '</tt:UserLevel></tds:User>').join('') + '</tds:GetUsersResponse>';
+        case 'GetRelayOutputs':
+            return '<tmd:GetRelayOutputsResponse><tmd:RelayOutputs token="Relay1"><tt:Properties><tt:Mode>Monostable</tt:Mode><tt:DelayTime>PT5S</tt:DelayTime>'
+                + '<tt:IdleState>open</tt:IdleState></tt:Properties></tmd:RelayOutputs></tmd:GetRelayOutputsResponse>';
+        case 'GetDigitalInputs':
+            return '<tmd:GetDigitalInputsResponse><tmd:DigitalInputs token="Input1" IdleState="closed"/></tmd:GetDigitalInputsResponse>';
+        case 'GetVideoSources': {
+            let sources = '';
+            for (let src = 1; src <= settings.videoSources; src++) {
+                sources += '<trt:VideoSources token="VS' + src + '"><tt:Framerate>25</tt:Framerate><tt:Resolution><tt:Width>1920</tt:Width>'
+                    + '<tt:Height>1080</tt:Height></tt:Resolution></trt:VideoSources>';
+            }
+            return '<trt:GetVideoSourcesResponse>' + sources + '</trt:GetVideoSourcesResponse>';
+        }
+        case 'GetProfiles':
+            return '<trt:GetProfilesResponse>' + profiles_xml() + '</trt:GetProfilesResponse>';
+        case 'GetVideoEncoderConfigurations': {
+            let configurations = '';
+            for (let src = 1; src <= settings.videoSources; src++) {
+                for (const item of profile_list) configurations += encoder_xml('trt:Configurations', 'VEC_VS' + src + '_' + item[0].replace(/\W/g, ''), item);
+            }
+            return '<trt:GetVideoEncoderConfigurationsResponse>' + configurations + '</trt:GetVideoEncoderConfigurationsResponse>';
+        }
+        case 'GetAudioSources':
+            return '<trt:GetAudioSourcesResponse><trt:AudioSources token="AS1"><tt:Channels>1</tt:Channels></trt:AudioSources></trt:GetAudioSourcesResponse>';
+        case 'GetAudioEncoderConfigurations':
+            return '<trt:GetAudioEncoderConfigurationsResponse><trt:Configurations token="AEC1"><tt:Name>AEC1</tt:Name><tt:UseCount>1</tt:UseCount>'
+                + '<tt:Encoding>G711</tt:Encoding><tt:Bitrate>64</tt:Bitrate><tt:SampleRate>8</tt:SampleRate></trt:Configurations></trt:GetAudioEncoderConfigurationsResponse>';
+        case 'GetSnapshotUri': {
+            const src = /^VS(\d+)_/.exec(element_text(xml, 'ProfileToken') || '');
+            if (!src) return null;
+            return '<trt:GetSnapshotUriResponse><trt:MediaUri><tt:Uri>' + base + '/snapshot/' + src[1] + '.jpg</tt:Uri><tt:InvalidAfterConnect>false</tt:InvalidAfterConnect>'
+                + '<tt:InvalidAfterReboot>false</tt:InvalidAfterReboot><tt:Timeout>PT0S</tt:Timeout></trt:MediaUri></trt:GetSnapshotUriResponse>';
+        }
+        case 'GetStreamUri': {
+            const token = element_text(xml, 'ProfileToken');
+            const multicast = (element_text(xml, 'Stream') === 'RTP-Multicast');
+            return '<trt:GetStreamUriResponse><trt:MediaUri><tt:Uri>rtsp://' + host + ':' + settings.rtspPort + '/' + xml_escape(token)
+                + (multicast ? '/multicast' : '') + '</tt:Uri><tt:InvalidAfterConnect>false</tt:InvalidAfterConnect><tt:InvalidAfterReboot>false</tt:InvalidAfterReboot>'
+                + '<tt:Timeout>PT0S</tt:Timeout></trt:MediaUri></trt:GetStreamUriResponse>';
+        }
+        case 'SetNTP':
+            state.ntpFromDHCP = (element_text(xml, 'FromDHCP') === 'true');
+            state.ntpServers = (xml.match(/<(?:\w+:)?(?:DNSname|IPv4Address|IPv6Address)>[^<]*</g) || []).map(item => item.replace(/^<[^>]*>|<$/g, ''));
+            return '<tds:SetNTPResponse/>';
+        case 'SetSystemDateAndTime': {
+            state.dateTimeType = element_text(xml, 'DateTimeType') || state.dateTimeType;
+            state.daylightSavings = (element_text(xml, 'DaylightSavings') === 'true');
+            if (element_text(xml, 'TZ') !== null) state.timeZone = element_text(xml, 'TZ');
+            if (/UTCDateTime/.test(xml)) {
+                const time = Date.UTC(+element_text(xml, 'Year'), +element_text(xml, 'Month') - 1, +element_text(xml, 'Day'),
+                    +element_text(xml, 'Hour'), +element_text(xml, 'Minute'), +element_text(xml, 'Second'));
+                state.clockOffsetSeconds = (time - Date.now()) / 1000;
+            }
+            return '<tds:SetSystemDateAndTimeResponse/>';
+        }
+        case 'SetHostname':
+            state.hostname = element_text(xml, 'Name');
+            return '<tds:SetHostnameResponse/>';
+        default:
+            return null;
+        }
+    };
+
+    const server = http.createServer(function (req, res) {
+        let chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', function () {
+            if (req.method === 'GET') return get_snapshot(req, res);
+
+            const xml = Buffer.concat(chunks).toString();
+            const match = /<(?:\w+:)?Body[^>]*>\s*<(?:\w+:)?(\w+)/.exec(xml);
+            const action = (match ? match[1] : '');
+            requests.push(action);
+            if (settings.hangCommands.includes(action)) return;
+
+            let status = 200;
+            let reply;
+            if (action !== 'GetSystemDateAndTime' && settings.authentication && !authorised(xml)) {
+                // Cameras reply to a wrong Username or Password with a SOAP Fault
+                status = 400;
+                reply = fault('ter:NotAuthorized', 'Sender not Authorized');
+            } else {
+                const body = command_reply(action, xml, req);
+                if (body === null) {
+                    status = 400;
+                    reply = fault('ter:ActionNotSupported', 'Optional Action Not Implemented');
+                } else {
+                    reply = envelope(body);
+                }
+            }
+            res.writeHead(status, { 'Content-Type': 'application/soap+xml; charset=utf-8' });
+            res.end(reply);
+        });
+    });
+
+    const this_device = {
+        settings: settings,
+        urn: 'urn:uuid:' + crypto.randomUUID(),
+        xaddrs: [], // The Device Service URLs, set once the server is listening
+        state: state,
+        requests: requests,
+        server: server,
+        listen: function (port, host, callback) {
+            server.listen(port, host, function () {
+                const address = server.address();
+                const url_host = (address.family === 'IPv6' || address.family === 6 ? '[' + address.address + ']' : address.address);
+                this_device.xaddrs = ['http://' + url_host + ':' + address.port + '/onvif/device_service'];
+                callback(address.port);
+            });
+        },
+        close: function (callback) {
+            server.close(callback);
+            // The ONVIF Library keeps connections open. Close them so the server stops straight away
+            if (server.closeAllConnections) server.closeAllConnections();
+        }
+    };
+    return this_device;
+}
+
+module.exports = {
+    DEFAULTS: DEFAULTS,
+    QUIRKS: QUIRKS,
+    create_device: create_device
+};
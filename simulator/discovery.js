@@ -0,0 +1,76 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Simulated WS-Discovery Responder
+ * Answers WS-Discovery Probes (multicast, or unicast as sent by --scan-unicast) with a ProbeMatch for one or more simulated devices
+ */
+
+var dgram = require('dgram');
+var crypto = require('crypto');
+
+const WS_DISCOVERY_PORT = 3702;
+const WS_DISCOVERY_MULTICAST = '239.255.255.250';
+
+// ProbeMatch for one device. The axis quirk adds whitespace on the end of the XAddrs and Scopes, as Axis cameras do
+function probe_match(device, relates_to) {
+    const padding = (device.settings.quirk === 'axis' ? ' \n ' : '');
+    return '<?xml version="1.0" encoding="UTF-8"?>\n'
+        + '<SOAP-ENV:Envelope xmlns:SOAP-ENV="http://www.w3.org/2003/05/soap-envelope" xmlns:wsa="http://schemas.xmlsoap.org/ws/2004/08/addressing" '
+        + 'xmlns:d="http://schemas.xmlsoap.org/ws/2005/04/discovery" xmlns:dn="http://www.onvif.org/ver10/network/wsdl">'
+        + '<SOAP-ENV:Header><wsa:MessageID>urn:uuid:' + crypto.randomUUID() + '</wsa:MessageID>'
+        + (relates_to ? '<wsa:RelatesTo>' + relates_to + '</wsa:RelatesTo>' : '')
+        + '<wsa:To>http://schemas.xmlsoap.org/ws/2004/08/addressing/role/anonymous</wsa:To>'
+        + '<wsa:Action>http://schemas.xmlsoap.org/ws/2005/04/discovery/ProbeMatches</wsa:Action></SOAP-ENV:Header>'
+        + '<SOAP-ENV:Body><d:ProbeMatches><d:ProbeMatch>'
+        + '<wsa:EndpointReference><wsa:Address>' + device.urn + '</wsa:Address></wsa:EndpointReference>'
+        + '<d:Types>dn:NetworkVideoTransmitter</d:Types>'
+        + '<d:Scopes>' + device.settings.scopes.join(' ') + padding + '</d:Scopes>'
+        + '<d:XAddrs>' + device.xaddrs.join(' ') + padding + '</d:XAddrs>'
+        + '<d:MetadataVersion>1</d:MetadataVersion></d:ProbeMatch></d:ProbeMatches></SOAP-ENV:Body></SOAP-ENV:Envelope>';
+}
+
+// Create a responder. devices is a list of { settings, xaddrs, urn } where settings are the settings of a simulated device
+// (see device.js) and xaddrs are its Device Service URLs. Call listen(address, callback) to start it and close(callback) to stop it.
+// The multicast group is only joined when address is null (all interfaces). type is 'udp6' to listen on an IPv6 address
+function create_responder(devices, type) {
+    const socket = dgram.createSocket({ type: type || 'udp4', reuseAddr: true });
+    let probes = 0;
+
+    socket.on('message', function (message, rinfo) {
+        const xml = message.toString();
+        if (!/<(?:\w+:)?Probe[\s>]/.test(xml)) return;
+        probes++;
+        const message_id = /<(?:\w+:)?MessageID[^>]*>([^<]*)</.exec(xml);
+        for (const device of devices) {
+            const reply = Buffer.from(probe_match(device, (message_id ? message_id[1].trim() : null)));
+            socket.send(reply, 0, reply.length, rinfo.port, rinfo.address);
+        }
+    });
+
+    return {
+        socket: socket,
+        probes: function () {
+            return probes;
+        },
+        listen: function (address, callback) {
+            socket.bind(WS_DISCOVERY_PORT, address || undefined, function () {
+                if (!address && socket.address().family === 'IPv4') {
+                    try {
+                        socket.addMembership(WS_DISCOVERY_MULTICAST);
+                    } catch (err) {
+                        // No multicast route (eg no network). Unicast Probes still work
+                    }
+                }
+                callback();
+            });
+        },
+        close: function (callback) {
+            socket.close(callback);
+        }
+    };
+}
+
+module.exports = {
+    create_responder: create_responder
+};
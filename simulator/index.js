@@ -0,0 +1,145 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * ONVIF Simulator
+ * Starts one or more simulated ONVIF devices on this computer, and optionally a WS-Discovery responder for them,
+ * so the audit can be tried and tested without a camera or a LAN.
+ *
+ *   node simulator --port 8080 --count 3 --quirk hanwha --discovery
+ *   node onvif-audit.js -i 127.0.0.1 -P 8080,8081,8082 -u admin -p admin
+ */
+
+var os = require('os');
+var net = require('net');
+var commander = require('commander');
+var device = require('./device');
+var discovery = require('./discovery');
+
+// Start options.count devices (default 1) on consecutive ports from options.port (0 picks free ports) on options.host (default 127.0.0.1).
+// The other options are the device settings (see device.js). Each device gets its own Serial Number and Hardware ID.
+// With options.discovery a WS-Discovery responder answers for every device, on options.discoveryAddress (IPv4 or IPv6) or on all IPv4 interfaces.
+// callback(err, simulator) with simulator = { devices, responder, close(callback) }
+function start_simulator(options, callback) {
+    const count = options.count || 1;
+    const host = options.host || '127.0.0.1';
+    let devices = [];
+    let responder = null;
+
+    const simulator = {
+        devices: devices,
+        responder: null,
+        close: function (done) {
+            let remaining = devices.length + (responder ? 1 : 0);
+            const closed = function () {
+                if (--remaining === 0 && done) done();
+            };
+            devices.forEach(item => item.close(closed));
+            if (responder) responder.close(closed);
+            if (remaining === 0 && done) setImmediate(done);
+        }
+    };
+
+    const start_next = function () {
+        if (devices.length === count) return start_discovery();
+        const index = devices.length;
+        let item;
+        try {
+            item = device.create_device(Object.assign({}, options, {
+                serialNumber: options.serialNumber || 'SIM' + String(index + 1).padStart(4, '0'),
+                hardwareId: options.hardwareId || 'HW' + String(index + 1).padStart(4, '0')
+            }));
+        } catch (err) {
+            return callback(err);
+        }
+        item.server.once('error', function (err) {
+            simulator.close();
+            callback(err);
+        });
+        devices.push(item);
+        item.listen((options.port ? options.port + index : 0), host, function (port) {
+            // A device listening on every interface is advertised on the first external IPv4 address
+            if (host === '0.0.0.0' || host === '::') item.xaddrs = ['http://' + external_address() + ':' + port + '/onvif/device_service'];
+            start_next();
+        });
+    };
+
+    const start_discovery = function () {
+        if (!options.discovery) return callback(null, simulator);
+        responder = discovery.create_responder(devices, (net.isIPv6(options.discoveryAddress || '') ? 'udp6' : 'udp4'));
+        simulator.responder = responder;
+        responder.socket.once('error', function (err) {
+            simulator.close();
+            callback(err);
+        });
+        responder.listen(options.discoveryAddress || null, () => callback(null, simulator));
+    };
+
+    start_next();
+}
+
+function external_address() {
+    const interfaces = os.networkInterfaces();
+    for (const name of Object.keys(interfaces)) {
+        const found = interfaces[name].find(item => (item.family === 'IPv4' || item.family === 4) && !item.internal);
+        if (found) return found.address;
+    }
+    return '127.0.0.1';
+}
+
+module.exports = {
+    create_device: device.create_device,
+    create_responder: discovery.create_responder,
+    start_simulator: start_simulator,
+    DEFAULTS: device.DEFAULTS,
+    QUIRKS: device.QUIRKS
+};
+
+if (require.main === module) {
+    let args = new commander.Command();
+    args.option('--port <value>', 'Port of the first device. Default 8080');
+    args.option('--host <value>', 'Address to listen on. Default 127.0.0.1. Use 0.0.0.0 to be seen by other computers');
+    args.option('--count <value>', 'Number of devices, on consecutive ports. Default 1');
+    args.option('-u, --username <value>', 'ONVIF and snapshot Username. Default admin');
+    args.option('-p, --password <value>', 'ONVIF and snapshot Password. Default admin');
+    args.option('--quirk <value>', 'Behave like a particular manufacturer: ' + device.QUIRKS.join(', '));
+    args.option('--manufacturer <value>', 'Manufacturer in GetDeviceInformation');
+    args.option('--model <value>', 'Model in GetDeviceInformation');
+    args.option('--firmware <value>', 'Firmware Version in GetDeviceInformation');
+    args.option('--video-sources <value>', 'Number of Video Sources on each device. Default 1');
+    args.option('--snapshot-auth <value>', 'Snapshot authentication: digest, basic, none or login-page. Default digest');
+    args.option('--clock-offset <value>', 'Seconds the simulated clock is ahead of this computer (negative for behind). Default 0');
+    args.option('--discovery', 'Answer WS-Discovery Probes on UDP port 3702');
+    args.parse(process.argv);
+
+    const options = {
+        port: parseInt(args.port || '8080'),
+        host: args.host,
+        count: parseInt(args.count || '1'),
+        users: [{ username: args.username || 'admin', password: args.password || 'admin', level: 'Administrator' }],
+        quirk: args.quirk || null,
+        manufacturer: args.manufacturer,
+        model: args.model,
+        firmwareVersion: args.firmware,
+        videoSources: (args.videoSources ? parseInt(args.videoSources) : undefined),
+        snapshotAuth: args.snapshotAuth,
+        clockOffsetSeconds: (args.clockOffset ? parseFloat(args.clockOffset) : undefined),
+        discovery: Boolean(args.discovery)
+    };
+    if (isNaN(options.port) || isNaN(options.count) || options.count < 1 || Number.isNaN(options.videoSources) || Number.isNaN(options.clockOffsetSeconds)) {
+        console.log('Port, Count, Video Sources and Clock Offset should be numbers');
+        process.exit(1);
+    }
+
+    start_simulator(options, function (err, simulator) {
+        if (err) {
+            console.log('Unable to start the simulator. ' + err.message);
+            process.exit(1);
+        }
+        for (const item of simulator.devices) {
+            console.log(item.settings.manufacturer + ' ' + item.settings.model + ' (serial ' + item.settings.serialNumber + ') on ' + item.xaddrs.join(' '));
+        }
+        if (simulator.responder) console.log('Answering WS-Discovery Probes on UDP port 3702');
+        console.log('Press Ctrl-C to stop');
+    });
+}
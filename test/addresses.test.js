@@ -0,0 +1,66 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Address list tests
+ * Checks the -i address list is expanded into the addresses to audit
+ */
+
+var { describe, it } = require('node:test');
+var assert = require('assert');
+var address_list = require('../lib/addresses');
+
+function addresses(text) {
+    return address_list.expand_ip_addresses(text).addresses;
+}
+
+describe('Address lists', function () {
+    it('expands a range, in either order', function () {
+        assert.deepStrictEqual(addresses('10.1.0.254-10.1.1.1'), ['10.1.0.254', '10.1.0.255', '10.1.1.0', '10.1.1.1']);
+        assert.deepStrictEqual(addresses('10.1.0.3 - 10.1.0.1'), ['10.1.0.1', '10.1.0.2', '10.1.0.3']);
+    });
+
+    it('expands a CIDR block without the network and broadcast addresses', function () {
+        assert.deepStrictEqual(addresses('192.168.1.5/30'), ['192.168.1.5', '192.168.1.6']);
+        assert.deepStrictEqual(addresses('192.168.1.5/31'), ['192.168.1.4', '192.168.1.5']);
+        assert.deepStrictEqual(addresses('192.168.1.5/32'), ['192.168.1.5']);
+        const block = addresses('10.1.0.0/22');
+        assert.strictEqual(block.length, 1022);
+        assert.deepStrictEqual([block[0], block[block.length - 1]], ['10.1.0.1', '10.1.3.254']);
+    });
+
+    it('removes duplicates and exclusions, wherever the exclusion is in the list', function () {
+        assert.deepStrictEqual(addresses('!10.1.0.2,10.1.0.1-10.1.0.5,10.1.0.4,!10.1.0.4-10.1.0.9'), ['10.1.0.1', '10.1.0.3']);
+        // 10.1.0.0/30 is 10.1.0.1 and 10.1.0.2 (the network and broadcast addresses are left out)
+        assert.deepStrictEqual(addresses('10.1.0.0/29,!10.1.0.0/30'), ['10.1.0.3', '10.1.0.4', '10.1.0.5', '10.1.0.6']);
+    });
+
+    it('keeps host names and reports the entries it cannot understand', function () {
+        const result = address_list.expand_ip_addresses('camera-1.example.com,10.1.1,10.1.0.0/33,10.1.0.1-10.1.0,10.0.0.0/8,10.1.0.9');
+        assert.deepStrictEqual(result.addresses, ['camera-1.example.com', '10.1.0.9']);
+        assert.deepStrictEqual(result.errors.map(item => item.item), ['10.1.1', '10.1.0.0/33', '10.1.0.1-10.1.0', '10.0.0.0/8']);
+        assert.match(result.errors[3].message, /too large/);
+    });
+
+    it('sorts IPv4 addresses numerically before IPv6 addresses and host names', function () {
+        const list = ['camera1', 'fe80::1', '10.1.0.10', '10.1.0.9'].sort(address_list.compare_hosts);
+        assert.deepStrictEqual(list, ['10.1.0.9', '10.1.0.10', 'camera1', 'fe80::1']);
+    });
+});
+
+describe('IPv6 addresses', function () {
+    it('writes each address in its shortest form', function () {
+        assert.deepStrictEqual(addresses('FE80:0000:0000:0000:0000:0000:0000:0001'), ['fe80::1']);
+        assert.deepStrictEqual(addresses('[2001:0db8::0042:8329]'), ['2001:db8::42:8329']);
+        assert.deepStrictEqual(addresses('2001:db8:0:0:1:0:0:1'), ['2001:db8::1:0:0:1']);
+        assert.deepStrictEqual(addresses('2001:db8:0:1:1:1:1:1'), ['2001:db8:0:1:1:1:1:1']);
+        assert.deepStrictEqual(addresses('::ffff:10.1.0.5'), ['::ffff:10.1.0.5']);
+        assert.deepStrictEqual(addresses('fe80::0001%eth0'), ['fe80::1%eth0']);
+    });
+
+    it('removes duplicates and exclusions however the address was typed', function () {
+        assert.deepStrictEqual(addresses('fe80::1,fe80::0001,FE80::1,fe80::2'), ['fe80::1', 'fe80::2']);
+        assert.deepStrictEqual(addresses('fe80::1,fe80::2,!fe80::0001'), ['fe80::2']);
+        assert.deepStrictEqual(addresses('fe80::0:1,![FE80::1]'), []);
+    });
+});
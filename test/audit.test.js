@@ -0,0 +1,254 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Audit tests
+ * Runs the Audit Engine through the API in index.js against simulated ONVIF devices on localhost
+ */
+
+var { describe, it, before, after } = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var onvif_audit = require('../index');
+var simulator = require('../simulator');
+
+// Start a simulated device, run fn(sim) and stop the device again
+function with_simulator(options, fn) {
+    return new Promise(function (resolve, reject) {
+        simulator.start_simulator(options, function (err, sim) {
+            if (err) return reject(err);
+            Promise.resolve().then(() => fn(sim)).then(function (result) {
+                sim.close(() => resolve(result));
+            }, function (test_err) {
+                sim.close(() => reject(test_err));
+            });
+        });
+    });
+}
+
+function port_of(sim, index) {
+    return sim.devices[index || 0].server.address().port;
+}
+
+// The audit options used by most tests. Inventory and the security checks have their own tests
+function audit_options(sim, extra) {
+    return Object.assign({ host: '127.0.0.1', port: port_of(sim), username: 'admin', password: 'admin', inventory: false, securityChecks: false }, extra);
+}
+
+describe('Audit of a simulated camera', function () {
+    let sim;
+    let camera;
+
+    before(function () {
+        return new Promise(function (resolve, reject) {
+            simulator.start_simulator({}, function (err, started) {
+                if (err) return reject(err);
+                sim = started;
+                resolve(onvif_audit.auditCamera(audit_options(sim, { inventory: true, securityChecks: true })));
+            });
+        }).then(function (record) {
+            camera = record;
+        });
+    });
+
+    after(function () {
+        return new Promise(resolve => sim.close(resolve));
+    });
+
+    it('reads the Device Information', function () {
+        assert.strictEqual(camera.error, null);
+        assert.deepStrictEqual(camera.deviceInformation, {
+            manufacturer: 'ONVIF Simulator',
+            model: 'SIM-1000',
+            firmwareVersion: '1.2.3',
+            serialNumber: 'SIM0001',
+            hardwareId: 'HW0001'
+        });
+    });
+
+    it('completes every step', function () {
+        const failed = camera.steps.filter(item => item.status !== 'ok');
+        assert.deepStrictEqual(failed, []);
+    });
+
+    it('uses the first H264 Profile as the best Profile', function () {
+        assert.strictEqual(camera.videoSources.length, 1);
+        assert.strictEqual(camera.videoSources[0].profileToken, 'VS1_MainStream');
+        assert.strictEqual(camera.videoSources[0].encoding, 'H264');
+        assert.strictEqual(camera.videoSources[0].width, 1920);
+    });
+
+    it('gets the Stream URIs', function () {
+        const streams = camera.videoSources[0].streams;
+        assert.strictEqual(streams.tcp, 'rtsp://127.0.0.1:554/VS1_MainStream');
+        assert.strictEqual(streams.multicast, 'rtsp://127.0.0.1:554/VS1_MainStream/multicast');
+    });
+
+    it('takes the snapshot with Digest authentication', function () {
+        const source = camera.videoSources[0];
+        assert.strictEqual(source.snapshot.method, 'snapshot-uri');
+        assert.strictEqual(source.snapshot.auth, 'digest');
+        assert.strictEqual(source.snapshot.width, 640);
+        assert.ok(Buffer.isBuffer(source.snapshotImage));
+        assert.deepStrictEqual(source.quality.flags, []);
+    });
+
+    it('measures the clock', function () {
+        assert.strictEqual(camera.timeDriftExceeded, false);
+        assert.deepStrictEqual(camera.ntp, { fromDHCP: false, servers: ['pool.ntp.org'] });
+    });
+
+    it('finds the default password and the security findings', function () {
+        assert.strictEqual(camera.credential.defaultVendor, 'Various');
+        const ids = camera.security.findings.map(item => item.id);
+        assert.deepStrictEqual(ids, ['default-password', 'no-https', 'ws-discovery-enabled']);
+        assert.strictEqual(camera.security.checks.unauthenticatedSnapshot, false);
+    });
+
+    it('reads the inventory', function () {
+        assert.strictEqual(camera.inventory.network.hostname.name, 'onvif-simulator');
+        assert.deepStrictEqual(camera.inventory.onvifProfiles, ['S', 'T']);
+        assert.strictEqual(camera.inventory.users.length, 1);
+        assert.strictEqual(camera.inventory.relayOutputs.length, 1);
+    });
+});
+
+describe('Audit quirks and failures', function () {
+    it('chooses the H265 Profile of a Hanwha camera, which lists the JPEG Profile first', function () {
+        return with_simulator({ quirk: 'hanwha' }, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim)).then(function (camera) {
+                assert.strictEqual(camera.videoSources[0].encoding, 'H265');
+                assert.strictEqual(camera.videoSources[0].profileToken, 'VS1_H265');
+            });
+        });
+    });
+
+    it('audits every Video Source', function () {
+        return with_simulator({ videoSources: 2 }, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim)).then(function (camera) {
+                assert.deepStrictEqual(camera.videoSources.map(item => item.token), ['VS1', 'VS2']);
+                assert.ok(camera.videoSources.every(item => item.snapshot.method === 'snapshot-uri'));
+            });
+        });
+    });
+
+    it('falls back to Basic authentication for the snapshot', function () {
+        return with_simulator({ snapshotAuth: 'basic' }, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim)).then(function (camera) {
+                assert.strictEqual(camera.videoSources[0].snapshot.auth, 'basic');
+            });
+        });
+    });
+
+    it('reports a snapshot that needs no password', function () {
+        return with_simulator({ snapshotAuth: 'none' }, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim, { securityChecks: true })).then(function (camera) {
+                assert.strictEqual(camera.security.checks.unauthenticatedSnapshot, true);
+            });
+        });
+    });
+
+    it('does not take a login page sent in place of the snapshot as a snapshot without a password', function () {
+        return with_simulator({ snapshotAuth: 'login-page' }, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim, { securityChecks: true })).then(function (camera) {
+                assert.strictEqual(camera.security.checks.unauthenticatedSnapshot, false);
+            });
+        });
+    });
+
+    it('flags a clock that is out by more than maxDrift', function () {
+        return with_simulator({ clockOffsetSeconds: 120 }, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim, { maxDrift: '5s' })).then(function (camera) {
+                assert.strictEqual(camera.timeDriftExceeded, true);
+                assert.ok(Math.abs(camera.timeDriftSeconds - 120) < 3, String(camera.timeDriftSeconds));
+            });
+        });
+    });
+
+    it('reports a wrong password', function () {
+        return with_simulator({}, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim, { password: 'wrong' })).then(function (camera) {
+                assert.ok(camera.error);
+                assert.strictEqual(camera.credential.status, 'none');
+            });
+        });
+    });
+
+    it('finds the working password in a credential list', function () {
+        return with_simulator({ users: [{ username: 'operator', password: 'secret' }] }, function (sim) {
+            const options = audit_options(sim, { credentials: [{ username: 'admin', password: 'admin' }, { username: 'operator', password: 'secret' }] });
+            delete options.username;
+            delete options.password;
+            return onvif_audit.auditCamera(options).then(function (camera) {
+                assert.strictEqual(camera.error, null);
+                assert.strictEqual(camera.credential.username, 'operator');
+                assert.strictEqual(camera.credential.index, 2);
+            });
+        });
+    });
+
+    it('sets the hostname with a Fix Policy', function () {
+        return with_simulator({}, function (sim) {
+            return onvif_audit.auditCamera(audit_options(sim, { fix: { hostname: 'cam-{serial}' } })).then(function (camera) {
+                assert.strictEqual(camera.fix.status, 'ok');
+                assert.strictEqual(sim.devices[0].state.hostname, 'cam-SIM0001');
+            });
+        });
+    });
+});
+
+describe('Audit of a list of targets', function () {
+    it('audits each target', function () {
+        return with_simulator({ count: 2 }, function (sim) {
+            const credentials = [{ username: 'admin', password: 'admin', source: 'options' }];
+            return onvif_audit.auditRange({
+                targets: [
+                    { ip: '127.0.0.1', ports: [String(port_of(sim, 0))], credentials: credentials, https: false },
+                    { ip: '127.0.0.1', ports: [String(port_of(sim, 1))], credentials: credentials, https: false }
+                ],
+                inventory: false,
+                securityChecks: false
+            }).then(function (result) {
+                assert.strictEqual(result.summary.responding, 2);
+                assert.strictEqual(result.summary.failed, 0);
+                const serials = result.cameras.map(item => item.deviceInformation.serialNumber).sort();
+                assert.deepStrictEqual(serials, ['SIM0001', 'SIM0002']);
+            });
+        });
+    });
+
+    it('tries each port in turn', function () {
+        return with_simulator({ count: 2 }, function (sim) {
+            // Stop the second device so its port is closed, then list that port first
+            const closed_port = port_of(sim, 1);
+            return new Promise(resolve => sim.devices[1].close(resolve)).then(function () {
+                sim.devices.pop();
+                return onvif_audit.auditRange({
+                    ipaddress: '127.0.0.1',
+                    port: closed_port + ',' + port_of(sim, 0),
+                    username: 'admin',
+                    password: 'admin',
+                    inventory: false,
+                    securityChecks: false
+                });
+            }).then(function (result) {
+                assert.strictEqual(result.summary.responding, 1);
+                assert.strictEqual(result.cameras[0].port, String(port_of(sim, 0)));
+            });
+        });
+    });
+});
+
+describe('Reports', function () {
+    it('throws when the reports cannot be written', function () {
+        const folder = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'onvif-audit-test-')), 'missing');
+        const result = { cameras: [], summary: { addresses: 0, responding: 0, failed: 0, notListening: 0 } };
+        try {
+            assert.throws(() => onvif_audit.writeReports(folder, result), /Unable to write audit\.json/);
+        } finally {
+            fs.rmSync(path.dirname(folder), { recursive: true, force: true });
+        }
+    });
+});
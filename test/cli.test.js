@@ -0,0 +1,124 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Command line tests
+ * Runs onvif-audit.js against simulated ONVIF devices and checks the exit code and the reports it writes
+ */
+
+var { describe, it, before, after } = require('node:test');
+var assert = require('assert');
+var child_process = require('child_process');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var simulator = require('../simulator');
+
+const AUDIT_SCRIPT = path.join(__dirname, '..', 'onvif-audit.js');
+
+// Run onvif-audit.js in 'folder'. Resolves with { code, output }
+function run_audit(folder, argv) {
+    return new Promise(function (resolve) {
+        child_process.execFile(process.execPath, [AUDIT_SCRIPT].concat(argv), { cwd: folder, timeout: 60000 }, function (err, stdout, stderr) {
+            resolve({ code: (err ? err.code : 0), output: stdout + stderr });
+        });
+    });
+}
+
+// The onvif_audit_report_<time> folder written by the audit
+function report_folder(folder) {
+    const found = fs.readdirSync(folder).filter(item => item.startsWith('onvif_audit_report_'));
+    assert.strictEqual(found.length, 1, 'Expected one report folder in ' + folder);
+    return path.join(folder, found[0]);
+}
+
+describe('onvif-audit.js', function () {
+    let sim;
+    let folder;
+
+    before(function () {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'onvif-audit-test-'));
+        return new Promise(function (resolve, reject) {
+            simulator.start_simulator({ discovery: true, discoveryAddress: '127.0.0.1' }, function (err, started) {
+                if (err) return reject(err);
+                sim = started;
+                resolve();
+            });
+        });
+    });
+
+    after(function () {
+        fs.rmSync(folder, { recursive: true, force: true });
+        return new Promise(resolve => sim.close(resolve));
+    });
+
+    it('audits a camera and writes the reports', function () {
+        const work = fs.mkdtempSync(path.join(folder, 'audit-'));
+        const port = String(sim.devices[0].server.address().port);
+        return run_audit(work, ['-i', '127.0.0.1', '-P', port, '-u', 'admin', '-p', 'admin', '--no-image-quality']).then(function (result) {
+            assert.strictEqual(result.code, 0, result.output);
+            const reports = report_folder(work);
+            for (const name of ['audit.json', 'audit.csv', 'index.html']) {
+                assert.ok(fs.existsSync(path.join(reports, name)), name + ' was not written');
+            }
+            const audit = JSON.parse(fs.readFileSync(path.join(reports, 'audit.json')));
+            assert.strictEqual(audit.cameras.length, 1);
+            assert.strictEqual(audit.cameras[0].deviceInformation.model, 'SIM-1000');
+            assert.strictEqual(audit.summary.responding, 1);
+        });
+    });
+
+    it('exits with code 2 when a camera cannot be audited', function () {
+        const work = fs.mkdtempSync(path.join(folder, 'failed-'));
+        const port = String(sim.devices[0].server.address().port);
+        return run_audit(work, ['-i', '127.0.0.1', '-P', port, '-u', 'admin', '-p', 'wrong']).then(function (result) {
+            assert.strictEqual(result.code, 2, result.output);
+        });
+    });
+
+    it('discovers the simulator with a unicast scan and audits it', function () {
+        const work = fs.mkdtempSync(path.join(folder, 'scan-'));
+        return run_audit(work, ['--scan', '--scan-unicast', '--audit', '-i', '127.0.0.1', '--scan-timeout', '1000', '-u', 'admin', '-p', 'admin', '--no-image-quality']).then(function (result) {
+            assert.strictEqual(result.code, 0, result.output);
+            assert.match(result.output, /SIM-1000/);
+            const audit = JSON.parse(fs.readFileSync(path.join(report_folder(work), 'audit.json')));
+            assert.strictEqual(audit.cameras.length, 1);
+            assert.strictEqual(audit.cameras[0].port, String(sim.devices[0].server.address().port));
+        });
+    });
+
+    it('compares two Audit folders without changing them', function () {
+        const work = fs.mkdtempSync(path.join(folder, 'compare-'));
+        const port = String(sim.devices[0].server.address().port);
+        const audit_args = ['-i', '127.0.0.1', '-P', port, '-u', 'admin', '-p', 'admin', '--no-image-quality'];
+        let first;
+        let second;
+        let files;
+        return run_audit(fs.mkdtempSync(path.join(work, 'a-')), audit_args).then(function (result) {
+            assert.strictEqual(result.code, 0, result.output);
+            return run_audit(fs.mkdtempSync(path.join(work, 'b-')), audit_args);
+        }).then(function (result) {
+            assert.strictEqual(result.code, 0, result.output);
+            const folders = fs.readdirSync(work).sort().map(item => report_folder(path.join(work, item)));
+            first = folders[0];
+            second = folders[1];
+            files = [first, second].map(item => fs.readdirSync(item).sort());
+            return run_audit(work, ['--compare', first, '--compare-with', second]);
+        }).then(function (result) {
+            assert.strictEqual(result.code, 0, result.output);
+            assert.deepStrictEqual([first, second].map(item => fs.readdirSync(item).sort()), files);
+            const found = fs.readdirSync(work).filter(item => item.startsWith('onvif_audit_compare_'));
+            assert.strictEqual(found.length, 1);
+            const comparison = JSON.parse(fs.readFileSync(path.join(work, found[0], 'compare.json')));
+            assert.strictEqual(comparison.counts.missing, 0);
+            assert.strictEqual(comparison.counts.added, 0);
+        });
+    });
+
+    it('rejects options that need --watch', function () {
+        return run_audit(folder, ['-i', '127.0.0.1', '--interval', '1m']).then(function (result) {
+            assert.strictEqual(result.code, 1);
+            assert.match(result.output, /used with --watch/);
+        });
+    });
+});
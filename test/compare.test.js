@@ -0,0 +1,133 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Audit comparison tests
+ * Compares camera records from two Audits and checks the snapshot difference score
+ */
+
+var { describe, it, before, after } = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var jpeg = require('jpeg-js');
+var audit_compare = require('../lib/compare');
+
+// A camera record with the fields used by the comparison
+function camera(host, serial, extra) {
+    return Object.assign({
+        host: host,
+        port: '80',
+        error: null,
+        deviceInformation: { manufacturer: 'Axis', model: 'M3045', firmwareVersion: '10.12.1', serialNumber: serial, hardwareId: '1A2' },
+        videoSources: [{ token: 'VS1', profileToken: 'Main', videoSource: 1, encoding: 'H264', width: 1920, height: 1080 }]
+    }, extra);
+}
+
+// Write a 64x64 greyscale JPEG where brightness(x, y) gives each pixel
+function write_jpeg(filename, brightness) {
+    const size = 64;
+    let data = Buffer.alloc(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const value = Math.max(0, Math.min(255, Math.round(brightness(x, y))));
+            data.fill(value, (y * size + x) * 4, (y * size + x) * 4 + 3);
+            data[(y * size + x) * 4 + 3] = 255;
+        }
+    }
+    fs.writeFileSync(filename, jpeg.encode({ data: data, width: size, height: size }, 90).data);
+}
+
+describe('Comparing two Audits', function () {
+    it('matches cameras by Serial Number and reports what changed', function () {
+        const previous = [
+            camera('10.1.0.5', 'S1'),
+            camera('10.1.0.6', 'S2'),
+            camera('10.1.0.7', 'S3'),
+            camera('10.1.0.8', 'S4')
+        ];
+        const current = [
+            camera('10.1.0.50', 'S1'),
+            camera('10.1.0.6', 'S2', { deviceInformation: Object.assign({}, previous[1].deviceInformation, { firmwareVersion: '11.0.0' }) }),
+            camera('10.1.0.7', 'S3', { videoSources: [{ token: 'VS1', profileToken: 'Main', videoSource: 1, encoding: 'H265', width: 2560, height: 1440 }] }),
+            camera('10.1.0.9', 'S5'),
+            { host: '10.1.0.10', port: '80', error: 'Timeout', deviceInformation: null, videoSources: [] }
+        ];
+        const comparison = audit_compare.compare_audits('previous', previous, 'current', current, {});
+
+        assert.deepStrictEqual(comparison.counts, { moved: 1, missing: 1, added: 1, firmwareChanged: 1, videoChanged: 1, imageChanged: 0, unidentified: 1 });
+        assert.strictEqual(comparison.moved[0].previousHost, '10.1.0.5');
+        assert.strictEqual(comparison.moved[0].host, '10.1.0.50');
+        assert.strictEqual(comparison.missing[0].host, '10.1.0.8');
+        assert.strictEqual(comparison.added[0].host, '10.1.0.9');
+        assert.deepStrictEqual([comparison.firmwareChanged[0].previous, comparison.firmwareChanged[0].current], ['10.12.1', '11.0.0']);
+        assert.deepStrictEqual([comparison.videoChanged[0].previous, comparison.videoChanged[0].current], ['H264 1920x1080', 'H265 2560x1440']);
+        assert.strictEqual(comparison.unidentified[0].error, 'Timeout');
+    });
+
+    it('reports a change in the number of Video Sources', function () {
+        const second = { token: 'VS2', profileToken: 'Main2', videoSource: 2, encoding: 'H264', width: 1280, height: 720 };
+        const previous = [camera('10.1.0.5', 'S1')];
+        const current = [camera('10.1.0.5', 'S1', { videoSources: previous[0].videoSources.concat([second]) })];
+        const comparison = audit_compare.compare_audits('previous', previous, 'current', current, {});
+        assert.strictEqual(comparison.counts.videoChanged, 1);
+        assert.strictEqual(comparison.videoChanged[0].videoSource, null);
+        assert.strictEqual(comparison.videoChanged[0].current, '2 video source(s)');
+    });
+
+    it('does not match cameras with no Serial Number or Hardware ID', function () {
+        assert.strictEqual(audit_compare.camera_key({ deviceInformation: { serialNumber: '', hardwareId: '' } }), null);
+        assert.strictEqual(audit_compare.camera_key({ deviceInformation: null }), null);
+        assert.strictEqual(audit_compare.camera_key(camera('10.1.0.5', 'S1')), 'S1/1A2');
+    });
+
+    it('lists each change in the text version', function () {
+        const comparison = audit_compare.compare_audits('previous', [camera('10.1.0.5', 'S1')], 'current', [camera('10.1.0.50', 'S1')], {});
+        const lines = audit_compare.format_comparison(comparison);
+        assert.strictEqual(lines[0], 'Compared with previous');
+        assert.ok(lines.includes('  Axis M3045 (serial S1) 10.1.0.5:80 -> 10.1.0.50:80'), lines.join('\n'));
+    });
+});
+
+describe('Snapshot difference', function () {
+    let folder;
+    const file = name => path.join(folder, name);
+
+    before(function () {
+        folder = fs.mkdtempSync(path.join(os.tmpdir(), 'onvif-audit-test-'));
+        write_jpeg(file('view.jpg'), (x, y) => x * 2 + y);
+        write_jpeg(file('darker.jpg'), (x, y) => (x * 2 + y) * 0.6);
+        write_jpeg(file('re-aimed.jpg'), (x, y) => 190 - x * 2 - y);
+        write_jpeg(file('covered.jpg'), () => 20);
+    });
+
+    after(function () {
+        fs.rmSync(folder, { recursive: true, force: true });
+    });
+
+    it('scores the same view as unchanged, even when it is darker', function () {
+        assert.strictEqual(audit_compare.image_difference(file('view.jpg'), file('view.jpg')), 0);
+        assert.ok(audit_compare.image_difference(file('view.jpg'), file('darker.jpg')) < 5);
+    });
+
+    it('scores a re-aimed or covered camera as changed', function () {
+        assert.ok(audit_compare.image_difference(file('view.jpg'), file('re-aimed.jpg')) > 90);
+        assert.strictEqual(audit_compare.image_difference(file('view.jpg'), file('covered.jpg')), 100);
+    });
+
+    it('flags snapshots that changed more than imageThreshold', function () {
+        fs.mkdirSync(file('previous'));
+        fs.mkdirSync(file('current'));
+        fs.copyFileSync(file('view.jpg'), path.join(folder, 'previous', 'snapshot.jpg'));
+        fs.copyFileSync(file('covered.jpg'), path.join(folder, 'current', 'snapshot.jpg'));
+        const with_snapshot = host => camera(host, 'S1', { videoSources: [Object.assign({}, camera(host, 'S1').videoSources[0], { snapshotFile: 'snapshot.jpg' })] });
+        const comparison = audit_compare.compare_audits(file('previous'), [with_snapshot('10.1.0.5')], file('current'), [with_snapshot('10.1.0.5')], { imageThreshold: 20 });
+        assert.strictEqual(comparison.counts.imageChanged, 1);
+        assert.strictEqual(comparison.imageChanged[0].difference, 100);
+    });
+
+    it('gives null when a snapshot cannot be read', function () {
+        assert.strictEqual(audit_compare.image_difference(file('view.jpg'), file('missing.jpg')), null);
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Credential tests
+ * Checks password errors are told apart from network errors, so a camera that cannot be reached is not reported as a bad password
+ */
+
+var { describe, it } = require('node:test');
+var assert = require('assert');
+var net = require('net');
+var onvif_audit = require('../index');
+var credential_list = require('../lib/credentials');
+var simulator = require('../simulator');
+
+const TWO_CREDENTIALS = [{ username: 'admin', password: 'admin' }, { username: 'operator', password: 'secret' }];
+
+// A local TCP port with nothing listening on it
+function closed_port() {
+    return new Promise(function (resolve) {
+        const server = net.createServer();
+        server.listen(0, '127.0.0.1', function () {
+            const port = server.address().port;
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+describe('Password errors', function () {
+    it('recognises the ways cameras report a bad password', function () {
+        assert.ok(credential_list.is_auth_error(new Error('ONVIF SOAP Fault: Sender not Authorized')));
+        assert.ok(credential_list.is_auth_error(new Error('ONVIF SOAP Fault: "ter:NotAuthorized"')));
+        assert.ok(credential_list.is_auth_error(new Error('DESCRIBE failed. 401 Unauthorized')));
+        assert.ok(credential_list.is_auth_error(Object.assign(new Error('HTTP 401'), { statusCode: 401 })));
+        assert.ok(credential_list.is_auth_error(new Error('Wrong ONVIF SOAP response'), '<html><title>401 Unauthorized</title></html>'));
+    });
+
+    it('does not take a host name or port containing 401 as a bad password', function () {
+        assert.ok(!credential_list.is_auth_error(new Error('getaddrinfo ENOTFOUND cam401.site.local')));
+        assert.ok(!credential_list.is_auth_error(new Error('connect ECONNREFUSED 10.1.1.5:4010')));
+        assert.ok(!credential_list.is_auth_error(new Error('Wrong ONVIF SOAP response'), '<html><title>Camera 401</title></html>'));
+    });
+
+    it('reports the connection error for a host name containing 401', function () {
+        return onvif_audit.auditCamera({ host: 'cam401.invalid', port: 80, credentials: TWO_CREDENTIALS }).then(function (camera) {
+            assert.match(camera.error, /ENOTFOUND|EAI_AGAIN|getaddrinfo/);
+            assert.strictEqual(camera.credential, null);
+        });
+    });
+
+    it('reports the connection error for a closed port', function () {
+        return closed_port().then(function (port) {
+            return onvif_audit.auditCamera({ host: '127.0.0.1', port: port, credentials: TWO_CREDENTIALS });
+        }).then(function (camera) {
+            assert.match(camera.error, /ECONNREFUSED/);
+            assert.strictEqual(camera.credential, null);
+        });
+    });
+
+    it('does not report a default password on a camera with authentication turned off', function () {
+        return new Promise(function (resolve, reject) {
+            simulator.start_simulator({ authentication: false }, function (err, sim) {
+                if (err) return reject(err);
+                const port = sim.devices[0].server.address().port;
+                onvif_audit.auditCamera({ host: '127.0.0.1', port: port, credentials: TWO_CREDENTIALS, inventory: false }).then(function (camera) {
+                    sim.close(() => resolve(camera));
+                }, function (audit_err) {
+                    sim.close(() => reject(audit_err));
+                });
+            });
+        }).then(function (camera) {
+            assert.strictEqual(camera.error, null);
+            assert.strictEqual(camera.credential.authentication, false);
+            assert.strictEqual(camera.credential.defaultVendor, null);
+            assert.ok(!camera.security.findings.some(item => item.id === 'default-password'));
+        });
+    });
+
+    it('reports a camera that stops answering as a connection failure, not a bad password', function () {
+        return new Promise(function (resolve, reject) {
+            simulator.start_simulator({ hangCommands: ['GetDeviceInformation'] }, function (err, sim) {
+                if (err) return reject(err);
+                const port = sim.devices[0].server.address().port;
+                onvif_audit.auditCamera({ host: '127.0.0.1', port: port, credentials: TWO_CREDENTIALS }).then(function (camera) {
+                    sim.close(() => resolve(camera));
+                }, function (audit_err) {
+                    sim.close(() => reject(audit_err));
+                });
+            });
+        }).then(function (camera) {
+            assert.match(camera.error, /timeout/i);
+            assert.strictEqual(camera.credential, null);
+            const step = camera.steps.find(item => item.step === 'Credentials');
+            assert.strictEqual(step.status, 'timeout');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * WS-Discovery tests
+ * Sends unicast Probes to the simulator's WS-Discovery responder on localhost. Needs UDP port 3702 to be free
+ */
+
+var { describe, it, before, after } = require('node:test');
+var assert = require('assert');
+var discovery = require('../lib/discovery');
+var simulator = require('../simulator');
+
+// Probe localhost and resolve with the list of { match, rinfo } for each device that replied
+function probe_localhost() {
+    return new Promise(function (resolve, reject) {
+        let found = [];
+        discovery.probe({ unicast: ['127.0.0.1'], timeout: 1000 }, function (match, rinfo) {
+            found.push({ match: match, rinfo: rinfo });
+        }, function (err) {
+            if (err) return reject(err);
+            resolve(found);
+        });
+    });
+}
+
+describe('WS-Discovery of simulated devices', function () {
+    let sim;
+
+    before(function () {
+        return new Promise(function (resolve, reject) {
+            simulator.start_simulator({ count: 2, quirk: 'axis', discovery: true, discoveryAddress: '127.0.0.1' }, function (err, started) {
+                if (err) return reject(err);
+                sim = started;
+                resolve();
+            });
+        });
+    });
+
+    after(function () {
+        return new Promise(resolve => sim.close(resolve));
+    });
+
+    it('finds each device once', function () {
+        return probe_localhost().then(function (found) {
+            assert.strictEqual(found.length, 2);
+            const urns = found.map(item => item.match.urn).sort();
+            assert.deepStrictEqual(urns, sim.devices.map(item => item.urn).sort());
+            assert.ok(sim.responder.probes() >= 1);
+        });
+    });
+
+    it('removes the whitespace Axis cameras add to the XAddrs and Scopes', function () {
+        return probe_localhost().then(function (found) {
+            for (const item of found) {
+                assert.strictEqual(item.match.xaddrs, item.match.xaddrs.trim());
+                assert.ok(item.match.scopes.every(scope => scope.length > 0 && scope === scope.trim()));
+            }
+        });
+    });
+
+    it('chooses the XAddr and decodes the Scopes', function () {
+        return probe_localhost().then(function (found) {
+            const ports = found.map(item => discovery.choose_xaddr(item.match.xaddrs, item.rinfo.address).port).sort();
+            assert.deepStrictEqual(ports, sim.devices.map(item => item.server.address().port).sort());
+
+            const scopes = discovery.parse_scopes(found[0].match.scopes);
+            assert.strictEqual(scopes.name, 'Simulator');
+            assert.strictEqual(scopes.hardware, 'SIM-1000');
+            assert.deepStrictEqual(scopes.profiles, ['Streaming', 'T']);
+        });
+    });
+});
+
+describe('WS-Discovery over IPv6', function () {
+    let sim;
+
+    before(function () {
+        return new Promise(function (resolve, reject) {
+            simulator.start_simulator({ discovery: true, discoveryAddress: '::1' }, function (err, started) {
+                if (err) return reject(err);
+                sim = started;
+                resolve();
+            });
+        });
+    });
+
+    after(function () {
+        return new Promise(resolve => sim.close(resolve));
+    });
+
+    it('sends unicast Probes to IPv6 and IPv4 addresses', function () {
+        return new Promise(function (resolve, reject) {
+            let found = [];
+            discovery.probe({ unicast: ['127.0.0.1', '::1'], timeout: 1000 }, function (match, rinfo) {
+                found.push({ match: match, rinfo: rinfo });
+            }, function (err) {
+                if (err) return reject(err);
+                resolve(found);
+            });
+        }).then(function (found) {
+            assert.strictEqual(found.length, 1);
+            assert.strictEqual(found[0].rinfo.address, '::1');
+            assert.strictEqual(found[0].match.urn, sim.devices[0].urn);
+        });
+    });
+});
+
+describe('ProbeMatch parsing', function () {
+    it('ignores WS-Discovery messages that are not a ProbeMatch', function (t, done) {
+        const hello = '<?xml version="1.0"?><Envelope><Header></Header><Body><Hello></Hello></Body></Envelope>';
+        discovery.parse_probe_match(hello, function (err, match) {
+            assert.strictEqual(err, null);
+            assert.strictEqual(match, null);
+            done();
+        });
+    });
+
+    it('prefers the XAddr of the address the reply came from', function () {
+        const xaddrs = 'http://[fe80::1]/onvif/device_service http://10.0.0.5/onvif/device_service http://192.168.1.20:8080/onvif/device_service';
+        assert.deepStrictEqual(discovery.choose_xaddr(xaddrs, '192.168.1.20'), { hostname: '192.168.1.20', port: 8080, path: '/onvif/device_service', https: false });
+        assert.strictEqual(discovery.choose_xaddr(xaddrs, '172.16.0.1').hostname, '10.0.0.5');
+        assert.strictEqual(discovery.choose_xaddr('', '10.0.0.5'), null);
+    });
+});
@@ -0,0 +1,84 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Profile Policy tests
+ * Checks which Profile of each Video Source is chosen by each --profile-policy
+ */
+
+var { describe, it } = require('node:test');
+var assert = require('assert');
+var profile_policy = require('../lib/profile-policy');
+
+const VIDEO_SOURCES = [{ $: { token: 'VS1' } }, { $: { token: 'VS2' } }];
+
+// A Profile in the form given by the ONVIF library's getProfiles()
+function profile(token, source, encoding, width, height, bitrate) {
+    return {
+        $: { token: token },
+        name: token,
+        videoSourceConfiguration: { sourceToken: source },
+        videoEncoderConfiguration: { encoding: encoding, resolution: { width: width, height: height }, rateControl: { bitrateLimit: bitrate } }
+    };
+}
+
+// Hanwha list the JPEG Profile first
+const PROFILES = [
+    profile('JPEG', 'VS1', 'JPEG', 640, 480, 2000),
+    profile('MainStream', 'VS1', 'H264', 1920, 1080, 4096),
+    profile('SubStream', 'VS1', 'H264', 640, 360, 512),
+    profile('H265', 'VS1', 'H265', 1920, 1080, 2048),
+    profile('Audio', 'VS1', null, 0, 0, 0),
+    profile('Second', 'VS2', 'H264', 1280, 720, 2048)
+];
+delete PROFILES[4].videoEncoderConfiguration; // a Profile with no Video Encoder (eg audio only) is never chosen
+
+// The Profile token chosen for each Video Source, and whether it matched the policy
+function select(text, profiles) {
+    return profile_policy.select_profiles(profile_policy.parse_policy(text), VIDEO_SOURCES, profiles || PROFILES)
+        .map(item => item.profile.$.token + (item.matched ? '' : ' (not matched)'));
+}
+
+describe('Profile Policy', function () {
+    it('chooses the best codec, then the first Profile', function () {
+        assert.deepStrictEqual(select('best'), ['H265', 'Second']);
+        assert.deepStrictEqual(select(''), ['H265', 'Second']);
+    });
+
+    it('chooses by resolution and by bitrate, breaking ties with the codec', function () {
+        assert.deepStrictEqual(select('highest-resolution'), ['H265', 'Second']);
+        assert.deepStrictEqual(select('lowest-resolution'), ['SubStream', 'Second']);
+        assert.deepStrictEqual(select('highest-bitrate'), ['MainStream', 'Second']);
+        assert.deepStrictEqual(select('lowest-bitrate'), ['SubStream', 'Second']);
+    });
+
+    it('chooses by codec and by name', function () {
+        assert.deepStrictEqual(select('codec:h264'), ['MainStream', 'Second']);
+        assert.deepStrictEqual(select('name:^sub'), ['SubStream', 'Second (not matched)']);
+    });
+
+    it('uses the best Profile when none match', function () {
+        assert.deepStrictEqual(select('codec:MPEG4'), ['H265 (not matched)', 'Second (not matched)']);
+    });
+
+    it('chooses every Profile with a Video Encoder for all', function () {
+        assert.deepStrictEqual(select('all'), ['JPEG', 'MainStream', 'SubStream', 'H265', 'Second']);
+    });
+
+    it('leaves out Video Sources with no Profiles', function () {
+        assert.deepStrictEqual(select('best', PROFILES.slice(0, 4)), ['H265']);
+    });
+
+    it('rejects policies it does not know', function () {
+        assert.throws(() => profile_policy.parse_policy('fastest'), /Profile Policy should be/);
+        assert.throws(() => profile_policy.parse_policy('best:H264'), /Profile Policy should be/);
+        assert.throws(() => profile_policy.parse_policy('codec:'), /Profile Policy should be/);
+        assert.throws(() => profile_policy.parse_policy('name:(main'), /not a valid regular expression/);
+    });
+
+    it('writes the policy back in the form it was given', function () {
+        for (const text of ['best', 'lowest-bitrate', 'codec:H264', 'name:^Sub']) {
+            assert.strictEqual(profile_policy.format_policy(profile_policy.parse_policy(text)), text);
+        }
+    });
+});
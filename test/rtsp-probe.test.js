@@ -0,0 +1,92 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * RTSP Probe tests
+ * Checks the video track is read from the SDP and the resolution from the H264 and H265 SPS
+ */
+
+var { describe, it } = require('node:test');
+var assert = require('assert');
+var rtsp_probe = require('../lib/rtsp-probe');
+
+// SPS NAL units (base64, including the NAL header) and the resolution they describe
+const H264_SPS = [
+    { name: 'Baseline 1280x720 from a camera', sps: 'Z0IAH5WoFAFuQA==', width: 1280, height: 720 },
+    { name: 'Baseline 640x480', sps: 'Z0IAKO0BQHsg', width: 640, height: 480 },
+    { name: 'High 1920x1080, cropped from 1088 lines', sps: 'Z2QAKKzaAeAIn5U=', width: 1920, height: 1080 },
+    { name: 'Main 1920x1080 interlaced', sps: 'Z00AKO0A8AiPtA==', width: 1920, height: 1080 }
+];
+const H265_SPS = [
+    { name: 'Main 1920x1080, cropped from 1088 lines', sps: 'QgEBAWAAAAMAkAAAAwAAAwB4oAPAgBEHyw==', width: 1920, height: 1080 },
+    { name: 'Main 2560x1440 with two sub-layers', sps: 'QgEDAWAAAAMAkAAAAwAAAwB4QABaoAFAIAWhQA==', width: 2560, height: 1440 }
+];
+
+function sdp(lines) {
+    return ['v=0', 'o=- 1 1 IN IP4 10.1.0.5', 's=Session', 't=0 0'].concat(lines).join('\r\n') + '\r\n';
+}
+
+describe('SPS parsing', function () {
+    for (const item of H264_SPS) {
+        it('reads the resolution of an H264 ' + item.name + ' SPS', function () {
+            assert.deepStrictEqual(rtsp_probe.parse_h264_sps(Buffer.from(item.sps, 'base64')), { width: item.width, height: item.height });
+        });
+    }
+
+    for (const item of H265_SPS) {
+        it('reads the resolution of an H265 ' + item.name + ' SPS', function () {
+            // These include emulation prevention bytes (00 00 03) in the profile_tier_level
+            assert.ok(Buffer.from(item.sps, 'base64').includes(Buffer.from([0, 0, 3])));
+            assert.deepStrictEqual(rtsp_probe.parse_h265_sps(Buffer.from(item.sps, 'base64')), { width: item.width, height: item.height });
+        });
+    }
+
+    it('throws for an SPS that is cut short', function () {
+        assert.throws(() => rtsp_probe.parse_h264_sps(Buffer.from('Z0IA', 'base64')), /SPS too short/);
+    });
+});
+
+describe('SDP parsing', function () {
+    it('reads the H264 video track', function () {
+        const video = rtsp_probe.parse_sdp(sdp([
+            'm=audio 0 RTP/AVP 0',
+            'a=control:trackID=0',
+            'm=video 0 RTP/AVP 96',
+            'b=AS:4096',
+            'a=rtpmap:96 H264/90000',
+            'a=fmtp:96 packetization-mode=1; profile-level-id=640028; sprop-parameter-sets=' + H264_SPS[2].sps + ',aO48gA==',
+            'a=framerate:25.0',
+            'a=control:trackID=1',
+            'm=video 0 RTP/AVP 97',
+            'a=control:trackID=2'
+        ]));
+        assert.strictEqual(video.codec, 'H264');
+        assert.strictEqual(video.payloadType, 96);
+        assert.strictEqual(video.clockRate, 90000);
+        assert.strictEqual(video.control, 'trackID=1');
+        assert.strictEqual(video.frameRate, 25);
+        assert.strictEqual(video.bitrateKbps, 4096);
+        assert.deepStrictEqual(video.sps, Buffer.from(H264_SPS[2].sps, 'base64'));
+    });
+
+    it('reads the H265 SPS and the x-dimensions', function () {
+        const video = rtsp_probe.parse_sdp(sdp([
+            'm=video 0 RTP/AVP 98',
+            'a=rtpmap:98 H265/90000',
+            'a=fmtp:98 sprop-vps=QAEMAf//AWAAAAMAkAAAAwAAAwB4lZgJ; sprop-sps=' + H265_SPS[0].sps + '; sprop-pps=RAHA8vA8kAA=',
+            'a=x-dimensions:1920,1080',
+            'a=control:rtsp://10.1.0.5/stream1/track1'
+        ]));
+        assert.strictEqual(video.codec, 'H265');
+        assert.deepStrictEqual([video.width, video.height], [1920, 1080]);
+        assert.strictEqual(video.control, 'rtsp://10.1.0.5/stream1/track1');
+        assert.deepStrictEqual(video.sps, Buffer.from(H265_SPS[0].sps, 'base64'));
+    });
+
+    it('ignores the attributes of other payload types and returns null with no video track', function () {
+        const video = rtsp_probe.parse_sdp(sdp(['m=video 0 RTP/AVP 96', 'a=rtpmap:97 MP4V-ES/90000', 'a=rtpmap:96 JPEG/90000']));
+        assert.strictEqual(video.codec, 'JPEG');
+        assert.strictEqual(video.sps, null);
+        assert.strictEqual(rtsp_probe.parse_sdp(sdp(['m=audio 0 RTP/AVP 0', 'a=rtpmap:0 PCMU/8000'])), null);
+    });
+});
@@ -0,0 +1,126 @@
+/**
+ * (C) Roger Hardiman <opensource@rjh.org.uk>
+ * Licenced with the MIT Licence
+ *
+ * Watch Mode tests
+ * Checks the events found by comparing each audit with the last known state of every camera
+ */
+
+var { describe, it } = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var watch = require('../lib/watch');
+
+const FIRST = new Date('2026-10-18T10:00:00Z');
+const SECOND = new Date('2026-10-18T10:15:00Z');
+const THIRD = new Date('2026-10-18T10:30:00Z');
+
+// A camera record with the fields used by Watch Mode
+function camera(extra) {
+    return Object.assign({
+        host: '10.1.0.5',
+        port: '80',
+        error: null,
+        label: null,
+        deviceInformation: { manufacturer: 'Axis', model: 'M3045', firmwareVersion: '10.12.1', serialNumber: 'S1', hardwareId: '1A2' },
+        timeDriftSeconds: 0.4,
+        timeDriftExceeded: false,
+        videoSources: [{ videoSource: 1, streams: { tcp: 'rtsp://10.1.0.5/main', udp: null, http: null, multicast: null }, rtsp: { status: 'ok' } }]
+    }, extra);
+}
+
+function offline(extra) {
+    return camera(Object.assign({ error: 'Timeout', deviceInformation: null, timeDriftSeconds: null, timeDriftExceeded: null, videoSources: [] }, extra));
+}
+
+// Run each list of records through detect_events in turn. Returns the events of each audit and the final state
+function run_audits(audits) {
+    let state = { updated: null, cameras: {} };
+    const times = [FIRST, SECOND, THIRD];
+    const events = audits.map(function (records, index) {
+        const result = watch.detect_events(state, records, times[index]);
+        state = result.state;
+        return result.events;
+    });
+    return { events: events, state: state };
+}
+
+const types = events => events.map(item => item.type);
+
+describe('Watch events', function () {
+    it('gives no events for a working camera seen for the first time', function () {
+        const result = run_audits([[camera()]]);
+        assert.deepStrictEqual(result.events[0], []);
+        const state = result.state.cameras['10.1.0.5:80'];
+        assert.strictEqual(state.name, 'Axis M3045');
+        assert.deepStrictEqual(state.workingStreams, ['Video Source 1 TCP Stream URI', 'Video Source 1 RTSP Probe']);
+    });
+
+    it('reports a camera that goes offline and comes back', function () {
+        const result = run_audits([[camera()], [offline()], [camera()]]);
+        assert.deepStrictEqual(result.events.map(types), [[], ['offline'], ['online']]);
+        const event = result.events[1][0];
+        assert.strictEqual(event.severity, 'warning');
+        assert.strictEqual(event.previous, FIRST.toISOString());
+        assert.strictEqual(event.message, 'went offline. Timeout');
+        assert.strictEqual(result.events[2][0].severity, 'notice');
+        // The last known details are kept while the camera is offline
+        assert.strictEqual(result.state.cameras['10.1.0.5:80'].serialNumber, 'S1');
+    });
+
+    it('reports a camera that is missing from the audit as offline', function () {
+        const result = run_audits([[camera()], []]);
+        assert.deepStrictEqual(types(result.events[1]), ['offline']);
+        assert.strictEqual(result.events[1][0].current, 'Nothing listening');
+        assert.strictEqual(result.state.cameras['10.1.0.5:80'].online, false);
+    });
+
+    it('reports clock drift once, and when the clock is back within the limit', function () {
+        const drifting = camera({ timeDriftSeconds: -42.5, timeDriftExceeded: true });
+        const result = run_audits([[camera()], [drifting], [drifting]]);
+        assert.deepStrictEqual(result.events.map(types), [[], ['clock-drift'], []]);
+        assert.strictEqual(result.events[1][0].message, 'clock is out by -42.5 s');
+        assert.deepStrictEqual(types(run_audits([[drifting], [camera()]]).events[1]), ['clock-ok']);
+    });
+
+    it('reports serial number and firmware changes', function () {
+        const replaced = camera({ deviceInformation: Object.assign({}, camera().deviceInformation, { serialNumber: 'S9', firmwareVersion: '11.0.0' }) });
+        const events = run_audits([[camera()], [replaced]]).events[1];
+        assert.deepStrictEqual(types(events), ['serial-changed', 'firmware-changed']);
+        assert.deepStrictEqual([events[1].previous, events[1].current], ['10.12.1', '11.0.0']);
+    });
+
+    it('reports a stream that stops working once, and when it works again', function () {
+        const failed = camera({ videoSources: [{ videoSource: 1, streams: { tcp: 'rtsp://10.1.0.5/main' }, rtsp: { status: 'timeout' } }] });
+        const result = run_audits([[camera()], [failed], [camera()]]);
+        assert.deepStrictEqual(result.events.map(types), [[], ['stream-failed'], ['stream-ok']]);
+        assert.strictEqual(result.events[1][0].message, 'Video Source 1 RTSP Probe stopped working');
+        assert.deepStrictEqual(result.state.cameras['10.1.0.5:80'].failedStreams, []);
+    });
+
+    it('reports a camera that is offline the first time it is seen', function () {
+        const events = run_audits([[offline()]]).events[0];
+        assert.deepStrictEqual(types(events), ['offline']);
+        assert.strictEqual(events[0].message, 'is offline. Timeout');
+    });
+});
+
+describe('Watch State file', function () {
+    it('fills in the stream lists left out of a hand edited file', function () {
+        const folder = fs.mkdtempSync(path.join(os.tmpdir(), 'onvif-audit-test-'));
+        const filename = path.join(folder, 'watch_state.json');
+        try {
+            assert.deepStrictEqual(watch.load_state(filename), { updated: null, cameras: {} });
+            fs.writeFileSync(filename, JSON.stringify({ updated: null, cameras: { '10.1.0.5:80': { host: '10.1.0.5', port: '80', online: true } } }));
+            const state = watch.load_state(filename);
+            assert.deepStrictEqual(state.cameras['10.1.0.5:80'].workingStreams, []);
+            assert.deepStrictEqual(state.cameras['10.1.0.5:80'].failedStreams, []);
+            fs.writeFileSync(filename, '{ "cameras": ');
+            assert.throws(() => watch.load_state(filename), /is not valid JSON/);
+        } finally {
+            fs.rmSync(folder, { recursive: true, force: true });
+        }
+    });
+});